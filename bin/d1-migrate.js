@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+
+import { main } from '../lib/cli.js';
+
+// Load environment variables if .env exists (for local testing)
+try {
+  const dotenv = await import('dotenv');
+  dotenv.config();
+} catch (err) {
+  // dotenv is a dev dependency; production runs use the real environment
+}
+
+process.exitCode = await main(process.argv.slice(2));
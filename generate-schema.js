@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import pg from 'pg';
+import {
+  introspectTable,
+  generateTableDDL,
+  generateTableMapping,
+  nextMigrationPath,
+  renderMigration,
+} from './lib/schema-generator.js';
+import { TABLES_DIR } from './lib/table-config.js';
+
+const { Client } = pg;
+
+// Load environment variables if .env exists (for local testing)
+try {
+  const dotenv = await import('dotenv');
+  dotenv.config();
+} catch (err) {
+  console.log('Running without dotenv (using environment variables)');
+}
+
+const DATABASE_URL = process.env.DATABASE_URL;
+
+// Usage: node generate-schema.js <table> [<table> ...] [--schema=public] [--write] [--mapping] [--name=description]
+const args = process.argv.slice(2);
+const flags = Object.fromEntries(
+  args.filter(arg => arg.startsWith('--')).map(arg => {
+    const [key, value] = arg.slice(2).split('=');
+    return [key, value ?? true];
+  })
+);
+const TABLES = args.filter(arg => !arg.startsWith('--'));
+const SCHEMA = flags.schema || 'public';
+const MIGRATIONS_DIR = flags.dir || 'migrations';
+
+if (!DATABASE_URL) {
+  console.error('❌ Missing required environment variables:');
+  console.error('  - DATABASE_URL');
+  process.exit(1);
+}
+
+if (TABLES.length === 0) {
+  console.error('❌ Usage: node generate-schema.js <table> [<table> ...] [--schema=public] [--write] [--mapping] [--name=description]');
+  process.exit(1);
+}
+
+async function generateSchema() {
+  const pgClient = new Client({ connectionString: DATABASE_URL });
+
+  try {
+    console.log('🔌 Connecting to PostgreSQL...');
+    await pgClient.connect();
+    console.log('✅ Connected to PostgreSQL\n');
+
+    const generated = [];
+
+    for (const tableName of TABLES) {
+      console.log(`🔍 Introspecting ${SCHEMA}.${tableName}...`);
+      const table = await introspectTable(pgClient, tableName, SCHEMA);
+      const { statements, warnings } = generateTableDDL(table);
+
+      console.log(`   Columns: ${table.columns.length}, primary key: ${table.primaryKey.join(', ') || 'none'}, indexes: ${table.indexes.length}`);
+      warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+
+      generated.push({ name: tableName, statements });
+
+      if (flags.mapping) {
+        const mappingPath = path.join(TABLES_DIR, `${tableName}.json`);
+        fs.writeFileSync(mappingPath, JSON.stringify(generateTableMapping(table), null, 2) + '\n');
+        console.log(`   📝 Wrote table mapping ${path.relative(process.cwd(), mappingPath)}`);
+      }
+    }
+
+    const description = flags.name || `schema for ${TABLES.join(', ')}`;
+    const sql = renderMigration(description, generated);
+
+    if (flags.write) {
+      const file = nextMigrationPath(MIGRATIONS_DIR, typeof flags.name === 'string' ? flags.name : `add_${TABLES.join('_')}`);
+      fs.writeFileSync(file, sql);
+      console.log(`\n✅ Wrote ${file}`);
+      console.log('💡 Apply it with: npx wrangler d1 migrations apply speedlimit --remote');
+    } else {
+      console.log('\n' + sql);
+    }
+
+  } catch (error) {
+    console.error('\n❌ Schema generation failed:', error.message);
+    process.exit(1);
+  } finally {
+    await pgClient.end();
+  }
+}
+
+generateSchema();
@@ -0,0 +1,235 @@
+import {
+  D1RateLimitError,
+  D1ConstraintError,
+  D1PayloadTooLargeError,
+  D1TimeoutError,
+  D1SustainedFailureError,
+} from './d1-client.js';
+
+// Adjusts batch size and request pacing from what D1 tells us:
+//   - 429 / Retry-After   halve the request rate and pause all callers
+//   - payload too large   halve the batch
+//   - slow responses      shrink the batch by a quarter
+//   - steady successes    widen the batch and raise the rate again
+// Hand it to createD1Client({ controller }) so it sees every attempt.
+// After maxConsecutiveFailures failed attempts in a row check() throws
+// D1SustainedFailureError, so callers stop instead of retrying forever.
+export function createAdaptiveController({
+  rateLimiter = null,
+  minBatchSize = 1,
+  maxBatchSize,
+  initialBatchSize = maxBatchSize,
+  batchStep = minBatchSize,
+  minRps = 0.5,
+  maxRps = rateLimiter ? rateLimiter.requestsPerSecond : Infinity,
+  targetLatencyMs = 5000,
+  growAfter = 5,
+  maxConsecutiveFailures = 10,
+  maxAttempts = 8,
+  baseDelay = 1000,
+  maxDelay = 60000,
+}) {
+  let successStreak = 0;
+  let consecutiveFailures = 0;
+  let stopped = null;
+  let ceiling = maxBatchSize; // Lowered below any batch size D1 rejected as too large
+
+  const controller = {
+    batchSize: Math.max(minBatchSize, Math.min(initialBatchSize, maxBatchSize)),
+    minBatchSize,
+    maxAttempts,
+    adjustments: 0,
+    check,
+    recordSuccess,
+    recordFailure,
+    retryDelay,
+  };
+
+  function log(message) {
+    console.log(`   🎛️  ${message}`);
+  }
+
+  function setBatchSize(next, reason) {
+    // Whole multiples of minBatchSize (one INSERT's worth of rows)
+    const size = Math.max(minBatchSize, Math.floor(Math.min(next, ceiling) / minBatchSize) * minBatchSize);
+    if (size === controller.batchSize) return;
+
+    log(`Batch size ${controller.batchSize} → ${size} rows (${reason})`);
+    controller.batchSize = size;
+    controller.adjustments++;
+  }
+
+  function setRate(next, reason) {
+    if (!rateLimiter) return;
+
+    const rps = Math.round(Math.max(minRps, Math.min(next, maxRps)) * 100) / 100;
+    if (rps === rateLimiter.requestsPerSecond) return;
+
+    log(`Request rate ${rateLimiter.requestsPerSecond} → ${rps} req/s (${reason})`);
+    rateLimiter.setRate(rps);
+    controller.adjustments++;
+  }
+
+  function recordSuccess(latencyMs) {
+    consecutiveFailures = 0;
+
+    if (latencyMs > targetLatencyMs) {
+      successStreak = 0;
+      setBatchSize(controller.batchSize * 0.75, `response took ${latencyMs}ms, target ${targetLatencyMs}ms`);
+      return;
+    }
+
+    successStreak++;
+    if (successStreak < growAfter) return;
+
+    successStreak = 0;
+    if (latencyMs < targetLatencyMs / 2) {
+      setBatchSize(controller.batchSize + batchStep, `${growAfter} fast responses, last ${latencyMs}ms`);
+    }
+    if (rateLimiter) {
+      setRate(rateLimiter.requestsPerSecond * 1.25, `${growAfter} successful requests`);
+    }
+  }
+
+  function recordFailure(error) {
+    successStreak = 0;
+
+    if (error instanceof D1RateLimitError) {
+      if (rateLimiter) {
+        setRate(rateLimiter.requestsPerSecond / 2, 'HTTP 429 from D1');
+        if (error.retryAfter) {
+          log(`Pausing requests for ${error.retryAfter}ms (Retry-After)`);
+          rateLimiter.pause(error.retryAfter);
+        }
+      }
+    } else if (error instanceof D1PayloadTooLargeError) {
+      ceiling = Math.max(minBatchSize, controller.batchSize - minBatchSize);
+      setBatchSize(controller.batchSize / 2, 'payload too large');
+    } else if (error instanceof D1TimeoutError) {
+      setBatchSize(controller.batchSize / 2, 'request timed out');
+    } else if (!error.retryable) {
+      // SQL and auth errors say nothing about load; the caller deals with them
+      return;
+    }
+
+    consecutiveFailures++;
+    if (consecutiveFailures >= maxConsecutiveFailures && !stopped) {
+      stopped = new D1SustainedFailureError(
+        `Stopping after ${consecutiveFailures} consecutive failed D1 requests (last: ${error.message})`
+      );
+      log(stopped.message);
+    }
+  }
+
+  // Throws once the sustained-failure threshold has been crossed
+  function check() {
+    if (stopped) {
+      throw stopped;
+    }
+  }
+
+  // Exponential backoff with jitter, never shorter than Retry-After
+  function retryDelay(error, attempt) {
+    const backoff = Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+    const jittered = Math.round(backoff / 2 + Math.random() * backoff / 2);
+    return error.retryAfter != null ? Math.max(error.retryAfter, jittered) : jittered;
+  }
+
+  return controller;
+}
+
+// Insert rows in D1 batch requests of controller.batchSize rows. A payload-size
+// rejection has already shrunk the batch, so the same rows are retried smaller.
+// onBatch(rows, processed) runs after each request (progress, lease checks)
+// with the rows that went in.
+//
+// With onRejected, a request that fails because of its data (a constraint
+// error, or a payload error at the smallest batch) is split in half and
+// retried until the offending rows are alone; each is handed to
+// onRejected(row, error) and the rest are inserted. Requests are then atomic,
+// so a failed half leaves nothing behind to duplicate.
+export async function insertAdaptively({ rows, buildStatements, executeD1Batch, controller, onBatch = null, onRejected = null }) {
+  const options = onRejected ? { atomic: true } : {};
+  let offset = 0;
+
+  // Rows of chunk that made it in; bisects around bad rows
+  async function insertBisecting(chunk, error) {
+    if (chunk.length === 1) {
+      await onRejected(chunk[0], error);
+      return [];
+    }
+
+    const inserted = [];
+    for (const half of [chunk.slice(0, Math.ceil(chunk.length / 2)), chunk.slice(Math.ceil(chunk.length / 2))]) {
+      try {
+        await executeD1Batch(buildStatements(half), options);
+        inserted.push(...half);
+      } catch (halfError) {
+        if (!isRowError(halfError, half.length)) throw halfError;
+        inserted.push(...await insertBisecting(half, halfError));
+      }
+    }
+    return inserted;
+  }
+
+  function isRowError(error, size) {
+    return Boolean(onRejected) && (error instanceof D1ConstraintError ||
+      (error instanceof D1PayloadTooLargeError && size <= controller.minBatchSize));
+  }
+
+  while (offset < rows.length) {
+    const size = controller.batchSize;
+    const chunk = rows.slice(offset, offset + size);
+    let inserted = chunk;
+
+    try {
+      await executeD1Batch(buildStatements(chunk), options);
+    } catch (error) {
+      if (error instanceof D1PayloadTooLargeError && size > controller.minBatchSize) {
+        continue;
+      }
+      if (!isRowError(error, size)) {
+        throw error;
+      }
+      inserted = await insertBisecting(chunk, error);
+    }
+
+    offset += chunk.length;
+    if (onBatch) {
+      await onBatch(inserted, offset);
+    }
+  }
+
+  return offset;
+}
+
+// Positive number from an environment variable, else the default. Throws on
+// anything else, so a typo cannot turn into NaN pacing or a batch of zero.
+export function envNumber(env, name, fallback, { integer = false } = {}) {
+  const raw = env[name];
+  if (raw === undefined || raw === '') return fallback;
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value <= 0 || (integer && !Number.isInteger(value))) {
+    throw new Error(`${name} must be a positive ${integer ? 'integer' : 'number'} (got ${JSON.stringify(raw)})`);
+  }
+  return value;
+}
+
+// Build a controller from the standard environment variables. Batches are
+// measured in rows and move in steps of rowsPerStatement (one INSERT).
+export function createAdaptiveControllerFromEnv({ rateLimiter, rowsPerStatement }, env = process.env) {
+  const statements = envNumber(env, 'STATEMENTS_PER_REQUEST', 50, { integer: true });
+  const maxStatements = Math.max(statements, envNumber(env, 'MAX_STATEMENTS_PER_REQUEST', 200, { integer: true }));
+
+  return createAdaptiveController({
+    rateLimiter,
+    minBatchSize: rowsPerStatement,
+    maxBatchSize: rowsPerStatement * maxStatements,
+    initialBatchSize: rowsPerStatement * statements,
+    batchStep: rowsPerStatement * 5,
+    minRps: envNumber(env, 'D1_MIN_RPS', 0.5),
+    targetLatencyMs: envNumber(env, 'TARGET_LATENCY_MS', 5000, { integer: true }),
+    maxConsecutiveFailures: envNumber(env, 'MAX_CONSECUTIVE_FAILURES', 10, { integer: true }),
+  });
+}
@@ -0,0 +1,304 @@
+import { D1NoSuchTableError } from './d1-client.js';
+
+// migration_checkpoints persistence shared by the resumable migrator and its tools
+
+// Columns added after the initial schema (migrations/0001). The checkpoint store
+// owns them: no migration adds them, so `wrangler d1 migrations apply` never
+// meets a column that is already there.
+const ADDED_COLUMNS = {
+  worker_id: 'TEXT',
+  heartbeat_at: 'TEXT',
+  attempts: 'INTEGER DEFAULT 0',
+  dump_manifest: 'TEXT',
+};
+
+// Raised when another worker reclaimed a checkpoint we were still processing
+export class LeaseLostError extends Error {
+  constructor(checkpointId, workerId) {
+    super(`Lease on checkpoint ${checkpointId} lost by ${workerId}`);
+    this.name = 'LeaseLostError';
+    this.checkpointId = checkpointId;
+  }
+}
+
+export function createCheckpointStore(executeD1SQL) {
+  // Create checkpoint for a range
+  async function createCheckpoint(tableName, startId, endId) {
+    await executeD1SQL(
+      `INSERT INTO migration_checkpoints (table_name, start_id, end_id, status) VALUES (?, ?, ?, 'pending')`,
+      [tableName, startId, endId]
+    );
+  }
+
+  // Update checkpoint status.
+  // With a workerId the update only applies while that worker still holds the lease.
+  async function updateCheckpointStatus(checkpointId, status, recordsProcessed, errorMessage = null, workerId = null) {
+    const now = new Date().toISOString();
+    const field = status === 'in_progress' ? 'started_at' : 'completed_at';
+    const params = [status, recordsProcessed, errorMessage, now, checkpointId];
+    let ownership = '';
+
+    if (workerId) {
+      ownership = ' AND worker_id = ?';
+      params.push(workerId);
+    }
+
+    const result = await executeD1SQL(
+      `UPDATE migration_checkpoints
+       SET status = ?, records_processed = ?, error_message = ?, ${field} = ?
+       WHERE id = ?${ownership}`,
+      params
+    );
+    return result.result[0].meta?.changes ?? null;
+  }
+
+  // Get pending, failed or abandoned (expired lease) checkpoints
+  async function getPendingCheckpoints(tableName, leaseExpiry = null) {
+    const result = await executeD1SQL(
+      `SELECT * FROM migration_checkpoints
+       WHERE table_name = ? AND (status IN ('pending', 'failed')
+         OR (status = 'in_progress' AND COALESCE(heartbeat_at, started_at, '') < ?))
+       ORDER BY start_id`,
+      [tableName, leaseExpiry || '']
+    );
+    return result.result[0].results;
+  }
+
+  // Atomically move the next claimable checkpoint to 'in_progress' under workerId's lease.
+  // D1 serializes statements, so two workers can never claim the same row.
+  // Claimable means pending, failed before this run started (checkpoints that fail
+  // during the current run are left for the next one instead of looping), or
+  // in_progress with a heartbeat older than leaseExpiry (its worker crashed or timed out).
+  // attempts > 1 on the returned row means an earlier attempt may have written rows.
+  async function claimNextCheckpoint(tableName, workerId, { runStartedAt, leaseExpiry }) {
+    const now = new Date().toISOString();
+    const claimable = `(status = 'pending'
+      OR (status = 'failed' AND (completed_at IS NULL OR completed_at < ?))
+      OR (status = 'in_progress' AND COALESCE(heartbeat_at, started_at, '') < ?))`;
+
+    const result = await executeD1SQL(
+      `UPDATE migration_checkpoints
+       SET status = 'in_progress', records_processed = 0, error_message = NULL,
+           started_at = ?, worker_id = ?, heartbeat_at = ?,
+           attempts = CASE WHEN status = 'pending' THEN COALESCE(attempts, 0)
+                           ELSE MAX(COALESCE(attempts, 0), 1) END + 1
+       WHERE id = (
+         SELECT id FROM migration_checkpoints
+         WHERE table_name = ? AND ${claimable}
+         ORDER BY start_id LIMIT 1
+       ) AND ${claimable}
+       RETURNING *`,
+      [now, workerId, now, tableName, runStartedAt, leaseExpiry, runStartedAt, leaseExpiry]
+    );
+    return result.result[0].results[0] || null;
+  }
+
+  // Renew a lease; throws LeaseLostError if another worker has taken the checkpoint over
+  async function heartbeat(checkpointId, workerId) {
+    const result = await executeD1SQL(
+      `UPDATE migration_checkpoints SET heartbeat_at = ?
+       WHERE id = ? AND worker_id = ? AND status = 'in_progress'`,
+      [new Date().toISOString(), checkpointId, workerId]
+    );
+
+    if (result.result[0].meta?.changes === 0) {
+      throw new LeaseLostError(checkpointId, workerId);
+    }
+  }
+
+  // Heartbeat every intervalMs in the background. lease.lost is set once the
+  // lease has been taken over; callers check it between units of work.
+  function startHeartbeat(checkpointId, workerId, intervalMs) {
+    const lease = { lost: null };
+    const timer = setInterval(() => {
+      heartbeat(checkpointId, workerId).catch(error => {
+        if (error instanceof LeaseLostError) {
+          lease.lost = error;
+        } else {
+          console.log(`   ⚠️  Heartbeat for checkpoint ${checkpointId} failed: ${error.message}`);
+        }
+      });
+    }, intervalMs);
+
+    lease.stop = () => clearInterval(timer);
+    return lease;
+  }
+
+  // Record the bulk-load files written/applied for a checkpoint (JSON array,
+  // see lib/sql-dump.js). Only applies while workerId holds the lease.
+  async function saveDumpManifest(checkpointId, manifest, workerId) {
+    const result = await executeD1SQL(
+      `UPDATE migration_checkpoints SET dump_manifest = ?, heartbeat_at = ?
+       WHERE id = ? AND worker_id = ? AND status = 'in_progress'`,
+      [JSON.stringify(manifest), new Date().toISOString(), checkpointId, workerId]
+    );
+
+    if (result.result[0].meta?.changes === 0) {
+      throw new LeaseLostError(checkpointId, workerId);
+    }
+  }
+
+  // Get last completed checkpoint
+  async function getLastCompletedCheckpoint(tableName) {
+    const result = await executeD1SQL(
+      `SELECT * FROM migration_checkpoints
+       WHERE table_name = ? AND status = 'completed'
+       ORDER BY end_id DESC LIMIT 1`,
+      [tableName]
+    );
+    return result.result[0].results[0] || null;
+  }
+
+  // Failed checkpoints of a table, in key order
+  async function getFailedCheckpoints(tableName) {
+    const result = await executeD1SQL(
+      `SELECT * FROM migration_checkpoints WHERE table_name = ? AND status = 'failed' ORDER BY start_id`,
+      [tableName]
+    );
+    return result.result[0].results;
+  }
+
+  // Put a checkpoint back to a clean 'pending' state once its range has been
+  // cleared, so the next run migrates it as a first attempt
+  async function resetCheckpoint(checkpointId) {
+    await executeD1SQL(
+      `UPDATE migration_checkpoints
+       SET status = 'pending', records_processed = 0, error_message = NULL, started_at = NULL,
+           completed_at = NULL, worker_id = NULL, heartbeat_at = NULL, attempts = 0, dump_manifest = NULL
+       WHERE id = ?`,
+      [checkpointId]
+    );
+  }
+
+  // Checkpoint counts and processed records per status for a table.
+  // Read-only: returns [] when the checkpoints table does not exist yet.
+  async function getCheckpointSummary(tableName) {
+    try {
+      const result = await executeD1SQL(
+        `SELECT status, COUNT(*) as count, COALESCE(SUM(records_processed), 0) as records
+         FROM migration_checkpoints WHERE table_name = ?
+         GROUP BY status`,
+        [tableName]
+      );
+      return result.result[0].results;
+    } catch (error) {
+      if (error instanceof D1NoSuchTableError) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  // Ensure migration_checkpoints table exists
+  async function ensureCheckpointsTableExists() {
+    try {
+      // Try to query the table
+      await executeD1SQL(`SELECT COUNT(*) FROM migration_checkpoints LIMIT 1`);
+      await ensureAddedColumns();
+    } catch (error) {
+      // Table doesn't exist, create it
+      if (error instanceof D1NoSuchTableError) {
+        console.log(`   📋 Creating migration_checkpoints table...`);
+
+        await executeD1SQL(`
+          CREATE TABLE migration_checkpoints (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            table_name TEXT NOT NULL,
+            start_id INTEGER NOT NULL,
+            end_id INTEGER NOT NULL,
+            records_processed INTEGER DEFAULT 0,
+            status TEXT NOT NULL CHECK(status IN ('pending', 'in_progress', 'completed', 'failed')),
+            error_message TEXT,
+            started_at TEXT,
+            completed_at TEXT,
+            created_at TEXT DEFAULT (datetime('now')),
+            worker_id TEXT,
+            heartbeat_at TEXT,
+            attempts INTEGER DEFAULT 0,
+            dump_manifest TEXT
+          )
+        `);
+
+        await executeD1SQL(`CREATE INDEX idx_checkpoint_table_status ON migration_checkpoints(table_name, status)`);
+        await executeD1SQL(`CREATE INDEX idx_checkpoint_table_range ON migration_checkpoints(table_name, start_id, end_id)`);
+
+        console.log(`   ✅ Created migration_checkpoints table with indexes`);
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  // Add columns missing from checkpoint tables created by older versions
+  async function ensureAddedColumns() {
+    const info = await executeD1SQL(`PRAGMA table_info(migration_checkpoints)`);
+    const existing = new Set(info.result[0].results.map(column => column.name));
+
+    for (const [name, type] of Object.entries(ADDED_COLUMNS)) {
+      if (!existing.has(name)) {
+        console.log(`   📋 Adding ${name} column to migration_checkpoints...`);
+        await executeD1SQL(`ALTER TABLE migration_checkpoints ADD COLUMN ${name} ${type}`);
+      }
+    }
+  }
+
+  // Initialize checkpoints for a table
+  async function initializeCheckpoints(tableName, minId, maxId, { checkpointSize, resume = true }) {
+    console.log(`\n📋 Initializing checkpoints for ${tableName}...`);
+
+    // Ensure checkpoints table exists
+    await ensureCheckpointsTableExists();
+
+    // Check if checkpoints already exist
+    const existing = await executeD1SQL(
+      `SELECT COUNT(*) as count FROM migration_checkpoints WHERE table_name = ?`,
+      [tableName]
+    );
+
+    const existingCount = existing.result[0].results[0].count;
+
+    if (existingCount > 0 && resume) {
+      console.log(`   ℹ️  Found ${existingCount} existing checkpoints (resume mode enabled)`);
+      return;
+    }
+
+    if (existingCount > 0 && !resume) {
+      console.log(`   🗑️  Clearing ${existingCount} existing checkpoints...`);
+      await executeD1SQL(`DELETE FROM migration_checkpoints WHERE table_name = ?`, [tableName]);
+    }
+
+    // Create checkpoints based on ID ranges (more efficient than OFFSET)
+    const checkpoints = [];
+    let currentStart = minId;
+
+    while (currentStart <= maxId) {
+      const currentEnd = Math.min(currentStart + checkpointSize - 1, maxId);
+      checkpoints.push({ start: currentStart, end: currentEnd });
+      currentStart = currentEnd + 1;
+    }
+
+    console.log(`   Creating ${checkpoints.length} checkpoints (${checkpointSize} records each)...`);
+
+    for (const checkpoint of checkpoints) {
+      await createCheckpoint(tableName, checkpoint.start, checkpoint.end);
+    }
+
+    console.log(`   ✅ Created ${checkpoints.length} checkpoints`);
+  }
+
+  return {
+    createCheckpoint,
+    updateCheckpointStatus,
+    getPendingCheckpoints,
+    claimNextCheckpoint,
+    heartbeat,
+    startHeartbeat,
+    saveDumpManifest,
+    getLastCompletedCheckpoint,
+    getCheckpointSummary,
+    getFailedCheckpoints,
+    resetCheckpoint,
+    ensureCheckpointsTableExists,
+    initializeCheckpoints,
+  };
+}
@@ -0,0 +1,206 @@
+import { parseArgs } from 'util';
+import { EXIT_CODES, UsageError, exitCodeFor, resolveTables, worstExitCode } from './commands/common.js';
+import { validate } from './commands/validate.js';
+import { applySchema } from './commands/schema.js';
+import { migrate, resume } from './commands/migrate.js';
+import { status } from './commands/status.js';
+import { verify } from './commands/verify.js';
+import { cleanup } from './commands/cleanup.js';
+import { sync } from './commands/sync.js';
+import { exportCommand } from './commands/export.js';
+import { importCommand } from './commands/import.js';
+import { geohash } from './commands/geohash.js';
+import { listRejects, retryRejects } from './commands/rejects.js';
+import { bulkLoad } from './commands/bulk-load.js';
+import { reconcile } from './commands/reconcile.js';
+
+// d1-migrate: one entry point for every migration task (see bin/d1-migrate.js)
+
+const HELP = `Usage: d1-migrate <command> [options]
+
+Commands:
+  validate        Check the Cloudflare credentials and D1 access
+  schema apply    Apply pending migrations/ files, recorded in d1_migrations like
+                  wrangler d1 migrations apply (or run one --file)
+  migrate         Resumable migration: creates checkpoints, or continues from them
+  resume          Continue an existing migration (fails if it was never started)
+  bulk-load       Checkpointed migration through .sql files applied with
+                  wrangler d1 execute (resumable)
+  status          Checkpoint progress, throughput, ETA and recent errors
+                  (all tables unless selected)
+  verify          Compare rows between PostgreSQL and D1
+  cleanup         Delete a table's D1 rows and/or checkpoints (asks to type the
+                  table name unless --yes)
+  sync            Upsert rows added or edited in PostgreSQL since the last sync
+  reconcile       Delete D1 rows whose id no longer exists in PostgreSQL (asks
+                  to type the table name unless --yes; needs preserveIds)
+  export          Dump a D1 table to gzip-compressed parts plus manifest.json
+  import          Load an export into an empty D1 table (--from; resumable)
+  geohash         Fill the geohash column for rows already in D1 (mappings with
+                  "geohash")
+  rejects list    Rows migrate/sync set aside (not convertible, or refused by D1)
+  rejects retry   Read the rejected rows from PostgreSQL again and insert them
+
+Table selection (migrate, resume, bulk-load, status, verify, cleanup, sync,
+reconcile, export, geohash, rejects):
+  --table <name>        Mapping in tables/<name>.json (repeatable)
+  --all                 Every mapping in tables/
+  --config <file>       Mapping file at any path
+  Without these, TABLE_CONFIG or TABLE_NAME from the environment is used.
+
+Options:
+  --dry-run             Show what would happen without writing to D1
+  --restart             migrate, bulk-load: discard existing checkpoints and start over
+  --checkpoint-size <n> IDs per checkpoint (CHECKPOINT_SIZE, default 100000)
+  --batch-size <n>      Rows per INSERT, capped by D1's 100 bound parameters (BATCH_SIZE)
+  --concurrency <n>     Parallel checkpoint workers (CONCURRENCY, default 1)
+  --preserve-ids        Keep PostgreSQL ids in D1 (overrides the mapping)
+  --type-mode <mode>    strict (default): skip and report rows with values D1 cannot
+                        store faithfully (NaN, over-precise numeric, ...); lenient:
+                        store the nearest value instead (TYPE_MODE, overrides the mapping)
+  --max-rejects <n>     migrate: fail a checkpoint once more rows than this are
+                        rejected (MAX_REJECTS, default 1000)
+  --rejects-file <path> Keep rejected rows in this NDJSON file instead of the D1
+                        table migration_rejects (REJECTS_FILE)
+  --file <path>         schema apply: run this schema file instead of migrations/
+  --allow-drop          schema apply: allow DROP TABLE / DROP COLUMN statements
+  --format <format>     status: table (default), json or markdown
+                        export: ndjson (default), csv or sql
+  --step-summary        status: also append markdown to $GITHUB_STEP_SUMMARY
+  -y, --yes             cleanup, reconcile: skip the typed confirmation (for CI)
+  --scope <scope>       cleanup: all (default; also sync state and rejects), failed
+                        (rows in failed checkpoint ranges; the checkpoints go back
+                        to pending) or checkpoints
+  --backup              cleanup: export the rows to a local file before deleting
+  --backup-format <f>   cleanup: sql (default, replayable with wrangler) or ndjson
+  --backup-dir <dir>    cleanup: where backups are written (default backups/)
+  --max-deletions <n>   reconcile: delete nothing when more rows than this are
+                        orphaned (MAX_DELETIONS, default 1000)
+  --out <dir>           export: parent directory of the dump (default exports/)
+                        bulk-load: directory for the .sql files (DUMP_DIR, default dumps/)
+  --part-rows <n>       export: rows per part file (EXPORT_PART_ROWS, default 50000)
+  --from <dir>          import: export directory holding manifest.json
+  -h, --help            Show this help
+
+Credentials come from DATABASE_URL, CLOUDFLARE_API_TOKEN, CLOUDFLARE_ACCOUNT_ID
+and D1_DATABASE_ID (a .env file is loaded when present).
+
+Exit codes:
+  0  Success
+  1  Failed (unexpected or non-retryable error)
+  2  Usage error (bad command line or unknown table)
+  3  Completed, but data differs or work remains (verify, status, migrate counts,
+     reconcile)
+  4  Configuration error (missing variables, rejected credentials)
+  5  D1 kept failing or throttling; safe to re-run, progress is saved
+`;
+
+const OPTIONS = {
+  table: { type: 'string', multiple: true },
+  all: { type: 'boolean' },
+  config: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  restart: { type: 'boolean' },
+  'checkpoint-size': { type: 'string' },
+  'batch-size': { type: 'string' },
+  concurrency: { type: 'string' },
+  'preserve-ids': { type: 'boolean' },
+  'type-mode': { type: 'string' },
+  'max-rejects': { type: 'string' },
+  'rejects-file': { type: 'string' },
+  'max-deletions': { type: 'string' },
+  file: { type: 'string' },
+  'allow-drop': { type: 'boolean' },
+  format: { type: 'string' },
+  'step-summary': { type: 'boolean' },
+  yes: { type: 'boolean', short: 'y' },
+  scope: { type: 'string' },
+  backup: { type: 'boolean' },
+  'backup-format': { type: 'string' },
+  'backup-dir': { type: 'string' },
+  out: { type: 'string' },
+  'part-rows': { type: 'string' },
+  from: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+// Commands that run once, and commands that run once per selected table
+const COMMANDS = {
+  validate: { run: validate },
+  'schema apply': { run: applySchema },
+  migrate: { run: migrate, perTable: true },
+  resume: { run: resume, perTable: true },
+  'bulk-load': { run: bulkLoad, perTable: true },
+  status: { run: status }, // Selects its tables itself so JSON output stays a single document
+  verify: { run: verify, perTable: true },
+  cleanup: { run: cleanup, perTable: true },
+  sync: { run: sync, perTable: true },
+  reconcile: { run: reconcile, perTable: true },
+  export: { run: exportCommand, perTable: true },
+  import: { run: importCommand }, // The manifest names the table
+  geohash: { run: geohash, perTable: true },
+  'rejects list': { run: listRejects, perTable: true },
+  'rejects retry': { run: retryRejects, perTable: true },
+};
+
+// Commands named by two words
+const COMMAND_GROUPS = ['schema', 'rejects'];
+
+function parseCommandLine(argv) {
+  try {
+    return parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+// Run the command in argv and return the process exit code
+export async function main(argv, env = process.env) {
+  try {
+    const { values: flags, positionals } = parseCommandLine(argv);
+
+    if (flags.help || positionals.length === 0) {
+      console.log(HELP);
+      return positionals.length === 0 && !flags.help ? EXIT_CODES.USAGE : EXIT_CODES.OK;
+    }
+
+    const name = COMMAND_GROUPS.includes(positionals[0]) ? positionals.slice(0, 2).join(' ') : positionals[0];
+    const command = COMMANDS[name];
+    const extra = positionals.slice(name.split(' ').length);
+
+    if (!command) {
+      throw new UsageError(`Unknown command "${name}". Run d1-migrate --help for the list of commands.`);
+    }
+    if (extra.length > 0) {
+      throw new UsageError(`Unexpected argument "${extra[0]}" for ${name}`);
+    }
+
+    const context = { flags, env };
+
+    if (!command.perTable) {
+      return await command.run(context);
+    }
+
+    // Tables run one after another; the first error stops the rest
+    const tables = resolveTables(flags, env);
+    const codes = [];
+    for (const config of tables) {
+      if (tables.length > 1) {
+        console.log(`\n━━━ ${name}: ${config.name} ━━━`);
+      }
+      codes.push(await command.run(config, context));
+    }
+    return worstExitCode(codes);
+
+  } catch (error) {
+    const code = exitCodeFor(error);
+    console.error(`\n❌ ${error.message}`);
+    if (code === EXIT_CODES.FAILURE) {
+      console.error(error);
+    }
+    if (code === EXIT_CODES.USAGE) {
+      console.error('Run d1-migrate --help for usage.');
+    }
+    return code;
+  }
+}
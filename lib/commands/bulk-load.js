@@ -0,0 +1,277 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import pg from 'pg';
+import { D1NoSuchTableError } from '../d1-client.js';
+import { createCheckpointStore, LeaseLostError } from '../checkpoints.js';
+import { prepareSource, sourceWhere, ensureGeohashColumn } from '../table-config.js';
+import { dumpRange, DEFAULT_MAX_FILE_BYTES, DEFAULT_MAX_STATEMENT_BYTES } from '../sql-dump.js';
+import { executeSqlFile } from '../wrangler.js';
+import { reportRejects, conversionRejects } from '../rejects.js';
+import {
+  EXIT_CODES,
+  ConfigError,
+  requireEnv,
+  intOption,
+  createD1Context,
+  createRejectStoreFor,
+  PG_AND_D1_ENV,
+} from './common.js';
+
+const { Client } = pg;
+
+// d1-migrate bulk-load: checkpointed load through .sql files applied with
+// `wrangler d1 execute --file` instead of the /query API
+
+function bulkLoadOptions(flags, env) {
+  return {
+    databaseName: env.D1_DATABASE_NAME || 'speedlimit', // database_name in wrangler.toml
+    remote: env.USE_REMOTE !== 'false', // Default: --remote
+    dumpDir: flags.out || env.DUMP_DIR || 'dumps',
+    keepFiles: env.KEEP_DUMP_FILES === 'true', // Default: delete files once applied
+    maxFileBytes: intOption(flags, null, env, 'DUMP_MAX_FILE_BYTES', DEFAULT_MAX_FILE_BYTES),
+    maxStatementBytes: intOption(flags, null, env, 'DUMP_MAX_STATEMENT_BYTES', DEFAULT_MAX_STATEMENT_BYTES),
+    checkpointSize: intOption(flags, 'checkpoint-size', env, 'CHECKPOINT_SIZE', 100000),
+    leaseTtlMs: intOption(flags, null, env, 'LEASE_TTL_MS', 600000),
+    heartbeatIntervalMs: intOption(flags, null, env, 'HEARTBEAT_INTERVAL_MS', 60000),
+    workerId: env.WORKER_ID || `${os.hostname()}-${process.pid}`,
+    restart: Boolean(flags.restart) || env.RESUME_MODE === 'false',
+  };
+}
+
+export async function bulkLoad(config, { flags, env }) {
+  requireEnv(env, PG_AND_D1_ENV);
+
+  const options = bulkLoadOptions(flags, env);
+  const { databaseName, remote, dumpDir, keepFiles, maxFileBytes, maxStatementBytes, checkpointSize, leaseTtlMs, heartbeatIntervalMs, workerId } = options;
+
+  const { executeD1SQL } = createD1Context(env);
+  const rejectStore = createRejectStoreFor(flags, env, executeD1SQL);
+  const {
+    claimNextCheckpoint,
+    startHeartbeat,
+    saveDumpManifest,
+    updateCheckpointStatus,
+    getPendingCheckpoints,
+    initializeCheckpoints,
+  } = createCheckpointStore(executeD1SQL);
+
+  // Ensure target table (and its geohash column, if mapped) exists in D1
+  async function ensureTargetTableExists() {
+    try {
+      await executeD1SQL(`SELECT COUNT(*) FROM ${config.targetTable} LIMIT 1`);
+    } catch (error) {
+      if (error instanceof D1NoSuchTableError) {
+        console.log(`   📋 Creating ${config.targetTable} table in D1...`);
+
+        for (const statement of config.ddl) {
+          await executeD1SQL(statement);
+        }
+
+        console.log(`   ✅ Created ${config.targetTable} table with indexes`);
+      } else {
+        throw error;
+      }
+    }
+
+    if (await ensureGeohashColumn(executeD1SQL, config)) {
+      console.log(`   🌐 Added ${config.geohash.column} column and index to ${config.targetTable}`);
+    }
+  }
+
+  // Dump and apply one checkpoint. Files already applied by an earlier attempt
+  // (per its dump_manifest) are skipped; the rest of the range is dumped again.
+  async function loadCheckpoint(pgClient, checkpoint) {
+    const checkpointId = checkpoint.id;
+    const previous = JSON.parse(checkpoint.dump_manifest || '[]');
+    const applied = previous.filter(entry => entry.appliedAt);
+    const resumeFrom = applied.length > 0 ? applied[applied.length - 1].endId + 1 : checkpoint.start_id;
+
+    console.log(`\n📦 Checkpoint ${checkpointId}: ID range ${checkpoint.start_id}-${checkpoint.end_id}`);
+    if (applied.length > 0) {
+      console.log(`   ↪️  ${applied.length} files already applied, resuming from ID ${resumeFrom}`);
+    }
+
+    const lease = startHeartbeat(checkpointId, workerId, heartbeatIntervalMs);
+    let rejectedRows = 0;
+
+    try {
+      // A file whose apply was interrupted may be partly in D1. With preserveIds
+      // its rows are upserted again; without, they would be duplicated.
+      if (!config.preserveIds && previous.some(entry => !entry.appliedAt)) {
+        throw new ConfigError(
+          `Checkpoint ${checkpointId} (${config.keyColumn} ${checkpoint.start_id}-${checkpoint.end_id}) was interrupted while applying ` +
+          `a file, so D1 may hold part of it, which cannot be removed without preserveIds. Clear ${config.targetTable} ` +
+          '(`d1-migrate cleanup`) and run `d1-migrate bulk-load --restart`, or load with preserveIds'
+        );
+      }
+
+      const files = resumeFrom > checkpoint.end_id ? [] : await dumpRange({
+        pgClient,
+        config,
+        startId: resumeFrom,
+        endId: checkpoint.end_id,
+        dir: dumpDir,
+        prefix: `${config.targetTable}-${resumeFrom}-${checkpoint.end_id}`,
+        maxFileBytes,
+        maxStatementBytes,
+        onRejected: async (rejected) => {
+          const rejects = conversionRejects(rejected, checkpointId);
+          rejectedRows += rejects.length;
+          reportRejects(config, rejects);
+          await rejectStore.recordRejects(config.name, rejects);
+        },
+      });
+
+      const manifest = [...applied, ...files.map(entry => ({ ...entry, appliedAt: null }))];
+      await saveDumpManifest(checkpointId, manifest, workerId);
+      console.log(`   📝 Wrote ${files.length} files (${files.reduce((sum, f) => sum + f.rows, 0)} rows)`);
+
+      for (const entry of manifest.filter(e => !e.appliedAt)) {
+        if (lease.lost) {
+          throw lease.lost;
+        }
+
+        const sizeMb = (entry.bytes / 1024 / 1024).toFixed(1);
+        console.log(`   📤 Applying ${path.basename(entry.file)} (${entry.rows} rows, ${sizeMb} MB, ID ${entry.startId}-${entry.endId})`);
+        await executeSqlFile(databaseName, entry.file, { remote });
+
+        entry.appliedAt = new Date().toISOString();
+        await saveDumpManifest(checkpointId, manifest, workerId);
+
+        if (!keepFiles) {
+          fs.rmSync(entry.file, { force: true });
+        }
+      }
+
+      const records = manifest.reduce((sum, entry) => sum + entry.rows, 0);
+      const note = rejectedRows > 0 ? `${rejectedRows} rows rejected (d1-migrate rejects list)` : null;
+      await updateCheckpointStatus(checkpointId, 'completed', records, note, workerId);
+      console.log(`   ✅ Checkpoint ${checkpointId} completed (${records} records${note ? `, ${rejectedRows} rejected` : ''})`);
+      return records;
+    } catch (error) {
+      if (error instanceof LeaseLostError) {
+        console.error(`   ⚠️  ${error.message}, abandoning checkpoint`);
+        return 0;
+      }
+
+      console.error(`   ❌ Checkpoint ${checkpointId} failed: ${error.message}`);
+      try {
+        await updateCheckpointStatus(checkpointId, 'failed', 0, error.message, workerId);
+      } catch (statusError) {
+        // D1 itself may be what is failing; the lease expires and the range is reclaimed later
+        console.error(`   ⚠️  Could not mark checkpoint ${checkpointId} as failed: ${statusError.message}`);
+      }
+      throw error;
+    } finally {
+      lease.stop();
+    }
+  }
+
+  const pgClient = new Client({ connectionString: env.DATABASE_URL });
+
+  try {
+    console.log(`🚚 Starting bulk load via SQL dump files and wrangler${flags['dry-run'] ? ' (dry run)' : ''}\n`);
+    console.log('Configuration:');
+    console.log(`  Table: ${config.sourceTable} → ${config.targetTable}`);
+    console.log(`  D1 Database: ${databaseName} (${remote ? 'remote' : 'local'})`);
+    console.log(`  Dump Directory: ${dumpDir}`);
+    console.log(`  Max File Size: ${(maxFileBytes / 1024 / 1024).toFixed(1)} MB, max statement ${maxStatementBytes} bytes`);
+    console.log(`  Checkpoint Size: ${checkpointSize} records`);
+    console.log(`  Preserve IDs: ${config.preserveIds ? `Enabled (upsert on ${config.keyColumn})` : 'Disabled'}`);
+    console.log(`  Type Mode: ${config.typeMode}`);
+    console.log(`  Source Filter: ${config.where || 'None (every row)'}`);
+    if (config.transformModule) {
+      console.log(`  Transform Module: ${config.transformModule}`);
+    }
+    console.log(`  Resume Mode: ${options.restart ? 'Disabled (--restart)' : 'Enabled'}\n`);
+
+    console.log('🔌 Connecting to PostgreSQL...');
+    await pgClient.connect();
+    console.log('✅ Connected to PostgreSQL');
+    await prepareSource(pgClient, config);
+
+    const statsResult = await pgClient.query(`
+      SELECT COUNT(*) as total_records, MIN(${config.keyColumn}) as min_id, MAX(${config.keyColumn}) as max_id
+      FROM ${config.sourceTable}
+      ${sourceWhere(config)}
+    `);
+    const { min_id, max_id } = statsResult.rows[0];
+    const totalRecords = parseInt(statsResult.rows[0].total_records, 10);
+    console.log(`   Total records: ${totalRecords}`);
+
+    if (totalRecords === 0) {
+      console.log('⚠️  No records to load');
+      return EXIT_CODES.OK;
+    }
+
+    if (flags['dry-run']) {
+      const planned = Math.ceil((parseInt(max_id, 10) - parseInt(min_id, 10) + 1) / checkpointSize);
+      console.log(`\n🔎 Dry run: would dump ${totalRecords} records in up to ${planned} checkpoints and apply them to ${databaseName}`);
+      console.log('   No changes were made.');
+      return EXIT_CODES.OK;
+    }
+
+    console.log('\n🔍 Checking D1 schema...');
+    await ensureTargetTableExists();
+    await rejectStore.ensureRejectsTable();
+    console.log('✅ D1 schema ready');
+
+    await initializeCheckpoints(config.name, parseInt(min_id, 10), parseInt(max_id, 10), {
+      checkpointSize,
+      resume: !options.restart,
+    });
+
+    const leaseExpiry = () => new Date(Date.now() - leaseTtlMs).toISOString();
+    const pending = await getPendingCheckpoints(config.name, leaseExpiry());
+    console.log(`\n📊 Pending checkpoints: ${pending.length}`);
+
+    const runStartedAt = new Date().toISOString();
+    let loaded = 0;
+
+    while (true) {
+      const checkpoint = await claimNextCheckpoint(config.name, workerId, {
+        runStartedAt,
+        leaseExpiry: leaseExpiry(),
+      });
+      if (!checkpoint) break;
+
+      loaded += await loadCheckpoint(pgClient, checkpoint);
+    }
+
+    const verifyResult = await executeD1SQL(`SELECT COUNT(*) as count FROM ${config.targetTable}`);
+    const d1Count = verifyResult.result[0].results[0].count;
+
+    // Rows set aside as rejects (this run or an earlier one) are not in D1
+    const rejected = await rejectStore.countRejectRange(config.name, parseInt(min_id, 10), parseInt(max_id, 10));
+    const expected = totalRecords - rejected;
+
+    console.log(`\n🔍 Verifying load...`);
+    console.log(`   PostgreSQL records: ${totalRecords}`);
+    if (rejected > 0) {
+      console.log(`   Rejected: ${rejected} (in ${rejectStore.location})`);
+    }
+    console.log(`   D1 records: ${d1Count}`);
+    console.log(`   Loaded in this run: ${loaded}`);
+
+    if (d1Count === expected) {
+      console.log('\n✅ Bulk load completed successfully! All records loaded.');
+      if (rejected > 0) {
+        console.log(`   Except the ${rejected} rejected: see \`d1-migrate rejects list\`, and once fixed load them with \`d1-migrate rejects retry\``);
+      }
+      return EXIT_CODES.OK;
+    }
+    console.log(`\n⚠️  Bulk load completed but record counts do not match!`);
+    console.log(`   Missing records: ${expected - d1Count}`);
+    return EXIT_CODES.MISMATCH;
+
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      console.log('\n💡 Run the same command again to resume; applied files are skipped.');
+    }
+    throw error;
+  } finally {
+    await pgClient.end();
+    console.log('\n🔌 Disconnected from PostgreSQL');
+  }
+}
@@ -0,0 +1,221 @@
+import { createD1ClientFromEnv, D1NoSuchTableError } from '../d1-client.js';
+import { createCheckpointStore } from '../checkpoints.js';
+import { backupTable, BACKUP_FORMATS } from '../d1-export.js';
+import { EXIT_CODES, UsageError, ConfigError, requireEnv, confirmByTyping, createRejectStoreFor, D1_ENV } from './common.js';
+
+// What each --scope removes
+const SCOPES = {
+  all: 'all rows, checkpoints, sync progress and rejects',
+  failed: 'rows in failed checkpoint ranges (those checkpoints go back to pending)',
+  checkpoints: 'checkpoints only (rows are kept)',
+};
+
+// d1-migrate cleanup: delete a table's D1 rows and/or migration checkpoints so
+// (part of) the migration can run again. Asks for the table name to be typed
+// unless --yes is given; --dry-run only reports the counts; --backup exports
+// the rows about to be deleted first.
+export async function cleanup(config, { flags, env }) {
+  requireEnv(env, D1_ENV);
+
+  const scope = flags.scope || 'all';
+  const backupFormat = flags['backup-format'] || 'sql';
+  if (!SCOPES[scope]) {
+    throw new UsageError(`--scope must be one of ${Object.keys(SCOPES).join(', ')} (got "${scope}")`);
+  }
+  if (!BACKUP_FORMATS.includes(backupFormat)) {
+    throw new UsageError(`--backup-format must be one of ${BACKUP_FORMATS.join(', ')} (got "${backupFormat}")`);
+  }
+  if (scope === 'failed' && !config.preserveIds) {
+    throw new ConfigError(`--scope failed needs preserveIds for ${config.name}: without it D1 ids do not line up with checkpoint ranges`);
+  }
+
+  const { executeD1SQL } = createD1ClientFromEnv({}, env);
+  const { getFailedCheckpoints, resetCheckpoint } = createCheckpointStore(executeD1SQL);
+  const rejectStore = createRejectStoreFor(flags, env, executeD1SQL);
+  const table = config.targetTable;
+  const key = config.keyColumn;
+
+  // COUNT(*) query result, or null when the table does not exist
+  async function count(sql, params = []) {
+    try {
+      const result = await executeD1SQL(sql, params);
+      return result.result[0].results[0].count;
+    } catch (error) {
+      if (error instanceof D1NoSuchTableError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  console.log(`🧹 Starting D1 cleanup process${flags['dry-run'] ? ' (dry run)' : ''}\n`);
+  console.log('Configuration:');
+  console.log(`  Account ID: ${env.CLOUDFLARE_ACCOUNT_ID}`);
+  console.log(`  D1 Database ID: ${env.D1_DATABASE_ID}`);
+  console.log(`  Table: ${table}`);
+  console.log(`  Scope: ${scope} (${SCOPES[scope]})\n`);
+
+  // Check current record count in target table
+  console.log(`📊 Checking current data in ${table}...`);
+  const currentCount = await count(`SELECT COUNT(*) as count FROM ${table}`);
+  if (currentCount === null) {
+    console.log(`   ℹ️  Table ${table} does not exist yet`);
+  } else {
+    console.log(`   Current records: ${currentCount}`);
+  }
+
+  // Check current checkpoints
+  console.log(`\n📊 Checking migration checkpoints...`);
+  const checkpointCount = await count(`SELECT COUNT(*) as count FROM migration_checkpoints WHERE table_name = ?`, [config.name]);
+  let failed = [];
+  if (checkpointCount === null) {
+    console.log(`   ℹ️  No migration_checkpoints table found`);
+  } else {
+    const completedCount = await count(`SELECT COUNT(*) as count FROM migration_checkpoints WHERE table_name = ? AND status = 'completed'`, [config.name]);
+    failed = await getFailedCheckpoints(config.name);
+    console.log(`   Current checkpoints: ${checkpointCount}`);
+    console.log(`   Completed checkpoints: ${completedCount}`);
+    console.log(`   Failed checkpoints: ${failed.length}`);
+  }
+
+  // Rows and checkpoints this scope touches
+  let rowsToDelete = 0;
+  let checkpointsToChange = 0;
+  let syncStates = 0;
+  let rejects = 0;
+  let ranges = [{}];
+
+  if (scope === 'all') {
+    rowsToDelete = currentCount ?? 0;
+    checkpointsToChange = checkpointCount ?? 0;
+
+    // A sync high-water mark left behind would make the next sync skip every
+    // row below it, and old rejects would be retried into the emptied table
+    syncStates = await count(`SELECT COUNT(*) as count FROM migration_sync_state WHERE table_name = ?`, [config.name]) ?? 0;
+    rejects = (await rejectStore.summarizeRejects(config.name)).reduce((sum, group) => sum + group.count, 0);
+    console.log(`\n📊 Sync state: ${syncStates > 0 ? 'recorded' : 'none'}, rejects: ${rejects}`);
+  } else if (scope === 'checkpoints') {
+    checkpointsToChange = checkpointCount ?? 0;
+  } else {
+    ranges = failed.map(c => ({ startId: c.start_id, endId: c.end_id }));
+    checkpointsToChange = failed.length;
+    if (currentCount !== null) {
+      for (const { startId, endId } of ranges) {
+        rowsToDelete += await count(`SELECT COUNT(*) as count FROM ${table} WHERE ${key} >= ? AND ${key} <= ?`, [startId, endId]);
+      }
+    }
+  }
+
+  const checkpointAction = scope === 'failed' ? 'reset to pending' : 'delete';
+  console.log(`\n📋 Plan: delete ${rowsToDelete} records, ${checkpointAction} ${checkpointsToChange} checkpoints`);
+  if (scope === 'failed') {
+    ranges.forEach(r => console.log(`   ID range ${r.startId}-${r.endId}`));
+  }
+  if (scope === 'all') {
+    console.log(`   and delete ${syncStates} sync state and ${rejects} rejects (in ${rejectStore.location})`);
+  }
+
+  if (rowsToDelete === 0 && checkpointsToChange === 0 && syncStates === 0 && rejects === 0) {
+    console.log('\n✅ Nothing to clean up');
+    return EXIT_CODES.OK;
+  }
+
+  if (flags['dry-run']) {
+    if (flags.backup && rowsToDelete > 0) {
+      console.log(`🔎 Dry run: would back up ${rowsToDelete} records as ${backupFormat} to ${flags['backup-dir'] || 'backups'}/`);
+    }
+    console.log('🔎 Dry run: no changes were made.');
+    return EXIT_CODES.OK;
+  }
+
+  if (!flags.yes) {
+    console.log('\n⚠️  This action cannot be undone!');
+    const confirmed = await confirmByTyping(`Type the table name (${table}) to confirm: `, table);
+    if (!confirmed) {
+      console.log('❌ Confirmation did not match; nothing was deleted');
+      return EXIT_CODES.FAILURE;
+    }
+  }
+
+  // Export the rows about to be deleted
+  if (flags.backup && rowsToDelete > 0) {
+    console.log(`\n💾 Backing up ${rowsToDelete} records from ${table}...`);
+    const backup = await backupTable(executeD1SQL, {
+      table,
+      keyColumn: key,
+      ranges,
+      dir: flags['backup-dir'] || 'backups',
+      format: backupFormat,
+    });
+    console.log(`   ✅ Wrote ${backup.rows} records to ${backup.file}`);
+  }
+
+  if (scope === 'all') {
+    if (rowsToDelete > 0) {
+      console.log(`\n🗑️  Deleting all data from ${table}...`);
+      await executeD1SQL(`DELETE FROM ${table}`);
+      console.log(`   ✅ Deleted all records from ${table}`);
+    }
+  } else if (scope === 'failed') {
+    for (const checkpoint of failed) {
+      console.log(`\n🗑️  Clearing ID range ${checkpoint.start_id}-${checkpoint.end_id} (checkpoint ${checkpoint.id})...`);
+      if (currentCount !== null) {
+        await executeD1SQL(`DELETE FROM ${table} WHERE ${key} >= ? AND ${key} <= ?`, [checkpoint.start_id, checkpoint.end_id]);
+      }
+      await resetCheckpoint(checkpoint.id);
+      console.log(`   ✅ Range cleared, checkpoint ${checkpoint.id} is pending again`);
+    }
+  }
+
+  if (scope !== 'failed' && checkpointsToChange > 0) {
+    console.log(`\n🗑️  Deleting all checkpoints for ${config.name}...`);
+    await executeD1SQL(`DELETE FROM migration_checkpoints WHERE table_name = ?`, [config.name]);
+    console.log(`   ✅ Deleted all checkpoints for ${config.name}`);
+  }
+
+  if (syncStates > 0) {
+    console.log(`\n🗑️  Deleting the sync state for ${config.name}...`);
+    await executeD1SQL(`DELETE FROM migration_sync_state WHERE table_name = ?`, [config.name]);
+    console.log('   ✅ The next sync starts from what D1 holds');
+  }
+  if (rejects > 0) {
+    console.log(`\n🗑️  Deleting ${rejects} rejects for ${config.name}...`);
+    await rejectStore.clearRejects(config.name);
+    console.log(`   ✅ Deleted all rejects for ${config.name}`);
+  }
+
+  // Verify cleanup
+  console.log('\n🔍 Verifying cleanup...');
+  let remaining = 0;
+
+  if (scope === 'all') {
+    const finalCount = await count(`SELECT COUNT(*) as count FROM ${table}`);
+    console.log(`   ${table} records: ${finalCount ?? 0}`);
+    remaining += finalCount ?? 0;
+
+    const finalSyncStates = await count(`SELECT COUNT(*) as count FROM migration_sync_state WHERE table_name = ?`, [config.name]) ?? 0;
+    const finalRejects = (await rejectStore.summarizeRejects(config.name)).reduce((sum, group) => sum + group.count, 0);
+    console.log(`   Sync state: ${finalSyncStates}, rejects: ${finalRejects}`);
+    remaining += finalSyncStates + finalRejects;
+  }
+  if (scope === 'failed') {
+    const stillFailed = await getFailedCheckpoints(config.name);
+    console.log(`   Failed checkpoints for ${config.name}: ${stillFailed.length}`);
+    remaining += stillFailed.length;
+  } else {
+    const finalCheckpointCount = await count(`SELECT COUNT(*) as count FROM migration_checkpoints WHERE table_name = ?`, [config.name]);
+    console.log(`   Checkpoints for ${config.name}: ${finalCheckpointCount ?? 0}`);
+    remaining += finalCheckpointCount ?? 0;
+  }
+
+  if (remaining > 0) {
+    console.log(`   ⚠️  ${remaining} records/checkpoints/rejects are still there`);
+    return EXIT_CODES.MISMATCH;
+  }
+
+  console.log('\n✅ Cleanup completed successfully!');
+  console.log(scope === 'failed'
+    ? '💡 Run `d1-migrate resume` to migrate the cleared ranges again.\n'
+    : '💡 You can now run the migration from scratch.\n');
+  return EXIT_CODES.OK;
+}
@@ -0,0 +1,174 @@
+import readline from 'readline/promises';
+import {
+  createD1ClientFromEnv,
+  D1AuthError,
+  D1RateLimitError,
+  D1TransientError,
+  D1SustainedFailureError,
+} from '../d1-client.js';
+import { createRateLimiter } from '../rate-limiter.js';
+import { createAdaptiveControllerFromEnv, envNumber } from '../adaptive-controller.js';
+import { loadTableConfig, listTableConfigs } from '../table-config.js';
+import { TYPE_MODES } from '../pg-types.js';
+import { createRejectStore, createFileRejectStore } from '../rejects.js';
+
+// Helpers shared by the d1-migrate subcommands (lib/cli.js)
+
+// Exit codes reported by d1-migrate, so CI can tell failures apart
+export const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1, // Unexpected or non-retryable error
+  USAGE: 2, // Bad command line or unknown table
+  MISMATCH: 3, // Ran fine but the data does not match / work remains
+  CONFIG: 4, // Missing environment variables or rejected credentials
+  RETRYABLE: 5, // D1 kept failing or throttling; safe to re-run (progress is saved)
+};
+
+// Bad command line input
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// Missing or invalid configuration (environment variables, credentials)
+export class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+// Map an error thrown by a command onto an exit code
+export function exitCodeFor(error) {
+  if (error instanceof UsageError) return EXIT_CODES.USAGE;
+  if (error instanceof ConfigError || error instanceof D1AuthError) return EXIT_CODES.CONFIG;
+  if (error instanceof D1SustainedFailureError || error instanceof D1RateLimitError || error instanceof D1TransientError) {
+    return EXIT_CODES.RETRYABLE;
+  }
+  return EXIT_CODES.FAILURE;
+}
+
+// Throw a ConfigError naming every variable in names that is unset
+export function requireEnv(env, names) {
+  const missing = names.filter(name => !env[name]);
+  if (missing.length > 0) {
+    throw new ConfigError(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+}
+
+export const D1_ENV = ['CLOUDFLARE_API_TOKEN', 'CLOUDFLARE_ACCOUNT_ID', 'D1_DATABASE_ID'];
+export const PG_AND_D1_ENV = ['DATABASE_URL', ...D1_ENV];
+
+// Positive integer from a flag, else an environment variable, else the default.
+// flag may be null for settings only read from the environment.
+export function intOption(flags, flag, env, envName, fallback) {
+  const raw = (flag && flags[flag]) ?? env[envName];
+  if (raw === undefined || raw === '') return fallback;
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1) {
+    const source = flag && flags[flag] !== undefined ? `--${flag}` : envName;
+    throw new UsageError(`${source} must be a positive integer (got ${JSON.stringify(raw)})`);
+  }
+  return value;
+}
+
+// Table mappings selected by --config, --all or --table; falls back to the
+// TABLE_CONFIG / TABLE_NAME environment variables, then to defaultAll.
+export function resolveTables(flags, env, { defaultAll = false } = {}) {
+  let configs;
+
+  try {
+    if (flags.config) {
+      configs = [loadTableConfig(flags.config)];
+    } else if (flags.all) {
+      configs = listTableConfigs().map(name => loadTableConfig(name));
+    } else if (flags.table && flags.table.length > 0) {
+      configs = flags.table.map(name => loadTableConfig(name));
+    } else if (env.TABLE_CONFIG || env.TABLE_NAME) {
+      configs = [loadTableConfig(env.TABLE_CONFIG || env.TABLE_NAME)];
+    } else if (defaultAll) {
+      configs = listTableConfigs().map(name => loadTableConfig(name));
+    } else {
+      throw new UsageError('Choose tables with --table <name>, --all or --config <file>');
+    }
+  } catch (error) {
+    throw error instanceof UsageError ? error : new UsageError(error.message);
+  }
+
+  // --preserve-ids or PRESERVE_IDS=true/false override the mappings
+  if (flags['preserve-ids'] || env.PRESERVE_IDS) {
+    const preserveIds = flags['preserve-ids'] || env.PRESERVE_IDS === 'true';
+    configs.forEach(config => { config.preserveIds = preserveIds; });
+  }
+
+  // --type-mode or TYPE_MODE override the mappings' typeMode
+  const typeMode = flags['type-mode'] ?? env.TYPE_MODE;
+  if (typeMode) {
+    if (!TYPE_MODES.includes(typeMode)) {
+      throw new UsageError(`Type mode must be one of ${TYPE_MODES.join(', ')} (got ${JSON.stringify(typeMode)})`);
+    }
+    configs.forEach(config => { config.typeMode = typeMode; });
+  }
+
+  return configs;
+}
+
+// Ask the user to type expected to go ahead. Without a terminal there is
+// nobody to ask, so destructive commands must be given --yes instead.
+export async function confirmByTyping(question, expected) {
+  if (!process.stdin.isTTY) {
+    throw new UsageError(`Not running in a terminal; pass --yes to confirm`);
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = await rl.question(question);
+    return answer.trim() === expected;
+  } finally {
+    rl.close();
+  }
+}
+
+// D1 client paced by a shared rate limiter. With rowsPerStatement, an adaptive
+// controller tunes request size and pacing as well. A bad rate, batch or
+// failure setting in env is a ConfigError before any request is made.
+export function createD1Context(env, { rowsPerStatement = null } = {}) {
+  let rateLimiter;
+  let controller;
+  try {
+    rateLimiter = createRateLimiter({ requestsPerSecond: envNumber(env, 'D1_MAX_RPS', 4) });
+    controller = rowsPerStatement
+      ? createAdaptiveControllerFromEnv({ rateLimiter, rowsPerStatement }, env)
+      : null;
+  } catch (error) {
+    throw new ConfigError(error.message);
+  }
+  const client = createD1ClientFromEnv({ rateLimiter, controller }, env);
+
+  return { ...client, rateLimiter, controller };
+}
+
+// Where rejected rows go: the migration_rejects table in D1, or the NDJSON
+// file named by --rejects-file / REJECTS_FILE
+export function createRejectStoreFor(flags, env, executeD1SQL) {
+  const file = flags['rejects-file'] || env.REJECTS_FILE;
+  return file ? createFileRejectStore(file) : createRejectStore(executeD1SQL);
+}
+
+// Most severe first
+const SEVERITY = [
+  EXIT_CODES.USAGE,
+  EXIT_CODES.CONFIG,
+  EXIT_CODES.FAILURE,
+  EXIT_CODES.RETRYABLE,
+  EXIT_CODES.MISMATCH,
+  EXIT_CODES.OK,
+];
+
+// Worst of several exit codes (used when a command runs over many tables)
+export function worstExitCode(codes) {
+  return codes.reduce((worst, code) => (SEVERITY.indexOf(code) < SEVERITY.indexOf(worst) ? code : worst), EXIT_CODES.OK);
+}
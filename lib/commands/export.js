@@ -0,0 +1,49 @@
+import path from 'path';
+import { createD1ClientFromEnv } from '../d1-client.js';
+import { exportTable } from '../d1-export.js';
+import { DUMP_FORMATS } from '../dump-formats.js';
+import { EXIT_CODES, UsageError, requireEnv, intOption, D1_ENV } from './common.js';
+
+// d1-migrate export: snapshot a D1 table into gzip-compressed NDJSON, CSV or SQL
+// parts plus manifest.json, in <--out>/<table>-<timestamp> (--out defaults to exports)
+export async function exportCommand(config, { flags, env }) {
+  const format = flags.format || 'ndjson';
+  if (!DUMP_FORMATS.includes(format)) {
+    throw new UsageError(`--format must be one of ${DUMP_FORMATS.join(', ')} for export (got "${format}")`);
+  }
+  requireEnv(env, D1_ENV);
+
+  const table = config.targetTable;
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const dir = path.join(flags.out || 'exports', `${table}-${stamp}`);
+  const partRows = intOption(flags, 'part-rows', env, 'EXPORT_PART_ROWS', 50000);
+
+  console.log(`📦 Exporting ${table} from D1${flags['dry-run'] ? ' (dry run)' : ''}\n`);
+  console.log('Configuration:');
+  console.log(`  Format: ${format} (gzip)`);
+  console.log(`  Rows per part: ${partRows}`);
+  console.log(`  Output: ${dir}\n`);
+
+  const { executeD1SQL } = createD1ClientFromEnv({}, env);
+
+  if (flags['dry-run']) {
+    const count = await executeD1SQL(`SELECT COUNT(*) as count FROM ${table}`);
+    const rows = count.result[0].results[0].count;
+    console.log(`🔎 Dry run: would export ${rows} rows in ${Math.ceil(rows / partRows)} parts`);
+    return EXIT_CODES.OK;
+  }
+
+  const manifest = await exportTable(executeD1SQL, {
+    table,
+    keyColumn: config.keyColumn,
+    dir,
+    format,
+    partRows,
+    onPart: part => console.log(`   💾 ${part.file}: ${part.rows} rows (${config.keyColumn} ${part.startId}-${part.endId})`),
+  });
+
+  console.log(`\n✅ Exported ${manifest.rowCount} rows in ${manifest.parts.length} parts`);
+  console.log(`   Manifest: ${path.join(dir, 'manifest.json')}`);
+  console.log(`   Checksum: ${manifest.checksum}`);
+  return EXIT_CODES.OK;
+}
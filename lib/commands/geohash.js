@@ -0,0 +1,85 @@
+import { ensureGeohashColumn, geohashFor, MAX_SQL_VARIABLES } from '../table-config.js';
+import { EXIT_CODES, ConfigError, requireEnv, intOption, createD1Context, D1_ENV } from './common.js';
+
+// d1-migrate geohash: fill the geohash column for rows already in D1 (migrated
+// before the mapping had "geohash", or loaded by import). New rows get theirs
+// from migrate / sync / bulk-load.
+
+// Rows per UPDATE ... CASE statement: a key and a geohash each, plus the IN list key
+const ROWS_PER_UPDATE = Math.floor(MAX_SQL_VARIABLES / 3);
+const UPDATES_PER_REQUEST = 20;
+
+function buildUpdate(config, rows) {
+  const key = config.keyColumn;
+  const column = config.geohash.column;
+  return {
+    sql: `UPDATE ${config.targetTable} SET ${column} = CASE ${key} ${rows.map(() => 'WHEN ? THEN ?').join(' ')} END ` +
+      `WHERE ${key} IN (${rows.map(() => '?').join(', ')})`,
+    params: [...rows.flatMap(row => [row[key], row.hash]), ...rows.map(row => row[key])],
+  };
+}
+
+export async function geohash(config, { flags, env }) {
+  if (!config.geohash) {
+    throw new ConfigError(`Table mapping ${config.name} has no "geohash" setting`);
+  }
+  requireEnv(env, D1_ENV);
+
+  const pageSize = intOption(flags, null, env, 'GEOHASH_PAGE_SIZE', 2000);
+  const { executeD1SQL, executeD1Batch } = createD1Context(env);
+  const { column, latitude, longitude, precision } = config.geohash;
+  const key = config.keyColumn;
+
+  console.log(`🌐 Filling ${config.targetTable}.${column} (precision ${precision})${flags['dry-run'] ? ' (dry run)' : ''}\n`);
+
+  if (flags['dry-run']) {
+    // Before the column exists every row is missing a geohash
+    const info = await executeD1SQL(`PRAGMA table_info(${config.targetTable})`);
+    const hasColumn = info.result[0].results.some(c => c.name === column);
+    const count = await executeD1SQL(
+      `SELECT COUNT(*) as count FROM ${config.targetTable}${hasColumn ? ` WHERE ${column} IS NULL` : ''}`
+    );
+    console.log(`🔎 Dry run: ${count.result[0].results[0].count} rows have no ${column} yet${hasColumn ? '' : ` (${column} column not added yet)`}`);
+    return EXIT_CODES.OK;
+  }
+
+  if (await ensureGeohashColumn(executeD1SQL, config)) {
+    console.log(`   Added ${column} column and index`);
+  }
+
+  let lastKey = null;
+  let filled = 0;
+  let skipped = 0;
+
+  while (true) {
+    const result = await executeD1SQL(
+      `SELECT ${key}, ${latitude}, ${longitude} FROM ${config.targetTable}
+       WHERE ${column} IS NULL${lastKey === null ? '' : ` AND ${key} > ?`}
+       ORDER BY ${key} LIMIT ?`,
+      lastKey === null ? [pageSize] : [lastKey, pageSize]
+    );
+    const page = result.result[0].results;
+    if (page.length === 0) break;
+    lastKey = page[page.length - 1][key];
+
+    const rows = page.map(row => ({ ...row, hash: geohashFor(config, row) })).filter(row => row.hash !== null);
+    skipped += page.length - rows.length;
+
+    const statements = [];
+    for (let i = 0; i < rows.length; i += ROWS_PER_UPDATE) {
+      statements.push(buildUpdate(config, rows.slice(i, i + ROWS_PER_UPDATE)));
+    }
+    for (let i = 0; i < statements.length; i += UPDATES_PER_REQUEST) {
+      await executeD1Batch(statements.slice(i, i + UPDATES_PER_REQUEST));
+    }
+
+    filled += rows.length;
+    console.log(`   Filled ${filled} rows (up to ${key} ${lastKey})`);
+  }
+
+  console.log(`\n✅ Filled ${column} for ${filled} rows`);
+  if (skipped > 0) {
+    console.log(`   ${skipped} rows without valid coordinates were left NULL`);
+  }
+  return EXIT_CODES.OK;
+}
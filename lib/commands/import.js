@@ -0,0 +1,78 @@
+import os from 'os';
+import fs from 'fs';
+import { readManifest } from '../d1-export.js';
+import { createImporter, importRowsPerStatement } from '../d1-import.js';
+import { EXIT_CODES, UsageError, requireEnv, intOption, createD1Context, D1_ENV } from './common.js';
+
+// d1-migrate import --from <dir>: restore an export into an empty D1 table.
+// Parts are loaded as checkpoints, so re-running after a failure resumes.
+// Exits 3 when the final row count differs from the manifest.
+export async function importCommand({ flags, env }) {
+  if (!flags.from) {
+    throw new UsageError('import needs --from <export directory>');
+  }
+  if (!fs.existsSync(flags.from)) {
+    throw new UsageError(`Export directory not found: ${flags.from}`);
+  }
+  requireEnv(env, D1_ENV);
+
+  let manifest;
+  try {
+    manifest = readManifest(flags.from);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { executeD1SQL, executeD1Batch, rateLimiter, controller } = createD1Context(env, {
+    rowsPerStatement: importRowsPerStatement(manifest),
+  });
+  const importer = createImporter({ executeD1SQL, executeD1Batch, controller, manifest, dir: flags.from });
+
+  console.log(`📥 Importing ${flags.from} into D1${flags['dry-run'] ? ' (dry run)' : ''}\n`);
+  console.log('Dump:');
+  console.log(`  Table: ${manifest.table} (${manifest.columns.length} columns, key ${manifest.keyColumn})`);
+  console.log(`  Rows: ${manifest.rowCount} in ${manifest.parts.length} ${manifest.format} parts`);
+  console.log(`  Exported: ${manifest.createdAt}`);
+  console.log(`  Checksum: ${manifest.checksum}\n`);
+
+  const existing = await importer.existingCheckpoints();
+  const targetRows = await importer.countTargetRows();
+
+  if (existing > 0) {
+    console.log(`ℹ️  Resuming: found ${existing} checkpoints from an earlier import of this dump`);
+  } else if (targetRows > 0) {
+    // Refuse to mix a restore into live data
+    throw new UsageError(`${manifest.table} already has ${targetRows} rows; import only loads into an empty table (see d1-migrate cleanup)`);
+  }
+
+  if (flags['dry-run']) {
+    console.log(targetRows === null
+      ? `🔎 Dry run: would create ${manifest.table} and load ${manifest.rowCount} rows`
+      : `🔎 Dry run: would load ${manifest.rowCount} rows into ${manifest.table}`);
+    return EXIT_CODES.OK;
+  }
+
+  await importer.prepare();
+
+  console.log(`\n📤 Loading parts (${controller.batchSize} rows per request, adaptive)...`);
+  const loaded = await importer.run({
+    workerId: env.WORKER_ID || `${os.hostname()}-${process.pid}`,
+    leaseTtlMs: intOption(flags, null, env, 'LEASE_TTL_MS', 600000),
+    heartbeatIntervalMs: intOption(flags, null, env, 'HEARTBEAT_INTERVAL_MS', 60000),
+  });
+
+  console.log(`\n🔍 Verifying import...`);
+  const finalRows = await importer.countTargetRows();
+  console.log(`   Loaded in this run: ${loaded}`);
+  console.log(`   Manifest rows: ${manifest.rowCount}`);
+  console.log(`   D1 rows: ${finalRows}`);
+  console.log(`   Adaptive controller: ${controller.adjustments} adjustments, ended at ${controller.batchSize} rows/request and ${rateLimiter.requestsPerSecond} requests/s`);
+
+  if (finalRows !== manifest.rowCount) {
+    console.log(`\n⚠️  Row count differs from the manifest`);
+    return EXIT_CODES.MISMATCH;
+  }
+
+  console.log('\n✅ Import completed successfully!');
+  return EXIT_CODES.OK;
+}
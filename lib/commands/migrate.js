@@ -0,0 +1,437 @@
+import os from 'os';
+import pg from 'pg';
+import { D1NoSuchTableError } from '../d1-client.js';
+import { createCheckpointStore, LeaseLostError } from '../checkpoints.js';
+import { insertAdaptively } from '../adaptive-controller.js';
+import { transformRows, prepareSource, sourceWhere, maxBatchSize, buildInsertStatements, ensureGeohashColumn } from '../table-config.js';
+import { readSourceRange } from '../pg-stream.js';
+import { reportRejects, conversionRejects } from '../rejects.js';
+import { EXIT_CODES, UsageError, ConfigError, requireEnv, intOption, createD1Context, createRejectStoreFor, PG_AND_D1_ENV } from './common.js';
+
+const { Pool } = pg;
+
+// d1-migrate migrate / resume: resumable, checkpointed migration of one table
+
+// Settings from flags, falling back to the environment variables the
+// standalone scripts used
+function migrationOptions(config, flags, env) {
+  const maxSize = maxBatchSize(config); // Bounded by D1's 100 bound parameters per query
+  const requested = intOption(flags, 'batch-size', env, 'BATCH_SIZE', maxSize);
+  if (requested > maxSize) {
+    console.log(`⚠️  Requested batch size (${requested}) exceeds D1's bound parameter limit, using ${maxSize}\n`);
+  }
+
+  return {
+    batchSize: Math.min(requested, maxSize),
+    checkpointSize: intOption(flags, 'checkpoint-size', env, 'CHECKPOINT_SIZE', 100000),
+    readPageSize: intOption(flags, null, env, 'READ_PAGE_SIZE', 5000), // Rows read from PostgreSQL per query
+    concurrency: intOption(flags, 'concurrency', env, 'CONCURRENCY', 1), // Parallel checkpoint workers
+    leaseTtlMs: intOption(flags, null, env, 'LEASE_TTL_MS', 600000), // Reclaim in_progress checkpoints silent for 10 min
+    maxRejects: intOption(flags, 'max-rejects', env, 'MAX_REJECTS', 1000), // Per checkpoint, before it fails instead
+    heartbeatIntervalMs: intOption(flags, null, env, 'HEARTBEAT_INTERVAL_MS', 60000),
+    workerId: env.WORKER_ID || `${os.hostname()}-${process.pid}`,
+    restart: Boolean(flags.restart) || env.RESUME_MODE === 'false',
+  };
+}
+
+// Migrate a table, creating checkpoints on the first run and continuing from
+// them afterwards (--restart starts over)
+export function migrate(config, context) {
+  return migrateTable(config, context, { resumeOnly: false });
+}
+
+// Continue an existing migration; fails if the table has no checkpoints
+export function resume(config, context) {
+  if (context.flags.restart) {
+    throw new UsageError('resume cannot be combined with --restart; use migrate --restart');
+  }
+  return migrateTable(config, context, { resumeOnly: true });
+}
+
+async function migrateTable(config, { flags, env }, { resumeOnly }) {
+  requireEnv(env, PG_AND_D1_ENV);
+
+  const options = migrationOptions(config, flags, env);
+  const { batchSize, checkpointSize, readPageSize, concurrency, leaseTtlMs, heartbeatIntervalMs, workerId, maxRejects } = options;
+  const restart = options.restart && !resumeOnly;
+
+  // Rows per request and request rate adapt to D1's responses, starting from
+  // STATEMENTS_PER_REQUEST INSERTs of batchSize rows at D1_MAX_RPS
+  const { executeD1SQL, executeD1Batch, rateLimiter, controller } = createD1Context(env, { rowsPerStatement: batchSize });
+  const {
+    claimNextCheckpoint,
+    startHeartbeat,
+    updateCheckpointStatus,
+    getPendingCheckpoints,
+    getLastCompletedCheckpoint,
+    getCheckpointSummary,
+    initializeCheckpoints,
+  } = createCheckpointStore(executeD1SQL);
+  const rejectStore = createRejectStoreFor(flags, env, executeD1SQL);
+
+  // Remove rows a previous attempt may have written for this range. Without
+  // preserveIds D1 ids say nothing about the source range, so those rows cannot
+  // be found; the checkpoint fails rather than inserting them a second time.
+  async function cleanupCheckpointRange(checkpoint) {
+    if (!config.preserveIds) {
+      throw new ConfigError(
+        `Checkpoint ${checkpoint.id} (${config.keyColumn} ${checkpoint.start_id}-${checkpoint.end_id}) was already attempted ` +
+        `and D1 may hold part of it, which cannot be removed without preserveIds. Clear ${config.targetTable} ` +
+        '(`d1-migrate cleanup`) and run `d1-migrate migrate --restart`, or migrate with preserveIds'
+      );
+    }
+
+    // Rows rejected last time get another chance with this attempt
+    await rejectStore.clearRejectRange(config.name, checkpoint.start_id, checkpoint.end_id);
+
+    console.log(`   🧹 Attempt ${checkpoint.attempts}: clearing ID range ${checkpoint.start_id}-${checkpoint.end_id} in D1 before re-inserting`);
+    await executeD1SQL(
+      `DELETE FROM ${config.targetTable} WHERE ${config.keyColumn} >= ? AND ${config.keyColumn} <= ?`,
+      [checkpoint.start_id, checkpoint.end_id]
+    );
+  }
+
+  // Process a single checkpoint (already claimed as 'in_progress' under workerId's lease)
+  async function processCheckpoint(pgPool, checkpoint, worker) {
+    const checkpointId = checkpoint.id;
+    const startId = checkpoint.start_id;
+    const endId = checkpoint.end_id;
+    const expectedRecords = endId - startId + 1;
+
+    console.log(`\n📦 [worker ${worker}] Checkpoint ${checkpointId}: Processing ID range ${startId}-${endId} (up to ${expectedRecords} records)`);
+
+    const lease = startHeartbeat(checkpointId, worker, heartbeatIntervalMs);
+
+    try {
+      // A previous attempt failed or was abandoned mid-way
+      if (checkpoint.attempts > 1) {
+        await cleanupCheckpointRange(checkpoint);
+      }
+
+      // Stream the range from PostgreSQL one page at a time (keyset pagination).
+      // The next page is read only after the previous one is in D1, so memory stays
+      // flat whatever the checkpoint size is. Each page is a separate pool query, so a
+      // broken connection is simply replaced for the next one.
+      let recordsProcessed = 0;
+      let recordsRejected = 0;
+
+      // Rows that cannot be converted, and rows D1 refuses (found by splitting
+      // the failing batch), are set aside in the reject store instead of failing
+      // the checkpoint; past maxRejects the checkpoint fails after all
+      async function setAside(rejects) {
+        if (rejects.length === 0) return;
+        recordsRejected += rejects.length;
+        reportRejects(config, rejects, `   [#${checkpointId}] `);
+        await rejectStore.recordRejects(config.name, rejects);
+
+        if (recordsRejected > maxRejects) {
+          throw new Error(`${recordsRejected} rows rejected, more than --max-rejects ${maxRejects} (last: ${rejects[rejects.length - 1].error})`);
+        }
+      }
+
+      for await (const page of readSourceRange(pgPool, config, { startId, endId, pageSize: readPageSize })) {
+        if (lease.lost) {
+          throw lease.lost;
+        }
+
+        // Apply per-column transforms and type conversions
+        const { rows: processedRows, rejected } = transformRows(config, page);
+        await setAside(conversionRejects(rejected, checkpointId));
+        const lastKey = Number(page[page.length - 1][config.keyColumn]);
+
+        // Insert to D1: batchSize-row INSERTs packed into transactional batch
+        // requests whose size and pacing the adaptive controller tunes
+        const refused = [];
+        await insertAdaptively({
+          rows: processedRows,
+          buildStatements: rows => buildInsertStatements(config, rows, batchSize),
+          executeD1Batch,
+          controller,
+          onBatch: (batch) => {
+            recordsProcessed += batch.length;
+            if (lease.lost) {
+              throw lease.lost;
+            }
+          },
+          onRejected: (row, error) => {
+            refused.push({ key: row[config.keyColumn], checkpointId, stage: 'insert', error: error.message, row });
+          },
+        });
+        await setAside(refused);
+
+        const progress = (((lastKey - startId + 1) / expectedRecords) * 100).toFixed(1);
+        console.log(`   [#${checkpointId}] Inserted ${recordsProcessed} records up to ${config.keyColumn} ${lastKey} (${progress}% of range)`);
+      }
+
+      if (recordsProcessed === 0 && recordsRejected === 0) {
+        console.log(`   ℹ️  No records in this range, marking as completed`);
+      }
+
+      // Completed, but the rejected rows stay visible in status
+      const note = recordsRejected > 0 ? `${recordsRejected} rows rejected (d1-migrate rejects list)` : null;
+      await updateCheckpointStatus(checkpointId, 'completed', recordsProcessed, note, worker);
+      console.log(`   ✅ Checkpoint ${checkpointId} completed (${recordsProcessed} records${note ? `, ${recordsRejected} rejected` : ''})`);
+
+      return { processed: recordsProcessed, rejected: recordsRejected };
+    } catch (error) {
+      if (error instanceof LeaseLostError) {
+        // Another run owns this range now; leave its status alone
+        console.error(`   ⚠️  ${error.message}, abandoning checkpoint`);
+        return { processed: 0, rejected: 0 };
+      }
+
+      console.error(`   ❌ Checkpoint ${checkpointId} failed: ${error.message}`);
+      try {
+        await updateCheckpointStatus(checkpointId, 'failed', 0, error.message, worker);
+      } catch (statusError) {
+        // D1 itself may be what is failing; the lease expires and the range is reclaimed later
+        console.error(`   ⚠️  Could not mark checkpoint ${checkpointId} as failed: ${statusError.message}`);
+      }
+      throw error;
+    } finally {
+      lease.stop();
+    }
+  }
+
+  // Worker loop: keep claiming checkpoints until none are left or another worker failed
+  async function runWorker(worker, pgPool, run) {
+    try {
+      while (!run.failure) {
+        const checkpoint = await claimNextCheckpoint(config.name, worker, {
+          runStartedAt: run.startedAt,
+          leaseExpiry: new Date(Date.now() - leaseTtlMs).toISOString(),
+        });
+        if (!checkpoint) {
+          return;
+        }
+
+        run.claimed++;
+        const progress = (run.claimed / run.total * 100).toFixed(1);
+        console.log(`\n[${run.claimed}/${run.total}] (${progress}% of remaining)`);
+
+        const result = await processCheckpoint(pgPool, checkpoint, worker);
+        run.processed += result.processed;
+        run.rejected += result.rejected;
+      }
+    } catch (error) {
+      // Stop handing out new work; in-flight checkpoints on other workers finish normally
+      run.failure = run.failure || error;
+    }
+  }
+
+  // Ensure target table (and its geohash column, if mapped) exists in D1
+  async function ensureTargetTableExists() {
+    try {
+      await executeD1SQL(`SELECT COUNT(*) FROM ${config.targetTable} LIMIT 1`);
+    } catch (error) {
+      if (error instanceof D1NoSuchTableError) {
+        console.log(`   📋 Creating ${config.targetTable} table in D1...`);
+
+        for (const statement of config.ddl) {
+          await executeD1SQL(statement);
+        }
+
+        console.log(`   ✅ Created ${config.targetTable} table with indexes`);
+      } else {
+        throw error;
+      }
+    }
+
+    if (await ensureGeohashColumn(executeD1SQL, config)) {
+      console.log(`   🌐 Added ${config.geohash.column} column and index to ${config.targetTable}`);
+    }
+  }
+
+  // Compare the D1 row count with PostgreSQL (rows matching the mapping's
+  // "where"). A transform module may drop or split rows, so then the count is
+  // compared with the rows the checkpoints inserted instead.
+  async function verifyCount(totalRecords) {
+    console.log(`\n🔍 Verifying migration...`);
+    const verifyResult = await executeD1SQL(`SELECT COUNT(*) as count FROM ${config.targetTable}`);
+    const d1Count = verifyResult.result[0].results[0].count;
+
+    console.log(`   PostgreSQL records: ${totalRecords}${config.where ? ' (matching the source filter)' : ''}`);
+    let expected = totalRecords;
+    if (config.rowTransform) {
+      expected = (await getCheckpointSummary(config.name)).reduce((sum, s) => sum + s.records, 0);
+      console.log(`   Records after the transform module: ${expected}`);
+    }
+    console.log(`   D1 records: ${d1Count}`);
+    return { d1Count, expected };
+  }
+
+  // One PostgreSQL connection per worker
+  const pgPool = new Pool({
+    connectionString: env.DATABASE_URL,
+    max: concurrency,
+    keepAlive: true,
+    keepAliveInitialDelayMillis: 10000, // Start keepalive after 10s
+  });
+
+  // Handle PostgreSQL connection errors on idle pooled clients
+  pgPool.on('error', (err) => {
+    console.error('⚠️  PostgreSQL connection error:', err.message);
+    // Don't throw, the pool opens a fresh connection for the next query
+  });
+
+  try {
+    console.log(`🚀 ${resumeOnly ? 'Resuming' : 'Starting resumable'} migration from PostgreSQL to Cloudflare D1${flags['dry-run'] ? ' (dry run)' : ''}\n`);
+    console.log('Configuration:');
+    console.log(`  Table: ${config.sourceTable} → ${config.targetTable}`);
+    console.log(`  Database URL: ${env.DATABASE_URL.replace(/:[^:@]+@/, ':***@')}`);
+    console.log(`  Checkpoint Size: ${checkpointSize} records (read ${readPageSize} at a time)`);
+    console.log(`  D1 Batch Size: ${batchSize} rows per INSERT, ${controller.batchSize} rows per request (adaptive)`);
+    console.log(`  Workers: ${concurrency} (up to ${rateLimiter.requestsPerSecond} D1 requests/s combined, adaptive)`);
+    console.log(`  Preserve IDs: ${config.preserveIds ? `Enabled (upsert on ${config.keyColumn})` : 'Disabled'}`);
+    console.log(`  Type Mode: ${config.typeMode}`);
+    console.log(`  Source Filter: ${config.where || 'None (every row)'}`);
+    if (config.transformModule) {
+      console.log(`  Transform Module: ${config.transformModule}`);
+    }
+    console.log(`  Rejected Rows: ${rejectStore.location} (up to ${maxRejects} per checkpoint)`);
+    console.log(`  Resume Mode: ${restart ? 'Disabled (--restart)' : 'Enabled'}\n`);
+
+    // Existing checkpoints decide between starting fresh and continuing
+    const summary = await getCheckpointSummary(config.name);
+    const existing = summary.reduce((sum, s) => sum + s.count, 0);
+
+    if (resumeOnly && existing === 0) {
+      throw new UsageError(`No checkpoints found for ${config.name}; start the migration with \`d1-migrate migrate\``);
+    }
+
+    // Connect to PostgreSQL with keepalive
+    console.log('🔌 Connecting to PostgreSQL (with keepalive)...');
+    await pgPool.query('SELECT 1');
+    console.log('✅ Connected to PostgreSQL');
+    await prepareSource(pgPool, config);
+
+    // Get table statistics
+    console.log(`\n📊 Analyzing ${config.sourceTable}...`);
+    const statsResult = await pgPool.query(`
+      SELECT
+        COUNT(*) as total_records,
+        MIN(${config.keyColumn}) as min_id,
+        MAX(${config.keyColumn}) as max_id
+      FROM ${config.sourceTable}
+      ${sourceWhere(config)}
+    `);
+
+    const { min_id, max_id } = statsResult.rows[0];
+    const totalRecords = parseInt(statsResult.rows[0].total_records, 10);
+    console.log(`   Total records: ${totalRecords}`);
+    console.log(`   ID range: ${min_id} - ${max_id}`);
+
+    if (totalRecords === 0) {
+      console.log('⚠️  No records to migrate');
+      return EXIT_CODES.OK;
+    }
+
+    if (flags['dry-run']) {
+      if (existing > 0 && !restart) {
+        const remaining = summary.filter(s => s.status !== 'completed').reduce((sum, s) => sum + s.count, 0);
+        console.log(`\n🔎 Dry run: would continue ${remaining} of ${existing} existing checkpoints`);
+      } else {
+        const planned = Math.ceil((parseInt(max_id, 10) - parseInt(min_id, 10) + 1) / checkpointSize);
+        if (existing > 0) {
+          console.log(`\n🔎 Dry run: would delete ${existing} existing checkpoints`);
+        }
+        console.log(`\n🔎 Dry run: would create ${planned} checkpoints of ${checkpointSize} IDs and migrate ${totalRecords} records`);
+      }
+      console.log('   No changes were made.');
+      return EXIT_CODES.OK;
+    }
+
+    // Ensure target table exists in D1
+    console.log('\n🔍 Checking D1 schema...');
+    await ensureTargetTableExists();
+    await rejectStore.ensureRejectsTable();
+    console.log('✅ D1 schema ready');
+
+    // Starting over gives every row another chance
+    if (restart) {
+      await rejectStore.clearRejects(config.name);
+    }
+
+    // Initialize checkpoints
+    await initializeCheckpoints(config.name, parseInt(min_id, 10), parseInt(max_id, 10), {
+      checkpointSize,
+      resume: !restart,
+    });
+
+    // Get pending checkpoints
+    const leaseExpiry = new Date(Date.now() - leaseTtlMs).toISOString();
+    const pendingCheckpoints = await getPendingCheckpoints(config.name, leaseExpiry);
+    const lastCompleted = await getLastCompletedCheckpoint(config.name);
+
+    console.log(`\n📊 Migration Status:`);
+    if (lastCompleted) {
+      console.log(`   Last completed: ID ${lastCompleted.start_id}-${lastCompleted.end_id}`);
+      console.log(`   Resuming from: ID ${lastCompleted.end_id + 1}`);
+    }
+    console.log(`   Pending checkpoints: ${pendingCheckpoints.length}`);
+
+    const abandoned = pendingCheckpoints.filter(c => c.status === 'in_progress').length;
+    if (abandoned > 0) {
+      console.log(`   Reclaiming ${abandoned} checkpoints with expired leases (no heartbeat for ${leaseTtlMs / 1000}s)`);
+    }
+
+    let processed = 0;
+    let rejected = 0;
+
+    if (pendingCheckpoints.length === 0) {
+      console.log('\n✅ All checkpoints already completed!');
+    } else {
+      // Process checkpoints with N workers that each claim the next pending range
+      const workerCount = Math.min(concurrency, pendingCheckpoints.length);
+      console.log(`\n📤 Processing ${pendingCheckpoints.length} checkpoints with ${workerCount} worker(s)...`);
+      const run = {
+        startedAt: new Date().toISOString(),
+        total: pendingCheckpoints.length,
+        claimed: 0,
+        processed: 0,
+        rejected: 0,
+        failure: null,
+      };
+
+      await Promise.all(
+        Array.from({ length: workerCount }, (_, i) => runWorker(`${workerId}/${i + 1}`, pgPool, run))
+      );
+
+      if (run.failure) {
+        throw run.failure;
+      }
+      processed = run.processed;
+      rejected = run.rejected;
+    }
+
+    // Final verification
+    const { d1Count, expected } = await verifyCount(totalRecords);
+    console.log(`   Processed in this run: ${processed}`);
+    if (rejected > 0) {
+      console.log(`   Rejected in this run: ${rejected} (in ${rejectStore.location})`);
+    }
+    console.log(`   Adaptive controller: ${controller.adjustments} adjustments, ended at ${controller.batchSize} rows/request and ${rateLimiter.requestsPerSecond} requests/s`);
+
+    // Rejected rows are not among the records the checkpoints inserted
+    if (d1Count === expected && (!config.rowTransform || rejected === 0)) {
+      console.log('\n✅ Migration completed successfully! All records migrated.');
+      return EXIT_CODES.OK;
+    }
+
+    console.log(`\n⚠️  Migration completed but record counts do not match!`);
+    console.log(`   Missing records: ${expected - d1Count + (config.rowTransform ? rejected : 0)}`);
+    if (rejected > 0) {
+      console.log(`   ${rejected} of them were rejected: see \`d1-migrate rejects list\`, and once fixed load them with \`d1-migrate rejects retry\``);
+    }
+    return EXIT_CODES.MISMATCH;
+
+  } catch (error) {
+    if (!(error instanceof UsageError || error instanceof ConfigError)) {
+      console.log('\n💡 You can resume this migration with `d1-migrate resume`.');
+    }
+    throw error;
+  } finally {
+    await pgPool.end();
+    console.log('\n🔌 Disconnected from PostgreSQL');
+  }
+}
@@ -0,0 +1,88 @@
+import fs from 'fs';
+import pg from 'pg';
+import { checkSourceWhere, loadRowTransform } from '../table-config.js';
+import { findOrphanedIds, deleteIds } from '../reconcile.js';
+import { EXIT_CODES, ConfigError, requireEnv, intOption, confirmByTyping, createD1Context, PG_AND_D1_ENV } from './common.js';
+
+const { Client } = pg;
+
+// d1-migrate reconcile: delete D1 rows whose key no longer exists in
+// PostgreSQL. Asks for the table name to be typed unless --yes is given;
+// --dry-run only reports them. More than --max-deletions orphans stops the
+// run without deleting anything (exit 3), as does a dry run that finds some.
+export async function reconcile(config, { flags, env }) {
+  requireEnv(env, PG_AND_D1_ENV);
+
+  if (!config.preserveIds) {
+    throw new ConfigError(`Delete reconciliation for ${config.name} requires preserveIds (D1 ids must match PostgreSQL ids)`);
+  }
+
+  const maxDeletions = intOption(flags, 'max-deletions', env, 'MAX_DELETIONS', 1000);
+  const chunkSize = intOption(flags, null, env, 'RECONCILE_CHUNK_SIZE', 10000); // Keys compared per id list
+  const reportFile = env.RECONCILE_REPORT; // Optional JSON report path
+
+  const { executeD1SQL } = createD1Context(env);
+  const pgClient = new Client({ connectionString: env.DATABASE_URL });
+
+  try {
+    console.log(`🧮 Reconciling rows deleted in PostgreSQL${flags['dry-run'] ? ' (dry run)' : ''}\n`);
+    console.log('Configuration:');
+    console.log(`  Table: ${config.sourceTable} → ${config.targetTable}`);
+    if (config.where) {
+      console.log(`  Source Filter: ${config.where} (D1 rows outside it count as orphaned)`);
+    }
+    console.log(`  Max Deletions: ${maxDeletions}\n`);
+
+    console.log('🔌 Connecting to PostgreSQL...');
+    await pgClient.connect();
+    console.log('✅ Connected to PostgreSQL');
+    await checkSourceWhere(pgClient, config);
+    await loadRowTransform(config);
+
+    console.log('\n🔍 Comparing id sets per range...');
+    const orphans = await findOrphanedIds({ pgClient, executeD1SQL, config, chunkSize });
+
+    console.log(`\n📊 Found ${orphans.length} D1 rows with no PostgreSQL counterpart`);
+    if (orphans.length > 0) {
+      const preview = orphans.slice(0, 50).join(', ');
+      console.log(`   IDs: ${preview}${orphans.length > 50 ? ', ...' : ''}`);
+    }
+
+    if (reportFile) {
+      fs.writeFileSync(reportFile, JSON.stringify({ table: config.name, orphans }, null, 2));
+      console.log(`\n📝 Wrote report to ${reportFile}`);
+    }
+
+    if (orphans.length === 0) {
+      console.log('\n✅ Nothing to delete');
+      return EXIT_CODES.OK;
+    }
+
+    if (flags['dry-run']) {
+      console.log('\n🔎 Dry run: no rows were deleted. Run without --dry-run to delete them.');
+      return EXIT_CODES.MISMATCH;
+    }
+
+    if (orphans.length > maxDeletions) {
+      console.log(`\n❌ ${orphans.length} deletions exceed --max-deletions ${maxDeletions}; review the IDs and raise the limit to proceed`);
+      return EXIT_CODES.MISMATCH;
+    }
+
+    if (!flags.yes) {
+      const confirmed = await confirmByTyping(`\nType the table name (${config.targetTable}) to delete ${orphans.length} rows: `, config.targetTable);
+      if (!confirmed) {
+        console.log('❌ Confirmation did not match; nothing was deleted');
+        return EXIT_CODES.FAILURE;
+      }
+    }
+
+    console.log(`\n🗑️  Deleting ${orphans.length} orphaned rows from ${config.targetTable}...`);
+    const deleted = await deleteIds(executeD1SQL, config, orphans);
+    console.log(`   ✅ Deleted ${deleted} rows`);
+    return EXIT_CODES.OK;
+
+  } finally {
+    await pgClient.end();
+    console.log('\n🔌 Disconnected from PostgreSQL');
+  }
+}
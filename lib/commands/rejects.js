@@ -0,0 +1,149 @@
+import pg from 'pg';
+import { insertAdaptively } from '../adaptive-controller.js';
+import { sourceSelectList, sourceWhere, transformRows, prepareSource, maxBatchSize, buildInsertStatements } from '../table-config.js';
+import { reportRejects, conversionRejects } from '../rejects.js';
+import {
+  EXIT_CODES,
+  requireEnv,
+  intOption,
+  createD1Context,
+  createRejectStoreFor,
+  D1_ENV,
+  PG_AND_D1_ENV,
+} from './common.js';
+
+const { Client } = pg;
+
+// d1-migrate rejects list / retry: rows set aside by migrate and sync because
+// they could not be converted or D1 refused them (see lib/rejects.js)
+
+const usesFile = (flags, env) => Boolean(flags['rejects-file'] || env.REJECTS_FILE);
+
+// Counts per error, then the first rows
+export async function listRejects(config, { flags, env }) {
+  if (!usesFile(flags, env)) {
+    requireEnv(env, D1_ENV);
+  }
+
+  const limit = intOption(flags, null, env, 'REJECTS_LIST_LIMIT', 20);
+  const { executeD1SQL } = createD1Context(env);
+  const store = createRejectStoreFor(flags, env, executeD1SQL);
+
+  const summary = await store.summarizeRejects(config.name);
+  const total = summary.reduce((sum, group) => sum + group.count, 0);
+
+  console.log(`📋 Rejected rows for ${config.name} (${store.location}): ${total}`);
+  if (total === 0) {
+    return EXIT_CODES.OK;
+  }
+
+  console.log('\nBy error:');
+  for (const group of summary) {
+    console.log(`   ${String(group.count).padStart(6)}  [${group.stage}] ${group.error}`);
+  }
+
+  console.log(`\nFirst ${Math.min(limit, total)} rows:`);
+  for (const entry of await store.listRejects(config.name, { limit })) {
+    const data = entry.row_data && entry.row_data.length > 120 ? `${entry.row_data.slice(0, 117)}...` : entry.row_data;
+    console.log(`   ${config.keyColumn} ${entry.row_key} [${entry.stage}, ${entry.attempts} attempt${entry.attempts === 1 ? '' : 's'}] ${entry.error}`);
+    console.log(`      ${data}`);
+  }
+
+  console.log('\n💡 Fix the source rows, the mapping or the D1 schema, then run `d1-migrate rejects retry`.');
+  return EXIT_CODES.MISMATCH;
+}
+
+// Read the rejected rows from PostgreSQL again (so source fixes are picked up)
+// and insert them. Rows that go in, or no longer exist in the source, leave
+// the reject store; the others stay with their new error.
+export async function retryRejects(config, { flags, env }) {
+  requireEnv(env, PG_AND_D1_ENV);
+
+  const batchSize = maxBatchSize(config);
+  const pageSize = intOption(flags, null, env, 'REJECTS_PAGE_SIZE', 500);
+  const { executeD1SQL, executeD1Batch, controller } = createD1Context(env, { rowsPerStatement: batchSize });
+  const store = createRejectStoreFor(flags, env, executeD1SQL);
+  const key = config.keyColumn;
+
+  const total = (await store.summarizeRejects(config.name)).reduce((sum, group) => sum + group.count, 0);
+  console.log(`🔁 Retrying ${total} rejected rows of ${config.name} (${store.location})${flags['dry-run'] ? ' (dry run)' : ''}\n`);
+
+  if (total === 0 || flags['dry-run']) {
+    if (total > 0) {
+      console.log(`🔎 Dry run: would read ${total} rows from ${config.sourceTable} and insert them into ${config.targetTable}`);
+    }
+    return EXIT_CODES.OK;
+  }
+
+  const pgClient = new Client({ connectionString: env.DATABASE_URL });
+  let loaded = 0;
+  let gone = 0;
+  let failing = 0;
+
+  try {
+    await pgClient.connect();
+    await prepareSource(pgClient, config);
+
+    let afterKey = null;
+    while (true) {
+      const entries = await store.listRejects(config.name, { limit: pageSize, afterKey });
+      if (entries.length === 0) break;
+      afterKey = entries[entries.length - 1].row_key;
+
+      const keys = entries.map(entry => entry.row_key);
+      const result = await pgClient.query(
+        `SELECT ${sourceSelectList(config)} FROM ${config.sourceTable} ${sourceWhere(config, [`${key} = ANY($1)`])} ORDER BY ${key}`,
+        [keys]
+      );
+
+      // Deleted from the source (or no longer matching its filter) since; nothing left to load
+      const found = new Set(result.rows.map(row => String(row[key])));
+      const missing = keys.filter(k => !found.has(String(k)));
+      if (missing.length > 0) {
+        await store.deleteRejects(config.name, missing);
+        gone += missing.length;
+      }
+
+      const { rows, rejected } = transformRows(config, result.rows);
+      const rejects = conversionRejects(rejected);
+      const inserted = [];
+
+      await insertAdaptively({
+        rows,
+        buildStatements: chunk => buildInsertStatements(config, chunk, batchSize),
+        executeD1Batch,
+        controller,
+        onBatch: (batch) => {
+          inserted.push(...batch.map(row => row[key]));
+        },
+        onRejected: (row, error) => {
+          rejects.push({ key: row[key], stage: 'insert', error: error.message, row });
+        },
+      });
+
+      await store.deleteRejects(config.name, inserted);
+      if (rejects.length > 0) {
+        reportRejects(config, rejects);
+        await store.recordRejects(config.name, rejects);
+      }
+
+      loaded += inserted.length;
+      failing += rejects.length;
+      console.log(`   Loaded ${loaded}, still rejected ${failing} (up to ${key} ${afterKey})`);
+    }
+  } finally {
+    await pgClient.end();
+  }
+
+  console.log(`\n📊 Retry Summary:`);
+  console.log(`   Loaded: ${loaded}`);
+  console.log(`   No longer in ${config.sourceTable}: ${gone}`);
+  console.log(`   Still rejected: ${failing}`);
+
+  if (failing > 0) {
+    console.log('\n⚠️  Some rows are still rejected; see `d1-migrate rejects list`');
+    return EXIT_CODES.MISMATCH;
+  }
+  console.log('\n✅ Every rejected row is now in D1');
+  return EXIT_CODES.OK;
+}
@@ -0,0 +1,127 @@
+import fs from 'fs';
+import { createD1ClientFromEnv } from '../d1-client.js';
+import { splitSqlStatements } from '../sql-splitter.js';
+import { d1MigrationSettings } from '../wrangler.js';
+import { createMigrationRunner, findDestructiveStatements, listMigrationFiles } from '../schema-migrations.js';
+import { EXIT_CODES, UsageError, requireEnv, D1_ENV } from './common.js';
+
+// d1-migrate schema apply: apply pending migrations/ files (the directory and
+// migrations table come from wrangler.toml), or with --file run one schema file.
+// DROP TABLE / DROP COLUMN statements are refused unless --allow-drop is given.
+export async function applySchema({ flags, env }) {
+  return flags.file ? applySchemaFile({ flags, env }) : applyMigrations({ flags, env });
+}
+
+function shortSql(sql) {
+  return sql.replace(/\s+/g, ' ').substring(0, 50);
+}
+
+// Throw a UsageError listing every destructive statement, unless --allow-drop
+function refuseDestructive(flags, located) {
+  if (located.length === 0 || flags['allow-drop']) return;
+
+  const list = located.map(({ file, line, sql }) => `  ${file}:${line}: ${shortSql(sql)}`).join('\n');
+  throw new UsageError(`Refusing to run destructive statements (pass --allow-drop to run them):\n${list}`);
+}
+
+async function applyMigrations({ flags, env }) {
+  requireEnv(env, D1_ENV);
+  const { migrationsDir, migrationsTable } = d1MigrationSettings({ databaseId: env.D1_DATABASE_ID });
+  try {
+    listMigrationFiles(migrationsDir);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { executeD1SQL, executeD1Batch } = createD1ClientFromEnv({}, env);
+  const runner = createMigrationRunner({ executeD1SQL, executeD1Batch, dir: migrationsDir, table: migrationsTable });
+
+  console.log(`📋 Checking ${migrationsDir}/ against ${migrationsTable}...`);
+  const applied = await runner.appliedMigrations();
+  let pending;
+  try {
+    pending = await runner.pendingMigrations();
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  console.log(`   Applied: ${applied.length}${applied.length > 0 ? ` (latest ${applied[applied.length - 1].name})` : ''}`);
+  console.log(`   Pending: ${pending.length}`);
+  pending.forEach(m => console.log(`     - ${m.name} (${m.statements.length} statements)`));
+
+  if (pending.length === 0) {
+    console.log('\n✅ Schema is up to date');
+    return EXIT_CODES.OK;
+  }
+
+  refuseDestructive(flags, pending.flatMap(m => findDestructiveStatements(m.statements).map(s => ({ ...s, file: m.file }))));
+
+  if (flags['dry-run']) {
+    console.log(`\n🔎 Dry run: would apply ${pending.length} migrations`);
+    return EXIT_CODES.OK;
+  }
+
+  console.log(`\n🔨 Applying ${pending.length} migrations...`);
+  for (const migration of pending) {
+    console.log(`  ${migration.name}`);
+    try {
+      await runner.applyMigration(migration);
+      console.log(`  ✅ Applied`);
+    } catch (error) {
+      // The migration ran as one transaction, so nothing from it was kept
+      console.error(`  ❌ Failed, rolled back: ${error.message}`);
+      error.message = `Migration ${migration.file} failed: ${error.message}`;
+      throw error;
+    }
+  }
+
+  console.log('\n✅ Schema migrations applied successfully!');
+  return EXIT_CODES.OK;
+}
+
+async function applySchemaFile({ flags, env }) {
+  const file = flags.file;
+  if (!fs.existsSync(file)) {
+    throw new UsageError(`Schema file not found: ${file}`);
+  }
+
+  console.log(`📋 Reading schema file ${file}...`);
+  const schema = fs.readFileSync(file, 'utf8');
+
+  let statements;
+  try {
+    statements = splitSqlStatements(schema);
+  } catch (error) {
+    throw new UsageError(`${file}: ${error.message}`);
+  }
+
+  refuseDestructive(flags, findDestructiveStatements(statements).map(s => ({ ...s, file })));
+
+  if (flags['dry-run']) {
+    console.log(`🔎 Dry run: would execute ${statements.length} SQL statements:\n`);
+    statements.forEach((stmt, i) => console.log(`-- [${i + 1}/${statements.length}] ${file}:${stmt.line}\n${stmt.sql};\n`));
+    return EXIT_CODES.OK;
+  }
+
+  requireEnv(env, D1_ENV);
+  const { executeD1SQL } = createD1ClientFromEnv({}, env);
+
+  console.log(`🔨 Executing ${statements.length} SQL statements...`);
+
+  for (let i = 0; i < statements.length; i++) {
+    const stmt = statements[i];
+    console.log(`  [${i + 1}/${statements.length}] Line ${stmt.line}: ${shortSql(stmt.sql)}...`);
+
+    try {
+      await executeD1SQL(stmt.sql);
+      console.log(`  ✅ Success`);
+    } catch (error) {
+      console.error(`  ❌ Failed at ${file}:${stmt.line}: ${error.message}`);
+      error.message = `Statement ${i + 1} at ${file}:${stmt.line} failed: ${error.message}`;
+      throw error;
+    }
+  }
+
+  console.log('\n✅ Schema setup completed successfully!');
+  return EXIT_CODES.OK;
+}
@@ -0,0 +1,61 @@
+import fs from 'fs';
+import pg from 'pg';
+import { createD1ClientFromEnv } from '../d1-client.js';
+import { collectTableStatus, isComplete, formatStatusTable, formatStatusMarkdown } from '../status-report.js';
+import { EXIT_CODES, UsageError, ConfigError, requireEnv, resolveTables, D1_ENV } from './common.js';
+
+const { Client } = pg;
+
+const FORMATS = ['table', 'json', 'markdown'];
+
+// d1-migrate status: checkpoint progress per table (read-only). DATABASE_URL is
+// optional and adds the source row count. --format picks table, json or markdown;
+// --step-summary also appends the markdown to $GITHUB_STEP_SUMMARY.
+// Exits 0 when every selected table is complete, 3 while work remains.
+export async function status({ flags, env }) {
+  const format = flags.format || 'table';
+  if (!FORMATS.includes(format)) {
+    throw new UsageError(`--format must be one of ${FORMATS.join(', ')} (got "${format}")`);
+  }
+  if (flags['step-summary'] && !env.GITHUB_STEP_SUMMARY) {
+    throw new ConfigError('--step-summary needs GITHUB_STEP_SUMMARY (set by GitHub Actions)');
+  }
+
+  const tables = resolveTables(flags, env, { defaultAll: true });
+  requireEnv(env, D1_ENV);
+
+  const { executeD1SQL } = createD1ClientFromEnv({}, env);
+  const pgClient = env.DATABASE_URL ? new Client({ connectionString: env.DATABASE_URL }) : null;
+  const reports = [];
+
+  try {
+    if (pgClient) {
+      await pgClient.connect();
+    }
+    for (const config of tables) {
+      reports.push(await collectTableStatus({ executeD1SQL, pgClient, config }));
+    }
+  } finally {
+    if (pgClient) {
+      await pgClient.end();
+    }
+  }
+
+  const generatedAt = new Date().toISOString();
+  const markdown = formatStatusMarkdown(reports, { generatedAt });
+
+  if (format === 'json') {
+    console.log(JSON.stringify({ generatedAt, tables: reports }, null, 2));
+  } else if (format === 'markdown') {
+    console.log(markdown);
+  } else {
+    console.log(`📊 Migration status (${generatedAt})\n`);
+    console.log(formatStatusTable(reports));
+  }
+
+  if (flags['step-summary']) {
+    fs.appendFileSync(env.GITHUB_STEP_SUMMARY, markdown);
+  }
+
+  return reports.every(isComplete) ? EXIT_CODES.OK : EXIT_CODES.MISMATCH;
+}
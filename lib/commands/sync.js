@@ -0,0 +1,85 @@
+import pg from 'pg';
+import { maxBatchSize } from '../table-config.js';
+import { syncTable, planSync } from '../sync.js';
+import { EXIT_CODES, ConfigError, requireEnv, intOption, createD1Context, createRejectStoreFor, PG_AND_D1_ENV } from './common.js';
+
+const { Client } = pg;
+
+// d1-migrate sync: upsert rows added or edited in PostgreSQL since the last run.
+// --dry-run reports the high-water marks and how many rows are waiting.
+export async function sync(config, { flags, env }) {
+  requireEnv(env, PG_AND_D1_ENV);
+
+  if (!config.preserveIds) {
+    throw new ConfigError(`Sync for ${config.name} requires preserveIds in its table mapping (D1 ids must match PostgreSQL ids)`);
+  }
+
+  const batchSize = Math.min(intOption(flags, 'batch-size', env, 'BATCH_SIZE', maxBatchSize(config)), maxBatchSize(config));
+  const pageSize = intOption(flags, null, env, 'SYNC_PAGE_SIZE', 5000); // Rows read from PostgreSQL per query
+
+  // Rows per request and request rate adapt to D1's responses
+  const { executeD1SQL, executeD1Batch, controller } = createD1Context(env, { rowsPerStatement: batchSize });
+  const pgClient = new Client({ connectionString: env.DATABASE_URL });
+
+  try {
+    console.log(`🔄 Starting incremental sync from PostgreSQL to Cloudflare D1${flags['dry-run'] ? ' (dry run)' : ''}\n`);
+    console.log('Configuration:');
+    console.log(`  Table: ${config.sourceTable} → ${config.targetTable}`);
+    console.log(`  Change detection: new ${config.keyColumn}` +
+      (config.updatedAtColumn ? ` + ${config.updatedAtColumn}` : ' only'));
+    console.log(`  Page Size: ${pageSize}, D1 Batch Size: ${batchSize}\n`);
+
+    console.log('🔌 Connecting to PostgreSQL...');
+    await pgClient.connect();
+    console.log('✅ Connected to PostgreSQL\n');
+
+    if (flags['dry-run']) {
+      const plan = await planSync({ pgClient, executeD1SQL, config });
+
+      console.log(`🔎 Dry run: the next sync would pick up`);
+      console.log(`   New rows: ${plan.newRows} (${config.keyColumn} > ${plan.lastId})`);
+      if (config.updatedAtColumn) {
+        console.log(plan.changedRows === null
+          ? `   Changed rows: not tracked until the first sync stores a ${config.updatedAtColumn} mark`
+          : `   Changed rows: ${plan.changedRows} (${config.updatedAtColumn} > ${plan.lastUpdatedAt})`);
+      }
+      console.log('   No changes were made.');
+      return EXIT_CODES.OK;
+    }
+
+    const result = await syncTable({
+      pgClient,
+      executeD1SQL,
+      executeD1Batch,
+      controller,
+      rejectStore: createRejectStoreFor(flags, env, executeD1SQL),
+      config,
+      batchSize,
+      pageSize,
+    });
+
+    console.log(`\n📊 Sync Summary:`);
+    console.log(`   New rows: ${result.newRows}`);
+    console.log(`   Changed rows: ${result.changedRows}`);
+    if (result.skippedRows > 0) {
+      console.log(`   Rejected rows: ${result.skippedRows} (see \`d1-migrate rejects list\`; load them with \`d1-migrate rejects retry\`)`);
+    }
+    console.log(`   ${config.keyColumn} high-water mark: ${result.lastId}`);
+    if (config.updatedAtColumn) {
+      console.log(`   ${config.updatedAtColumn} high-water mark: ${result.lastUpdatedAt}`);
+    }
+    if (result.skippedRows > 0) {
+      console.log('\n⚠️  Sync completed, but some rows were rejected');
+      return EXIT_CODES.MISMATCH;
+    }
+    console.log('\n✅ Sync completed successfully!');
+    return EXIT_CODES.OK;
+
+  } catch (error) {
+    console.log('\n💡 Progress is saved after every page; the next run continues from there.');
+    throw error;
+  } finally {
+    await pgClient.end();
+    console.log('\n🔌 Disconnected from PostgreSQL');
+  }
+}
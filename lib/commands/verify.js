@@ -0,0 +1,97 @@
+import fs from 'fs';
+import pg from 'pg';
+import { createD1ClientFromEnv } from '../d1-client.js';
+import { compareRange, getVerifyRanges } from '../verify.js';
+import { prepareSource } from '../table-config.js';
+import { EXIT_CODES, requireEnv, intOption, PG_AND_D1_ENV } from './common.js';
+
+const { Client } = pg;
+
+function describeDifference(difference) {
+  if (difference.type === 'missing_in_d1') return `id ${difference.id}: missing in D1`;
+  if (difference.type === 'extra_in_d1') return `id ${difference.id}: not in PostgreSQL`;
+
+  const columns = difference.columns
+    .map(c => `${c.column} (pg=${JSON.stringify(c.source)}, d1=${JSON.stringify(c.target)})`)
+    .join(', ');
+  return `id ${difference.id}: ${columns}`;
+}
+
+// d1-migrate verify: row-level comparison of a table between PostgreSQL and D1.
+// Exits 3 when differences are found.
+export async function verify(config, { flags, env }) {
+  requireEnv(env, PG_AND_D1_ENV);
+
+  const leafSize = intOption(flags, null, env, 'VERIFY_LEAF_SIZE', 100); // Ranges this small are diffed row by row
+  const maxReported = intOption(flags, null, env, 'VERIFY_MAX_REPORTED', 100);
+  const reportFile = env.VERIFY_REPORT; // Optional JSON report path
+
+  const { executeD1SQL } = createD1ClientFromEnv({}, env);
+  const pgClient = new Client({ connectionString: env.DATABASE_URL });
+
+  try {
+    console.log('🔍 Starting row-level verification between PostgreSQL and D1\n');
+    console.log('Configuration:');
+    console.log(`  Table: ${config.sourceTable} → ${config.targetTable}`);
+    if (config.where) {
+      console.log(`  Source Filter: ${config.where}`);
+    }
+    console.log(`  Leaf Size: ${leafSize} rows\n`);
+
+    if (!config.preserveIds) {
+      console.log('⚠️  preserveIds is disabled for this table: D1 ids only match PostgreSQL ids');
+      console.log('   if rows were inserted in id order with no gaps. Expect false mismatches otherwise.\n');
+    }
+
+    console.log('🔌 Connecting to PostgreSQL...');
+    await pgClient.connect();
+    console.log('✅ Connected to PostgreSQL');
+    await prepareSource(pgClient, config);
+
+    const context = { pgClient, executeD1SQL, config, leafSize };
+    const ranges = await getVerifyRanges(context);
+    console.log(`\n📋 Verifying ${ranges.length} ID ranges...`);
+
+    const differences = [];
+    let mismatchedRanges = 0;
+
+    for (let i = 0; i < ranges.length; i++) {
+      const { start, end } = ranges[i];
+      const rangeDifferences = await compareRange(context, start, end);
+
+      if (rangeDifferences.length === 0) {
+        console.log(`   [${i + 1}/${ranges.length}] ✅ ID ${start}-${end} matches`);
+      } else {
+        mismatchedRanges++;
+        console.log(`   [${i + 1}/${ranges.length}] ❌ ID ${start}-${end}: ${rangeDifferences.length} differing rows`);
+        differences.push(...rangeDifferences);
+      }
+    }
+
+    console.log(`\n📊 Verification Summary:`);
+    console.log(`   Ranges checked: ${ranges.length}`);
+    console.log(`   Ranges with differences: ${mismatchedRanges}`);
+    console.log(`   Differing rows: ${differences.length}`);
+
+    if (differences.length > 0) {
+      console.log(`\n❌ Differences (showing up to ${maxReported}):`);
+      differences.slice(0, maxReported).forEach(d => console.log(`   ${describeDifference(d)}`));
+    }
+
+    if (reportFile) {
+      fs.writeFileSync(reportFile, JSON.stringify({ table: config.name, ranges: ranges.length, differences }, null, 2));
+      console.log(`\n📝 Wrote report to ${reportFile}`);
+    }
+
+    if (differences.length > 0) {
+      return EXIT_CODES.MISMATCH;
+    }
+
+    console.log('\n✅ PostgreSQL and D1 data match');
+    return EXIT_CODES.OK;
+
+  } finally {
+    await pgClient.end();
+    console.log('\n🔌 Disconnected from PostgreSQL');
+  }
+}
@@ -0,0 +1,324 @@
+import fetch from 'node-fetch';
+
+// Shared Cloudflare D1 REST client used by all migration scripts
+
+// Base error for everything the D1 API can throw at us
+export class D1Error extends Error {
+  constructor(message, { status = null, errors = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'D1Error';
+    this.status = status;
+    this.errors = errors;
+    this.retryable = retryable;
+  }
+}
+
+// HTTP 429 - Cloudflare is throttling us, honour Retry-After when present
+export class D1RateLimitError extends D1Error {
+  constructor(message, { status = 429, errors = null, retryAfter = null } = {}) {
+    super(message, { status, errors, retryable: true });
+    this.name = 'D1RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+// HTTP 401/403 - bad token or missing D1 permissions, retrying will not help
+export class D1AuthError extends D1Error {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: false });
+    this.name = 'D1AuthError';
+  }
+}
+
+// The statement itself was rejected by SQLite
+export class D1SQLError extends D1Error {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: false });
+    this.name = 'D1SQLError';
+  }
+}
+
+// "no such table" - callers use this to create missing tables on demand
+export class D1NoSuchTableError extends D1SQLError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'D1NoSuchTableError';
+  }
+}
+
+// A constraint or type check failed (NOT NULL, CHECK, UNIQUE, datatype
+// mismatch): the data is at fault, not the statement, so other rows can still go in
+export class D1ConstraintError extends D1SQLError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'D1ConstraintError';
+  }
+}
+
+// The request or statement exceeded a D1 size limit; retry with fewer rows
+export class D1PayloadTooLargeError extends D1SQLError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'D1PayloadTooLargeError';
+  }
+}
+
+// Raised by the adaptive controller once failures have gone on for too long
+export class D1SustainedFailureError extends D1Error {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: false });
+    this.name = 'D1SustainedFailureError';
+  }
+}
+
+// 5xx, network failures, non-JSON bodies and timeouts - safe to retry
+export class D1TransientError extends D1Error {
+  constructor(message, options = {}) {
+    super(message, { ...options, retryable: true });
+    this.name = 'D1TransientError';
+  }
+}
+
+export class D1TimeoutError extends D1TransientError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'D1TimeoutError';
+  }
+}
+
+// Cloudflare API root; D1_API_BASE_URL points the clients elsewhere (e.g. a local fake D1 server)
+export const DEFAULT_D1_API_BASE_URL = 'https://api.cloudflare.com/client/v4';
+
+const AUTH_ERROR_CODES = new Set([10000, 9106, 9109]);
+// The API could not read the request body (SQLite errors come back as 7500)
+const MALFORMED_REQUEST_CODE = 7400;
+const PAYLOAD_ERROR_PATTERN = /SQLITE_TOOBIG|too (big|large|long)|too many SQL variables/i;
+const CONSTRAINT_ERROR_PATTERN = /constraint failed|SQLITE_CONSTRAINT|datatype mismatch|SQLITE_MISMATCH/i;
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Map an HTTP status and D1 error payload onto one of the typed errors above
+export function classifyD1Error({ status = null, errors = null, text = '', retryAfter = null }) {
+  const detail = errors ? JSON.stringify(errors) : text.substring(0, 200);
+  const message = status && status !== 200
+    ? `D1 API HTTP ${status}: ${detail}`
+    : `D1 API Error: ${detail}`;
+  const options = { status, errors };
+
+  if (status === 429) {
+    return new D1RateLimitError(message, { ...options, retryAfter });
+  }
+
+  const codes = (errors || []).map(e => e.code);
+  if (status === 401 || status === 403 || codes.some(code => AUTH_ERROR_CODES.has(code))) {
+    return new D1AuthError(message, options);
+  }
+
+  if (status >= 500) {
+    return new D1TransientError(message, options);
+  }
+
+  if (status === 413 || PAYLOAD_ERROR_PATTERN.test(detail)) {
+    return new D1PayloadTooLargeError(message, options);
+  }
+
+  if (detail.includes('no such table')) {
+    return new D1NoSuchTableError(message, options);
+  }
+
+  if (CONSTRAINT_ERROR_PATTERN.test(detail)) {
+    return new D1ConstraintError(message, options);
+  }
+
+  return new D1SQLError(message, options);
+}
+
+// Create a client bound to one D1 database.
+// retries/baseDelay/maxDelay/timeout are defaults that can be overridden per call.
+// An optional rateLimiter (lib/rate-limiter.js) paces every HTTP attempt, and an
+// optional controller (lib/adaptive-controller.js) observes every attempt and
+// takes over retry timing.
+export function createD1Client({
+  accountId,
+  databaseId,
+  apiToken,
+  baseUrl = DEFAULT_D1_API_BASE_URL,
+  retries = 3,
+  baseDelay = 1000,
+  maxDelay = 10000,
+  timeout = 30000,
+  rateLimiter = null,
+  controller = null,
+}) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/accounts/${accountId}/d1/database/${databaseId}/query`;
+
+  async function request(body, requestTimeout) {
+    if (rateLimiter) {
+      await rateLimiter.acquire();
+    }
+
+    const abort = new AbortController();
+    const timer = setTimeout(() => abort.abort(), requestTimeout);
+
+    let response;
+    let text;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiToken}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+        signal: abort.signal,
+      });
+      text = await response.text();
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new D1TimeoutError(`D1 API request timed out after ${requestTimeout}ms`);
+      }
+      throw new D1TransientError(`D1 API request failed: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    let result = null;
+    try {
+      result = JSON.parse(text);
+    } catch (jsonError) {
+      // Handled below
+    }
+
+    if (!response.ok) {
+      throw classifyD1Error({
+        status: response.status,
+        errors: result && result.errors,
+        text,
+        retryAfter: parseRetryAfter(response.headers.get('retry-after')),
+      });
+    }
+
+    if (!result) {
+      throw new D1TransientError(`D1 API returned non-JSON response: ${text.substring(0, 200)}`, {
+        status: response.status,
+      });
+    }
+
+    if (!result.success) {
+      throw classifyD1Error({ status: response.status, errors: result.errors, text });
+    }
+
+    return result;
+  }
+
+  // POST a request body, retrying rate limits and transient failures
+  async function send(body, options = {}) {
+    const attempts = options.retries ?? (controller ? controller.maxAttempts : retries);
+    const requestTimeout = options.timeout ?? timeout;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      if (controller) {
+        controller.check();
+      }
+
+      const started = Date.now();
+      try {
+        const result = await request(body, requestTimeout);
+        if (controller) {
+          controller.recordSuccess(Date.now() - started);
+        }
+        return result;
+      } catch (error) {
+        if (controller) {
+          controller.recordFailure(error);
+        }
+
+        // Only rate limits and transient failures are worth another attempt
+        if (attempt === attempts || !error.retryable) {
+          throw error;
+        }
+
+        const backoff = Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+        const delay = controller
+          ? controller.retryDelay(error, attempt)
+          : error.retryAfter != null ? Math.max(error.retryAfter, backoff) : backoff;
+        console.log(`   ⚠️  Attempt ${attempt} failed: ${error.message}`);
+        console.log(`   ⏳ Retrying in ${delay}ms...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  async function executeD1SQL(sql, params = [], options = {}) {
+    return send({ sql, params }, options);
+  }
+
+  // Set once a batch request has been rejected as malformed but its statements ran fine one by one
+  let batchUnsupported = false;
+
+  // Run several { sql, params } statements in one request. D1 executes a batch
+  // as a single transaction, so either every statement commits or none does.
+  // Resolves to { result: [...] } with one entry per statement, like executeD1SQL.
+  // Only an endpoint that cannot read the batch body at all (malformed request)
+  // makes the statements run one request each, without the transaction; SQL and
+  // constraint errors are thrown as they are. Pass atomic: true to never fall
+  // back (schema migrations).
+  async function executeD1Batch(statements, options = {}) {
+    if (statements.length === 0) {
+      return { result: [] };
+    }
+
+    if (statements.length > 1 && !batchUnsupported) {
+      try {
+        return await send({ batch: statements }, options);
+      } catch (error) {
+        const malformed = (error.errors || []).some(e => e.code === MALFORMED_REQUEST_CODE);
+        if (!malformed || options.atomic) {
+          throw error;
+        }
+        console.log(`   ⚠️  Batch request rejected (${error.message}), retrying statements one at a time`);
+        const fallback = await executeSequentially(statements, options);
+        batchUnsupported = true;
+        console.log('   ℹ️  Batch requests disabled for this run');
+        return fallback;
+      }
+    }
+
+    return executeSequentially(statements, options);
+  }
+
+  async function executeSequentially(statements, options) {
+    const result = [];
+    for (const { sql, params } of statements) {
+      const response = await executeD1SQL(sql, params, options);
+      result.push(response.result[0]);
+    }
+    return { success: true, result };
+  }
+
+  return { url, executeD1SQL, executeD1Batch };
+}
+
+// Build a client from the standard CLOUDFLARE_* / D1_* environment variables
+export function createD1ClientFromEnv(options = {}, env = process.env) {
+  return createD1Client({
+    accountId: env.CLOUDFLARE_ACCOUNT_ID,
+    databaseId: env.D1_DATABASE_ID,
+    apiToken: env.CLOUDFLARE_API_TOKEN,
+    baseUrl: env.D1_API_BASE_URL || DEFAULT_D1_API_BASE_URL,
+    retries: parseInt(env.D1_RETRIES || '3', 10),
+    timeout: parseInt(env.D1_TIMEOUT_MS || '30000', 10),
+    ...options,
+  });
+}
@@ -0,0 +1,237 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+import { sqlLiteral } from './sql-dump.js';
+import { createEncoder, recordComplete } from './dump-formats.js';
+
+// Reading D1 tables back out over the /query API: quick backups before
+// d1-migrate cleanup deletes from a table, and full exports (gzip-compressed
+// parts plus a manifest) that d1-migrate import can restore.
+
+export const MANIFEST_FILE = 'manifest.json';
+
+export const BACKUP_FORMATS = ['sql', 'ndjson'];
+
+// Yield pages of D1 rows in key order (keyset pagination, like readKeyset in
+// lib/pg-stream.js). startId/endId are inclusive bounds; either may be omitted.
+export async function* readD1Keyset(executeD1SQL, { table, keyColumn = 'id', startId = null, endId = null, pageSize = 1000 }) {
+  let last = null;
+
+  while (true) {
+    const params = [];
+    const conditions = [];
+
+    if (last !== null) {
+      params.push(last);
+      conditions.push(`${keyColumn} > ?`);
+    } else if (startId !== null) {
+      params.push(startId);
+      conditions.push(`${keyColumn} >= ?`);
+    }
+    if (endId !== null) {
+      params.push(endId);
+      conditions.push(`${keyColumn} <= ?`);
+    }
+    params.push(pageSize);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await executeD1SQL(`SELECT * FROM ${table} ${where} ORDER BY ${keyColumn} LIMIT ?`, params);
+    const rows = result.result[0].results;
+
+    if (rows.length === 0) return;
+
+    yield rows;
+
+    if (rows.length < pageSize) return;
+    last = rows[rows.length - 1][keyColumn];
+  }
+}
+
+// Render one row in a backup format
+function formatRow(format, table, row) {
+  if (format === 'ndjson') {
+    return `${JSON.stringify(row)}\n`;
+  }
+  const columns = Object.keys(row);
+  return `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(c => sqlLiteral(row[c])).join(', ')});\n`;
+}
+
+// Copy the rows of a D1 table (optionally only some key ranges) into
+// <dir>/<table>-<timestamp>.<format>. SQL backups can be replayed with
+// `wrangler d1 execute --file`.
+export async function backupTable(executeD1SQL, { table, keyColumn = 'id', ranges = [{}], dir = 'backups', format = 'sql', pageSize = 1000 }) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const file = path.join(dir, `${table}-${stamp}.${format}`);
+  let rows = 0;
+
+  fs.mkdirSync(dir, { recursive: true });
+  const fd = fs.openSync(file, 'w');
+
+  try {
+    for (const { startId = null, endId = null } of ranges) {
+      for await (const page of readD1Keyset(executeD1SQL, { table, keyColumn, startId, endId, pageSize })) {
+        fs.writeSync(fd, page.map(row => formatRow(format, table, row)).join(''));
+        rows += page.length;
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return { file, rows };
+}
+
+// Schema (CREATE TABLE and its indexes) and columns of a D1 table
+export async function describeD1Table(executeD1SQL, table) {
+  const schema = await executeD1SQL(
+    `SELECT type, name, sql FROM sqlite_master WHERE tbl_name = ? AND sql IS NOT NULL ORDER BY type DESC, name`,
+    [table]
+  );
+  const info = await executeD1SQL(`PRAGMA table_info(${table})`);
+
+  return {
+    schema: schema.result[0].results.map(entry => entry.sql),
+    columns: info.result[0].results.map(column => ({ name: column.name, type: column.type })),
+  };
+}
+
+// gzip writer that hashes the uncompressed text on the way through
+function openPartWriter(file, totalHash) {
+  const gzip = zlib.createGzip();
+  const out = fs.createWriteStream(file);
+  const hash = crypto.createHash('sha256');
+  gzip.pipe(out);
+
+  return {
+    async write(text) {
+      hash.update(text);
+      totalHash.update(text);
+      if (!gzip.write(text)) {
+        await once(gzip, 'drain');
+      }
+    },
+    async close() {
+      gzip.end();
+      await finished(out);
+      return hash.digest('hex');
+    },
+  };
+}
+
+// Export a D1 table into dir: part-NNNN.<format>.gz files of up to partRows rows
+// each, and manifest.json with the schema, row count, key range per part and
+// SHA-256 checksums of the uncompressed data.
+export async function exportTable(executeD1SQL, { table, keyColumn = 'id', dir, format = 'ndjson', partRows = 50000, pageSize = 1000, onPart = null }) {
+  const { schema, columns } = await describeD1Table(executeD1SQL, table);
+  if (columns.length === 0) {
+    throw new Error(`Table ${table} does not exist in D1`);
+  }
+
+  const encoder = createEncoder(format, { table, columns: columns.map(c => c.name) });
+  const totalHash = crypto.createHash('sha256');
+  const parts = [];
+  let part = null; // { writer, entry }
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  async function closePart() {
+    if (!part) return;
+    part.entry.sha256 = await part.writer.close();
+    if (onPart) {
+      onPart(part.entry);
+    }
+    part = null;
+  }
+
+  for await (const page of readD1Keyset(executeD1SQL, { table, keyColumn, pageSize })) {
+    for (const row of page) {
+      if (!part) {
+        const entry = { file: `part-${String(parts.length + 1).padStart(4, '0')}.${format}.gz`, startId: row[keyColumn], endId: null, rows: 0, sha256: null };
+        part = { writer: openPartWriter(path.join(dir, entry.file), totalHash), entry };
+        parts.push(entry);
+        await part.writer.write(encoder.header());
+      }
+
+      await part.writer.write(encoder.row(row));
+      part.entry.endId = row[keyColumn];
+      part.entry.rows++;
+
+      if (part.entry.rows >= partRows) {
+        await closePart();
+      }
+    }
+  }
+  await closePart();
+
+  const manifest = {
+    version: 1,
+    table,
+    keyColumn,
+    format,
+    compression: 'gzip',
+    createdAt: new Date().toISOString(),
+    schema,
+    columns,
+    rowCount: parts.reduce((sum, p) => sum + p.rows, 0),
+    checksum: `sha256:${totalHash.digest('hex')}`,
+    parts,
+  };
+
+  fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+export function readManifest(dir) {
+  const file = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No ${MANIFEST_FILE} in ${dir}`);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Uncompressed text of a part, chunk by chunk
+async function* readPartText(dir, part) {
+  const input = fs.createReadStream(path.join(dir, part.file)).pipe(zlib.createGunzip());
+  input.setEncoding('utf8');
+  for await (const chunk of input) {
+    yield chunk;
+  }
+}
+
+// SHA-256 of a part's uncompressed data, to compare with the manifest
+export async function checksumPart(dir, part) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of readPartText(dir, part)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+// Yield the records of a part (one per row, plus the CSV header)
+export async function* readPartRecords(dir, part, format) {
+  let buffer = '';
+  let record = null;
+
+  for await (const chunk of readPartText(dir, part)) {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+
+      // A quoted value with a newline continues the record on the next line
+      record = record === null ? line : `${record}\n${line}`;
+      if (recordComplete(format, record)) {
+        yield record;
+        record = null;
+      }
+    }
+  }
+
+  if (record !== null || buffer !== '') {
+    throw new Error(`${part.file} ends in the middle of a record`);
+  }
+}
@@ -0,0 +1,195 @@
+import { D1NoSuchTableError } from './d1-client.js';
+import { createCheckpointStore, LeaseLostError } from './checkpoints.js';
+import { insertAdaptively } from './adaptive-controller.js';
+import { MAX_SQL_VARIABLES } from './table-config.js';
+import { createDecoder } from './dump-formats.js';
+import { checksumPart, readPartRecords } from './d1-export.js';
+
+// Restore an export (lib/d1-export.js) into an empty D1 table. Every part file
+// is one migration_checkpoints range, so an interrupted import resumes where it
+// stopped, exactly like the PostgreSQL migrator.
+
+// Checkpoint name for a dump; includes the checksum so a different dump of the
+// same table never resumes this one's checkpoints
+export function importCheckpointName(manifest) {
+  return `import:${manifest.table}:${manifest.checksum.replace(/^sha256:/, '').slice(0, 12)}`;
+}
+
+// Rows per INSERT so a statement stays within D1's bound parameter limit
+export function importRowsPerStatement(manifest) {
+  return manifest.format === 'sql' ? 1 : Math.max(1, Math.floor(MAX_SQL_VARIABLES / manifest.columns.length));
+}
+
+function buildStatements(manifest, records) {
+  if (manifest.format === 'sql') {
+    return records.map(sql => ({ sql, params: [] }));
+  }
+
+  const columns = manifest.columns.map(c => c.name);
+  const rowsPerStatement = importRowsPerStatement(manifest);
+  const placeholder = `(${columns.map(() => '?').join(', ')})`;
+  const statements = [];
+
+  for (let i = 0; i < records.length; i += rowsPerStatement) {
+    const rows = records.slice(i, i + rowsPerStatement);
+    statements.push({
+      sql: `INSERT INTO ${manifest.table} (${columns.join(', ')}) VALUES ${rows.map(() => placeholder).join(', ')}`,
+      params: rows.flatMap(row => columns.map(c => row[c] ?? null)),
+    });
+  }
+  return statements;
+}
+
+export function createImporter({ executeD1SQL, executeD1Batch, controller, manifest, dir }) {
+  const checkpointName = importCheckpointName(manifest);
+  const {
+    createCheckpoint,
+    claimNextCheckpoint,
+    startHeartbeat,
+    updateCheckpointStatus,
+    getCheckpointSummary,
+    ensureCheckpointsTableExists,
+  } = createCheckpointStore(executeD1SQL);
+
+  // Rows in the target table, or null when it does not exist
+  async function countTargetRows() {
+    try {
+      const result = await executeD1SQL(`SELECT COUNT(*) as count FROM ${manifest.table}`);
+      return result.result[0].results[0].count;
+    } catch (error) {
+      if (error instanceof D1NoSuchTableError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Checkpoints left by an earlier run of this same dump
+  async function existingCheckpoints() {
+    const summary = await getCheckpointSummary(checkpointName);
+    return summary.reduce((sum, s) => sum + s.count, 0);
+  }
+
+  // Create the table from the manifest's schema if needed and one checkpoint
+  // per part. Safe to repeat: parts that already have a checkpoint are skipped.
+  async function prepare() {
+    if (await countTargetRows() === null) {
+      console.log(`   📋 Creating ${manifest.table} from the dump's schema...`);
+      for (const statement of manifest.schema) {
+        await executeD1SQL(statement);
+      }
+    }
+
+    await ensureCheckpointsTableExists();
+    const existing = await executeD1SQL(
+      `SELECT start_id FROM migration_checkpoints WHERE table_name = ?`,
+      [checkpointName]
+    );
+    const started = new Set(existing.result[0].results.map(c => c.start_id));
+    const missing = manifest.parts.filter(part => !started.has(part.startId));
+
+    if (missing.length > 0) {
+      console.log(`   Creating ${missing.length} checkpoints (one per part)...`);
+      for (const part of missing) {
+        await createCheckpoint(checkpointName, part.startId, part.endId);
+      }
+    }
+  }
+
+  // Load one part under workerId's lease; checks the part's checksum first
+  async function loadPart(checkpoint, workerId, heartbeatIntervalMs) {
+    const part = manifest.parts.find(p => p.startId === checkpoint.start_id && p.endId === checkpoint.end_id);
+    if (!part) {
+      throw new Error(`Checkpoint ${checkpoint.id} (${checkpoint.start_id}-${checkpoint.end_id}) matches no part in the manifest`);
+    }
+
+    const lease = startHeartbeat(checkpoint.id, workerId, heartbeatIntervalMs);
+    const key = manifest.keyColumn;
+
+    try {
+      const sha256 = await checksumPart(dir, part);
+      if (sha256 !== part.sha256) {
+        throw new Error(`Checksum mismatch for ${part.file}: manifest ${part.sha256}, file ${sha256}`);
+      }
+
+      // A previous attempt may have written some of this part
+      if (checkpoint.attempts > 1) {
+        console.log(`   🧹 Attempt ${checkpoint.attempts}: clearing ${key} ${part.startId}-${part.endId} before re-loading`);
+        await executeD1SQL(`DELETE FROM ${manifest.table} WHERE ${key} >= ? AND ${key} <= ?`, [part.startId, part.endId]);
+      }
+
+      const decode = createDecoder(manifest.format, { columns: manifest.columns.map(c => c.name) });
+      let records = [];
+      let loaded = 0;
+
+      const flush = async () => {
+        await insertAdaptively({
+          rows: records,
+          buildStatements: chunk => buildStatements(manifest, chunk),
+          executeD1Batch,
+          controller,
+          onBatch: (batch) => {
+            loaded += batch.length;
+            if (lease.lost) {
+              throw lease.lost;
+            }
+          },
+        });
+        records = [];
+      };
+
+      for await (const record of readPartRecords(dir, part, manifest.format)) {
+        const decoded = decode(record);
+        if (decoded !== null) {
+          records.push(decoded);
+        }
+        if (records.length >= 5000) {
+          await flush();
+        }
+      }
+      await flush();
+
+      if (loaded !== part.rows) {
+        throw new Error(`${part.file} held ${loaded} rows, manifest says ${part.rows}`);
+      }
+
+      await updateCheckpointStatus(checkpoint.id, 'completed', loaded, null, workerId);
+      console.log(`   ✅ ${part.file}: ${loaded} rows (${key} ${part.startId}-${part.endId})`);
+      return loaded;
+    } catch (error) {
+      if (error instanceof LeaseLostError) {
+        console.error(`   ⚠️  ${error.message}, abandoning ${part.file}`);
+        return 0;
+      }
+
+      console.error(`   ❌ ${part.file} failed: ${error.message}`);
+      try {
+        await updateCheckpointStatus(checkpoint.id, 'failed', 0, error.message, workerId);
+      } catch (statusError) {
+        console.error(`   ⚠️  Could not mark checkpoint ${checkpoint.id} as failed: ${statusError.message}`);
+      }
+      throw error;
+    } finally {
+      lease.stop();
+    }
+  }
+
+  // Claim and load parts until none are left; returns the rows loaded in this run
+  async function run({ workerId, leaseTtlMs, heartbeatIntervalMs }) {
+    const runStartedAt = new Date().toISOString();
+    let loaded = 0;
+
+    while (true) {
+      const checkpoint = await claimNextCheckpoint(checkpointName, workerId, {
+        runStartedAt,
+        leaseExpiry: new Date(Date.now() - leaseTtlMs).toISOString(),
+      });
+      if (!checkpoint) {
+        return loaded;
+      }
+      loaded += await loadPart(checkpoint, workerId, heartbeatIntervalMs);
+    }
+  }
+
+  return { checkpointName, countTargetRows, existingCheckpoints, prepare, run };
+}
@@ -0,0 +1,118 @@
+import { sqlLiteral } from './sql-dump.js';
+
+// Row encodings for d1-migrate export / import. Every format writes one record
+// per line; CSV and SQL records may span lines when a value contains a newline,
+// so readers join lines until the quotes balance.
+
+export const DUMP_FORMATS = ['ndjson', 'csv', 'sql'];
+
+function csvValue(value) {
+  if (value === null || value === undefined) return ''; // Unquoted empty field is NULL
+  if (typeof value === 'number' || typeof value === 'bigint') return String(value);
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  return `"${String(value).replace(/"/g, '""')}"`; // Strings are always quoted, so "" is an empty string
+}
+
+// Split one CSV record into [{ text, quoted }] fields
+function parseCsvFields(record) {
+  const fields = [];
+  let i = 0;
+
+  while (i <= record.length) {
+    if (record[i] === '"') {
+      let text = '';
+      i++;
+      while (i < record.length) {
+        if (record[i] === '"' && record[i + 1] === '"') {
+          text += '"';
+          i += 2;
+        } else if (record[i] === '"') {
+          i++;
+          break;
+        } else {
+          text += record[i++];
+        }
+      }
+      fields.push({ text, quoted: true });
+      i++; // Skip the comma
+    } else {
+      const end = record.indexOf(',', i);
+      const stop = end === -1 ? record.length : end;
+      fields.push({ text: record.slice(i, stop), quoted: false });
+      i = stop + 1;
+    }
+  }
+
+  return fields;
+}
+
+function csvField({ text, quoted }) {
+  if (quoted) return text;
+  if (text === '') return null;
+  return Number(text);
+}
+
+// Quote character whose balance decides whether a record continues on the next line
+const QUOTES = { csv: '"', sql: "'" };
+
+// Is the record complete, i.e. are all quotes closed?
+export function recordComplete(format, text) {
+  const quote = QUOTES[format];
+  if (!quote) return true;
+
+  let count = 0;
+  for (const char of text) {
+    if (char === quote) count++;
+  }
+  return count % 2 === 0;
+}
+
+// Encoder for a format: header() is written first (may be ''), row(row) for each row
+export function createEncoder(format, { table, columns }) {
+  if (format === 'ndjson') {
+    return {
+      header: () => '',
+      row: row => `${JSON.stringify(row)}\n`,
+    };
+  }
+  if (format === 'csv') {
+    return {
+      header: () => `${columns.join(',')}\n`,
+      row: row => `${columns.map(c => csvValue(row[c])).join(',')}\n`,
+    };
+  }
+  if (format === 'sql') {
+    return {
+      header: () => '',
+      row: row => `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(c => sqlLiteral(row[c])).join(', ')});\n`,
+    };
+  }
+  throw new Error(`Unknown dump format: ${format}`);
+}
+
+// Decoder for a format: decode(record) returns a row object for ndjson/csv, or
+// the INSERT statement itself for sql. The CSV header line yields null.
+export function createDecoder(format, { columns }) {
+  if (format === 'ndjson') {
+    return record => JSON.parse(record);
+  }
+  if (format === 'csv') {
+    let header = true;
+    return (record) => {
+      if (header) {
+        header = false;
+        const names = parseCsvFields(record).map(f => f.text);
+        if (names.join(',') !== columns.join(',')) {
+          throw new Error(`CSV header (${names.join(', ')}) does not match the manifest columns (${columns.join(', ')})`);
+        }
+        return null;
+      }
+      const fields = parseCsvFields(record);
+      return Object.fromEntries(columns.map((c, i) => [c, csvField(fields[i])]));
+    };
+  }
+  if (format === 'sql') {
+    return record => record;
+  }
+  throw new Error(`Unknown dump format: ${format}`);
+}
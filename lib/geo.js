@@ -0,0 +1,193 @@
+// Geometry for coordinate lookups. Dependency-free so both the migrators and
+// the Worker (src/index.js) can import it.
+
+const EARTH_RADIUS_M = 6371008.8; // Mean Earth radius
+const METERS_PER_DEGREE_LAT = (Math.PI * EARTH_RADIUS_M) / 180;
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+// Great-circle distance in meters between two lat/lon points
+export function haversineMeters(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Lat/lon box containing every point within radiusMeters of (lat, lon), for an
+// indexed `latitude BETWEEN ... AND longitude BETWEEN ...` pre-filter.
+// minLon > maxLon means the box crosses the antimeridian.
+export function boundingBox(lat, lon, radiusMeters) {
+  const dLat = radiusMeters / METERS_PER_DEGREE_LAT;
+  const minLat = Math.max(-90, lat - dLat);
+  const maxLat = Math.min(90, lat + dLat);
+
+  // Near a pole every longitude is within reach
+  const cosLat = Math.cos(toRadians(Math.max(Math.abs(minLat), Math.abs(maxLat))));
+  if (maxLat === 90 || minLat === -90 || cosLat < 1e-9) {
+    return { minLat, maxLat, minLon: -180, maxLon: 180 };
+  }
+
+  const dLon = radiusMeters / (METERS_PER_DEGREE_LAT * cosLat);
+  if (dLon >= 180) {
+    return { minLat, maxLat, minLon: -180, maxLon: 180 };
+  }
+
+  const wrap = value => ((value + 540) % 360) - 180;
+  return { minLat, maxLat, minLon: wrap(lon - dLon), maxLon: wrap(lon + dLon) };
+}
+
+// Smallest angle in degrees between two compass bearings (0-180)
+export function bearingDifference(a, b) {
+  const diff = Math.abs((((a - b) % 360) + 360) % 360);
+  return diff > 180 ? 360 - diff : diff;
+}
+
+// Geohashes: base32 cell ids where a shared prefix means a shared cell, so a
+// B-tree index on the text answers "points in cell X" with a range scan
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+export const GEOHASH_MAX_PRECISION = 12;
+
+export function encodeGeohash(lat, lon, precision = 9) {
+  let minLat = -90, maxLat = 90, minLon = -180, maxLon = 180;
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true; // Bits alternate between longitude and latitude, longitude first
+
+  while (hash.length < precision) {
+    if (evenBit) {
+      const mid = (minLon + maxLon) / 2;
+      value = value * 2 + (lon >= mid ? 1 : 0);
+      if (lon >= mid) minLon = mid; else maxLon = mid;
+    } else {
+      const mid = (minLat + maxLat) / 2;
+      value = value * 2 + (lat >= mid ? 1 : 0);
+      if (lat >= mid) minLat = mid; else maxLat = mid;
+    }
+    evenBit = !evenBit;
+
+    if (++bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+
+  return hash;
+}
+
+// Width and height in degrees of a geohash cell of the given length
+function geohashCellDegrees(precision) {
+  const lonBits = Math.ceil((precision * 5) / 2);
+  const latBits = Math.floor((precision * 5) / 2);
+  return { lat: 180 / 2 ** latBits, lon: 360 / 2 ** lonBits };
+}
+
+// Geohash prefixes whose cells together cover every point within radiusMeters
+// of (lat, lon). Uses the longest prefix that needs at most maxCells cells.
+export function coveringGeohashes(lat, lon, radiusMeters, { maxCells = 16 } = {}) {
+  const box = boundingBox(lat, lon, radiusMeters);
+  // Longitude spans as [from, to] pairs; a box over the antimeridian is two spans
+  const lonSpans = box.minLon <= box.maxLon
+    ? [[box.minLon, box.maxLon]]
+    : [[box.minLon, 180], [-180, box.maxLon]];
+
+  for (let precision = GEOHASH_MAX_PRECISION; precision >= 1; precision--) {
+    const cell = geohashCellDegrees(precision);
+    const rows = Math.floor(box.maxLat / cell.lat) - Math.floor(box.minLat / cell.lat) + 1;
+    const columns = lonSpans.reduce((sum, [from, to]) => sum + Math.floor(to / cell.lon) - Math.floor(from / cell.lon) + 1, 0);
+    if (rows * columns > maxCells && precision > 1) continue;
+
+    // One sample point inside each cell the box touches
+    const cells = new Set();
+    for (let i = Math.floor(box.minLat / cell.lat); i <= Math.floor(box.maxLat / cell.lat); i++) {
+      const sampleLat = Math.min(89.999999, Math.max(-90, (i + 0.5) * cell.lat));
+      for (const [from, to] of lonSpans) {
+        for (let j = Math.floor(from / cell.lon); j <= Math.floor(to / cell.lon); j++) {
+          const sampleLon = Math.min(179.999999, Math.max(-180, (j + 0.5) * cell.lon));
+          cells.add(encodeGeohash(sampleLat, sampleLon, precision));
+        }
+      }
+    }
+    return [...cells].sort();
+  }
+  return [];
+}
+
+// WHERE condition matching the rows that may lie within radiusMeters of
+// (lat, lon): a geohash prefix range per covering cell when the table has a
+// geohash column, otherwise a latitude/longitude bounding box
+function candidateFilter({ lat, lon, radius, geohashColumn }) {
+  if (geohashColumn) {
+    const cells = coveringGeohashes(lat, lon, radius);
+    // '~' sorts after every base32 character, so [prefix, prefix~) is the cell
+    return {
+      where: cells.map(() => `(${geohashColumn} >= ? AND ${geohashColumn} < ?)`).join(' OR '),
+      params: cells.flatMap(cell => [cell, `${cell}~`]),
+    };
+  }
+
+  const box = boundingBox(lat, lon, radius);
+  const longitude = box.minLon <= box.maxLon
+    ? 'longitude BETWEEN ? AND ?'
+    : '(longitude >= ? OR longitude <= ?)'; // Box crosses the antimeridian
+  return {
+    where: `latitude BETWEEN ? AND ? AND ${longitude}`,
+    params: [box.minLat, box.maxLat, box.minLon, box.maxLon],
+  };
+}
+
+// SELECT of table's rows that may lie within radiusMeters of (lat, lon).
+// Follow with withinRadius().
+export function radiusQuery({ table, columns, lat, lon, radius, geohashColumn = null }) {
+  const filter = candidateFilter({ lat, lon, radius, geohashColumn });
+  return {
+    sql: `SELECT ${columns.join(', ')} FROM ${table} WHERE ${filter.where}`,
+    params: filter.params,
+  };
+}
+
+// haversineMeters from (lat, lon) to a row's latitude/longitude as an SQL
+// expression (D1 has sin, cos, asin and sqrt, but not power)
+function distanceSql(lat, lon) {
+  const halfDLat = 'sin(radians(latitude - ?) / 2)';
+  const halfDLon = 'sin(radians(longitude - ?) / 2)';
+  return {
+    sql: `${2 * EARTH_RADIUS_M} * asin(min(1, sqrt(${halfDLat} * ${halfDLat} + ? * cos(radians(latitude)) * ${halfDLon} * ${halfDLon})))`,
+    params: [lat, lat, Math.cos(toRadians(lat)), lon, lon],
+  };
+}
+
+// SELECT of at most limit rows within radiusMeters of (lat, lon), ordered and
+// rounded like withinRadius, starting after { distance, id } when given. D1
+// filters, sorts and limits, so a page returns the same few rows however
+// many lie within the radius.
+export function nearestQuery({ table, columns, lat, lon, radius, geohashColumn = null, after = null, limit }) {
+  const filter = candidateFilter({ lat, lon, radius, geohashColumn });
+  const distance = distanceSql(lat, lon);
+  const conditions = ['distance_m <= ?'];
+  const params = [radius];
+
+  if (after) {
+    conditions.push('(distance_m > ? OR (distance_m = ? AND id > ?))');
+    params.push(after.distance, after.distance, after.id);
+  }
+
+  return {
+    sql: `SELECT * FROM (SELECT ${columns.join(', ')}, ROUND(${distance.sql}, 2) AS distance_m FROM ${table} WHERE ${filter.where}) ` +
+      `WHERE ${conditions.join(' AND ')} ORDER BY distance_m, id LIMIT ?`,
+    params: [...distance.params, ...filter.params, ...params, limit],
+  };
+}
+
+// Rows (with latitude/longitude) within radiusMeters, nearest first (ties by
+// id), each with distance_m rounded to centimeters
+export function withinRadius(rows, { lat, lon, radius }) {
+  return rows
+    .map(row => ({ ...row, distance_m: Math.round(haversineMeters(lat, lon, row.latitude, row.longitude) * 100) / 100 }))
+    .filter(row => row.distance_m <= radius)
+    .sort((a, b) => a.distance_m - b.distance_m || a.id - b.id);
+}
@@ -0,0 +1,61 @@
+import { sourceSelectList } from './table-config.js';
+
+// Streaming PostgreSQL reads using keyset pagination
+// (WHERE key > $last ORDER BY key LIMIT n), which stays fast at any depth
+// unlike LIMIT/OFFSET.
+
+// Yield pages of rows in key order. A page is only fetched once the consumer
+// asks for the next one, so reading never runs ahead of the D1 writers and
+// memory holds a single page whatever the size of the range.
+// startId/endId are inclusive bounds; either may be omitted. filter is an
+// extra SQL condition rows must meet.
+export async function* readKeyset(pgClient, { table, columns = '*', keyColumn = 'id', startId = null, endId = null, filter = null, pageSize = 5000 }) {
+  let last = null;
+
+  while (true) {
+    const params = [];
+    const conditions = filter ? [`(${filter})`] : [];
+
+    if (last !== null) {
+      params.push(last);
+      conditions.push(`${keyColumn} > $${params.length}`);
+    } else if (startId !== null) {
+      params.push(startId);
+      conditions.push(`${keyColumn} >= $${params.length}`);
+    }
+    if (endId !== null) {
+      params.push(endId);
+      conditions.push(`${keyColumn} <= $${params.length}`);
+    }
+    params.push(pageSize);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await pgClient.query(`
+      SELECT ${columns}
+      FROM ${table}
+      ${where}
+      ORDER BY ${keyColumn}
+      LIMIT $${params.length}
+    `, params);
+
+    if (result.rows.length === 0) return;
+
+    yield result.rows;
+
+    if (result.rows.length < pageSize) return;
+    last = result.rows[result.rows.length - 1][keyColumn];
+  }
+}
+
+// readKeyset over a table mapping's source table, select list and "where" predicate
+export function readSourceRange(pgClient, config, { startId = null, endId = null, pageSize = 5000 } = {}) {
+  return readKeyset(pgClient, {
+    table: config.sourceTable,
+    columns: sourceSelectList(config),
+    keyColumn: config.keyColumn,
+    startId,
+    endId,
+    filter: config.where,
+    pageSize,
+  });
+}
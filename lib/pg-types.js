@@ -0,0 +1,178 @@
+// PostgreSQL -> D1 value conversion by source column type.
+//
+// pg already parses most types into JS values; the converters below turn those
+// into values D1 stores without loss (numbers, text or NULL):
+//
+//   PostgreSQL                        pg gives    D1 gets
+//   int2, int4, oid                   number      number
+//   int8                              string      number, or the decimal text when
+//                                                 beyond 2^53 (INTEGER affinity stores it exactly)
+//   numeric                           string      number; more than 15 significant digits
+//                                                 would be rounded (strict: rejected)
+//   float4, float8                    number      number; NaN/Infinity have no D1 value
+//                                                 (strict: rejected, lenient: NULL)
+//   bool                              boolean     1 / 0
+//   json, jsonb                       any         JSON text
+//   uuid, text, varchar, enums, ...   string      text as-is
+//   bytea                             Buffer      base64 text
+//   timestamp, timestamptz            Date        ISO 8601 text (infinity: as NaN above)
+//   date                              Date        YYYY-MM-DD text (pg parses it as local midnight)
+//   interval                          object      ISO 8601 duration text
+//   arrays                            array       JSON array text, elements converted as above
+//                                                 (booleans and JSON stay native)
+//
+// Strict mode rejects values that cannot be stored faithfully; lenient mode
+// stores the nearest D1 value instead (rounded number, NULL, literal text).
+
+export const TYPE_MODES = ['strict', 'lenient'];
+
+// A single value that cannot be converted in strict mode
+export class ValueConversionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValueConversionError';
+  }
+}
+
+// A source row holding a value that could not be converted
+export class RowConversionError extends Error {
+  constructor(key, column, type, cause) {
+    super(`${column}${type ? ` (${type})` : ''}: ${cause.message}`);
+    this.name = 'RowConversionError';
+    this.key = key;
+    this.column = column;
+    this.type = type;
+  }
+}
+
+// D1 (SQLite REAL) keeps 15 significant decimal digits exactly
+const MAX_EXACT_DIGITS = 15;
+
+function nonFinite(value, { strict }) {
+  if (strict) {
+    throw new ValueConversionError(`${value} has no D1 representation`);
+  }
+  return null;
+}
+
+function significantDigits(text) {
+  const digits = text.replace(/^[-+]/, '').replace(/e.*$/i, '').replace('.', '');
+  return digits.replace(/^0+/, '').replace(/0+$/, '').length;
+}
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+// Converters by pg_type.typname. Each gets a non-null value and { strict }.
+// toJson, when present, is used for array elements instead of convert.
+export const PG_CONVERTERS = {
+  int8: {
+    convert: value => (Number.isSafeInteger(Number(value)) ? Number(value) : String(value)),
+  },
+  numeric: {
+    convert: (value, options) => {
+      const number = Number(value);
+      if (!Number.isFinite(number)) return nonFinite(value, options);
+      if (options.strict && significantDigits(String(value)) > MAX_EXACT_DIGITS) {
+        throw new ValueConversionError(`${value} has more than ${MAX_EXACT_DIGITS} significant digits and would be rounded`);
+      }
+      return number;
+    },
+  },
+  float4: {
+    convert: (value, options) => (Number.isFinite(value) ? value : nonFinite(value, options)),
+  },
+  bool: {
+    convert: value => (value ? 1 : 0),
+    toJson: value => value,
+  },
+  json: {
+    convert: value => JSON.stringify(value),
+    toJson: value => value,
+  },
+  bytea: {
+    convert: value => value.toString('base64'),
+  },
+  timestamptz: {
+    convert: (value, options) => (value instanceof Date && Number.isFinite(value.getTime())
+      ? value.toISOString()
+      : nonFinite(value, options)),
+  },
+  date: {
+    convert: (value, options) => (value instanceof Date && Number.isFinite(value.getTime())
+      ? `${pad(value.getFullYear(), 4)}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`
+      : nonFinite(value, options)),
+  },
+  interval: {
+    convert: value => (typeof value.toISOString === 'function' ? value.toISOString() : String(value)),
+  },
+};
+
+PG_CONVERTERS.float8 = PG_CONVERTERS.float4;
+PG_CONVERTERS.jsonb = PG_CONVERTERS.json;
+PG_CONVERTERS.timestamp = PG_CONVERTERS.timestamptz;
+
+// Values of types without a converter (int4, text, uuid, ...) or of unknown
+// columns, handled by their JS type
+function convertUntyped(value, options) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : nonFinite(value, options);
+  if (typeof value === 'boolean') return PG_CONVERTERS.bool.convert(value);
+  if (typeof value === 'bigint') return PG_CONVERTERS.int8.convert(value);
+  if (value instanceof Date) return PG_CONVERTERS.timestamptz.convert(value, options);
+  if (Buffer.isBuffer(value)) return PG_CONVERTERS.bytea.convert(value);
+  if (Array.isArray(value)) return JSON.stringify(value.map(element => arrayElement(element, null, options)));
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+// Array element value for the JSON text of an array column
+function arrayElement(value, elementType, options) {
+  if (value === null) return null;
+  if (Array.isArray(value)) return value.map(element => arrayElement(element, elementType, options)); // Multidimensional
+
+  const converter = PG_CONVERTERS[elementType];
+  if (converter) return converter.toJson ? converter.toJson(value) : converter.convert(value, options);
+  // Untyped: booleans and plain objects are already JSON
+  if (typeof value === 'boolean' || (value?.constructor === Object)) return value;
+  return convertUntyped(value, options);
+}
+
+// Convert one source value. type is a column description from
+// describeColumns ({ type, element }) or null when unknown.
+// Throws ValueConversionError in strict mode when the value cannot be stored faithfully.
+export function convertValue(value, type, { strict = true } = {}) {
+  if (value === null || value === undefined) return null;
+  const options = { strict };
+
+  if (type?.element) {
+    // pg only parses arrays of built-in types; others arrive as '{...}' literals
+    if (!Array.isArray(value)) {
+      if (strict) {
+        throw new ValueConversionError(`pg returned ${type.type} unparsed (${JSON.stringify(String(value).slice(0, 40))})`);
+      }
+      return String(value);
+    }
+    return JSON.stringify(value.map(element => arrayElement(element, type.element, options)));
+  }
+
+  const converter = type ? PG_CONVERTERS[type.type] : null;
+  return converter ? converter.convert(value, options) : convertUntyped(value, options);
+}
+
+// Type of every column of a SELECT, keyed by column name:
+// { type: typname, element: element typname for arrays, else null }.
+// Reads only the row description (LIMIT 0), plus the type names from pg_type;
+// where (a WHERE clause) is checked by PostgreSQL along the way.
+export async function describeColumns(pgClient, table, selectList, where = '') {
+  const result = await pgClient.query(`SELECT ${selectList} FROM ${table}${where ? ` ${where}` : ''} LIMIT 0`);
+  const oids = [...new Set(result.fields.map(field => field.dataTypeID))];
+
+  const types = await pgClient.query(`
+    SELECT t.oid, t.typname, e.typname AS element
+    FROM pg_type t
+    LEFT JOIN pg_type e ON e.oid = t.typelem AND t.typcategory = 'A'
+    WHERE t.oid = ANY($1)
+  `, [oids]);
+  const byOid = new Map(types.rows.map(row => [Number(row.oid), { type: row.typname, element: row.element || null }]));
+
+  return Object.fromEntries(result.fields.map(field => [field.name, byOid.get(field.dataTypeID) || null]));
+}
@@ -0,0 +1,33 @@
+// Shared request pacing for all D1 callers in a process.
+// Each acquire() reserves the next free slot, so N concurrent workers together
+// never exceed requestsPerSecond.
+// setRate() and pause() let the adaptive controller (lib/adaptive-controller.js)
+// re-pace everyone at once.
+export function createRateLimiter({ requestsPerSecond }) {
+  let interval = 1000 / requestsPerSecond;
+  let nextSlot = 0;
+
+  async function acquire() {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + interval;
+
+    const wait = slot - now;
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  function setRate(rps) {
+    limiter.requestsPerSecond = rps;
+    interval = 1000 / rps;
+  }
+
+  // Hold every caller back for at least ms (e.g. a Retry-After window)
+  function pause(ms) {
+    nextSlot = Math.max(nextSlot, Date.now() + ms);
+  }
+
+  const limiter = { acquire, setRate, pause, requestsPerSecond };
+  return limiter;
+}
@@ -0,0 +1,109 @@
+import { MAX_SQL_VARIABLES, sourceSelectList, sourceWhere, applyRowTransform } from './table-config.js';
+import { getVerifyRanges } from './verify.js';
+
+// Find and delete D1 rows whose key no longer exists in PostgreSQL.
+// Ranges are compared as id lists one chunk at a time, so neither side is
+// ever loaded whole.
+
+// Keys D1 should hold for a source key range: those of the rows matching the
+// mapping's "where", as the transform module (if any) turns them out
+async function fetchSourceIds(pgClient, config, startId, endId) {
+  const key = config.keyColumn;
+  const result = await pgClient.query(
+    `SELECT ${config.rowTransform ? sourceSelectList(config) : key} FROM ${config.sourceTable}
+     ${sourceWhere(config, [`${key} >= $1`, `${key} <= $2`])}`,
+    [startId, endId]
+  );
+  return new Set(result.rows.flatMap(row => applyRowTransform(config, row)).map(row => Number(row[key])));
+}
+
+async function fetchTargetIds(executeD1SQL, config, startId, endId, pageSize = 5000) {
+  const ids = [];
+  let lower = startId;
+
+  while (true) {
+    const result = await executeD1SQL(
+      `SELECT ${config.keyColumn} AS id FROM ${config.targetTable}
+       WHERE ${config.keyColumn} >= ? AND ${config.keyColumn} <= ?
+       ORDER BY ${config.keyColumn} LIMIT ?`,
+      [lower, endId, pageSize]
+    );
+    const page = result.result[0].results.map(row => Number(row.id));
+    ids.push(...page);
+
+    if (page.length < pageSize) break;
+    lower = page[page.length - 1] + 1;
+  }
+
+  return ids;
+}
+
+// Checkpoint ranges plus whatever D1 holds outside them
+async function getReconcileRanges({ pgClient, executeD1SQL, config, rangeSize }) {
+  const ranges = await getVerifyRanges({ pgClient, executeD1SQL, config, rangeSize });
+  const bounds = await executeD1SQL(
+    `SELECT MIN(${config.keyColumn}) as min_id, MAX(${config.keyColumn}) as max_id FROM ${config.targetTable}`
+  );
+  const { min_id: d1Min, max_id: d1Max } = bounds.result[0].results[0];
+
+  if (d1Min === null) {
+    return [];
+  }
+  if (ranges.length === 0) {
+    return [{ start: d1Min, end: d1Max }];
+  }
+
+  const first = ranges[0].start;
+  const last = ranges[ranges.length - 1].end;
+  if (d1Min < first) ranges.unshift({ start: d1Min, end: first - 1 });
+  if (d1Max > last) ranges.push({ start: last + 1, end: d1Max });
+
+  return ranges;
+}
+
+// Collect orphaned D1 keys range by range, in chunks of chunkSize keys
+export async function findOrphanedIds({ pgClient, executeD1SQL, config, chunkSize = 10000, rangeSize = 100000 }) {
+  const ranges = await getReconcileRanges({ pgClient, executeD1SQL, config, rangeSize });
+  const orphans = [];
+
+  for (let i = 0; i < ranges.length; i++) {
+    const { start, end } = ranges[i];
+    let rangeOrphans = 0;
+
+    for (let chunkStart = start; chunkStart <= end; chunkStart += chunkSize) {
+      const chunkEnd = Math.min(chunkStart + chunkSize - 1, end);
+      const targetIds = await fetchTargetIds(executeD1SQL, config, chunkStart, chunkEnd);
+      if (targetIds.length === 0) continue;
+
+      const sourceIds = await fetchSourceIds(pgClient, config, chunkStart, chunkEnd);
+      for (const id of targetIds) {
+        if (!sourceIds.has(id)) {
+          orphans.push(id);
+          rangeOrphans++;
+        }
+      }
+    }
+
+    const marker = rangeOrphans > 0 ? '🗑️ ' : '✅';
+    console.log(`   [${i + 1}/${ranges.length}] ${marker} ID ${start}-${end}: ${rangeOrphans} orphaned rows`);
+  }
+
+  return orphans;
+}
+
+// Delete the given keys from the target table, staying under D1's parameter limit
+export async function deleteIds(executeD1SQL, config, ids) {
+  let deleted = 0;
+
+  for (let i = 0; i < ids.length; i += MAX_SQL_VARIABLES) {
+    const chunk = ids.slice(i, i + MAX_SQL_VARIABLES);
+    const placeholders = chunk.map(() => '?').join(', ');
+    const result = await executeD1SQL(
+      `DELETE FROM ${config.targetTable} WHERE ${config.keyColumn} IN (${placeholders})`,
+      chunk
+    );
+    deleted += result.result[0].meta?.changes ?? chunk.length;
+  }
+
+  return deleted;
+}
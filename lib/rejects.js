@@ -0,0 +1,252 @@
+import fs from 'fs';
+import path from 'path';
+import { D1NoSuchTableError } from './d1-client.js';
+import { MAX_SQL_VARIABLES } from './table-config.js';
+import { convertValue } from './pg-types.js';
+
+// Dead letters: source rows that could not be converted (stage 'convert') or
+// that D1 refused (stage 'insert'), kept per table so the rest of a checkpoint
+// can finish and the rows can be re-driven later (d1-migrate rejects retry).
+// Stored in the migration_rejects table, or in a local NDJSON file instead.
+//
+// A reject is { key, checkpointId, stage, error, row }; a key is recorded once
+// per table, later failures of the same row update it. Keys are integers (the
+// ranges checkpoints cover), so int8 keys pg hands over as strings are
+// converted first; otherwise they would sort and compare as text.
+
+const COLUMNS_PER_REJECT = 6;
+const REJECTS_PER_STATEMENT = Math.floor(MAX_SQL_VARIABLES / COLUMNS_PER_REJECT);
+const KEYS_PER_DELETE = MAX_SQL_VARIABLES - 1; // Plus the table name
+
+// Row data as JSON, keeping NaN/Infinity and bigints visible
+export function serializeRow(row) {
+  return JSON.stringify(row, (name, value) => {
+    if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+    if (typeof value === 'bigint') return value.toString();
+    return value;
+  });
+}
+
+function entryOf(tableName, reject) {
+  return {
+    table_name: tableName,
+    row_key: convertValue(reject.key, { type: 'int8' }),
+    checkpoint_id: reject.checkpointId ?? null,
+    stage: reject.stage,
+    error: reject.error,
+    row_data: typeof reject.row === 'string' ? reject.row : serializeRow(reject.row),
+  };
+}
+
+// Log rejects, a few at a time so a bad column does not flood the output
+export function reportRejects(config, rejects, prefix = '   ', limit = 5) {
+  for (const reject of rejects.slice(0, limit)) {
+    console.log(`${prefix}⚠️  Rejected ${config.keyColumn} ${reject.key}: ${reject.error}`);
+  }
+  if (rejects.length > limit) {
+    console.log(`${prefix}⚠️  ...and ${rejects.length - limit} more rejected rows`);
+  }
+}
+
+// Rejects for the rows transformRows could not convert
+export function conversionRejects(rejected, checkpointId = null) {
+  return rejected.map(error => ({ key: error.key, checkpointId, stage: 'convert', error: error.message, row: error.row }));
+}
+
+export function createRejectStore(executeD1SQL) {
+  async function ensureRejectsTable() {
+    await executeD1SQL(`
+      CREATE TABLE IF NOT EXISTS migration_rejects (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        table_name TEXT NOT NULL,
+        row_key INTEGER NOT NULL,
+        checkpoint_id INTEGER,
+        stage TEXT NOT NULL,
+        error TEXT NOT NULL,
+        row_data TEXT,
+        attempts INTEGER DEFAULT 1,
+        first_failed_at TEXT DEFAULT (datetime('now')),
+        last_failed_at TEXT DEFAULT (datetime('now')),
+        UNIQUE(table_name, row_key)
+      )
+    `);
+  }
+
+  async function recordRejects(tableName, rejects) {
+    for (let i = 0; i < rejects.length; i += REJECTS_PER_STATEMENT) {
+      const entries = rejects.slice(i, i + REJECTS_PER_STATEMENT).map(reject => entryOf(tableName, reject));
+      await executeD1SQL(
+        `INSERT INTO migration_rejects (table_name, row_key, checkpoint_id, stage, error, row_data)
+         VALUES ${entries.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}
+         ON CONFLICT(table_name, row_key) DO UPDATE SET
+           checkpoint_id = COALESCE(excluded.checkpoint_id, migration_rejects.checkpoint_id),
+           stage = excluded.stage,
+           error = excluded.error,
+           row_data = excluded.row_data,
+           attempts = migration_rejects.attempts + 1,
+           last_failed_at = datetime('now')`,
+        entries.flatMap(e => [e.table_name, e.row_key, e.checkpoint_id, e.stage, e.error, e.row_data])
+      );
+    }
+  }
+
+  // Rejects of a table in key order, limit at a time after afterKey
+  async function listRejects(tableName, { limit = 500, afterKey = null } = {}) {
+    const result = await executeD1SQL(
+      `SELECT * FROM migration_rejects
+       WHERE table_name = ?${afterKey === null ? '' : ' AND row_key > ?'}
+       ORDER BY row_key LIMIT ?`,
+      afterKey === null ? [tableName, limit] : [tableName, afterKey, limit]
+    );
+    return result.result[0].results;
+  }
+
+  // Counts per stage and error for a table. Read-only: [] before the table exists.
+  async function summarizeRejects(tableName) {
+    try {
+      const result = await executeD1SQL(
+        `SELECT stage, error, COUNT(*) as count FROM migration_rejects
+         WHERE table_name = ? GROUP BY stage, error ORDER BY count DESC`,
+        [tableName]
+      );
+      return result.result[0].results;
+    } catch (error) {
+      if (error instanceof D1NoSuchTableError) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async function deleteRejects(tableName, keys) {
+    for (let i = 0; i < keys.length; i += KEYS_PER_DELETE) {
+      const chunk = keys.slice(i, i + KEYS_PER_DELETE);
+      await executeD1SQL(
+        `DELETE FROM migration_rejects WHERE table_name = ? AND row_key IN (${chunk.map(() => '?').join(', ')})`,
+        [tableName, ...chunk]
+      );
+    }
+  }
+
+  // Forget rejects in a key range that is about to be migrated again
+  async function clearRejectRange(tableName, startKey, endKey) {
+    await executeD1SQL(
+      `DELETE FROM migration_rejects WHERE table_name = ? AND row_key >= ? AND row_key <= ?`,
+      [tableName, startKey, endKey]
+    );
+  }
+
+  async function countRejectRange(tableName, startKey, endKey) {
+    const result = await executeD1SQL(
+      `SELECT COUNT(*) as count FROM migration_rejects WHERE table_name = ? AND row_key >= ? AND row_key <= ?`,
+      [tableName, startKey, endKey]
+    );
+    return result.result[0].results[0].count;
+  }
+
+  async function clearRejects(tableName) {
+    try {
+      await executeD1SQL(`DELETE FROM migration_rejects WHERE table_name = ?`, [tableName]);
+    } catch (error) {
+      if (!(error instanceof D1NoSuchTableError)) throw error;
+    }
+  }
+
+  return {
+    location: 'D1 table migration_rejects',
+    ensureRejectsTable,
+    recordRejects,
+    listRejects,
+    summarizeRejects,
+    deleteRejects,
+    clearRejectRange,
+    countRejectRange,
+    clearRejects,
+  };
+}
+
+// Same interface over a local NDJSON file, one reject per line. For runs that
+// should not write anything but the table itself to D1. Every change rewrites
+// the file, which is fine for the handful of rows that end up here.
+export function createFileRejectStore(file) {
+  const keyOf = entry => `${entry.table_name}\u0000${entry.row_key}`;
+
+  function readAll() {
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim() !== '').map(line => JSON.parse(line));
+  }
+
+  function writeAll(entries) {
+    if (entries.length === 0 && !fs.existsSync(file)) return;
+    fs.writeFileSync(file, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+  }
+
+  const compareKeys = (a, b) => (a.row_key < b.row_key ? -1 : a.row_key > b.row_key ? 1 : 0);
+
+  async function ensureRejectsTable() {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  }
+
+  async function recordRejects(tableName, rejects) {
+    const entries = new Map(readAll().map(entry => [keyOf(entry), entry]));
+    const now = new Date().toISOString();
+
+    for (const reject of rejects) {
+      const entry = entryOf(tableName, reject);
+      const existing = entries.get(keyOf(entry));
+      entries.set(keyOf(entry), {
+        ...entry,
+        checkpoint_id: entry.checkpoint_id ?? existing?.checkpoint_id ?? null,
+        attempts: (existing?.attempts ?? 0) + 1,
+        first_failed_at: existing?.first_failed_at ?? now,
+        last_failed_at: now,
+      });
+    }
+    writeAll([...entries.values()]);
+  }
+
+  async function listRejects(tableName, { limit = 500, afterKey = null } = {}) {
+    return readAll()
+      .filter(entry => entry.table_name === tableName && (afterKey === null || entry.row_key > afterKey))
+      .sort(compareKeys)
+      .slice(0, limit);
+  }
+
+  async function summarizeRejects(tableName) {
+    const counts = new Map();
+    for (const entry of readAll().filter(e => e.table_name === tableName)) {
+      const group = `${entry.stage}\u0000${entry.error}`;
+      counts.set(group, { stage: entry.stage, error: entry.error, count: (counts.get(group)?.count ?? 0) + 1 });
+    }
+    return [...counts.values()].sort((a, b) => b.count - a.count);
+  }
+
+  async function deleteRejects(tableName, keys) {
+    const doomed = new Set(keys.map(key => keyOf({ table_name: tableName, row_key: key })));
+    writeAll(readAll().filter(entry => !doomed.has(keyOf(entry))));
+  }
+
+  async function clearRejectRange(tableName, startKey, endKey) {
+    writeAll(readAll().filter(e => e.table_name !== tableName || e.row_key < startKey || e.row_key > endKey));
+  }
+
+  async function countRejectRange(tableName, startKey, endKey) {
+    return readAll().filter(e => e.table_name === tableName && e.row_key >= startKey && e.row_key <= endKey).length;
+  }
+
+  async function clearRejects(tableName) {
+    writeAll(readAll().filter(entry => entry.table_name !== tableName));
+  }
+
+  return {
+    location: file,
+    ensureRejectsTable,
+    recordRejects,
+    listRejects,
+    summarizeRejects,
+    deleteRejects,
+    clearRejectRange,
+    countRejectRange,
+    clearRejects,
+  };
+}
@@ -0,0 +1,206 @@
+import fs from 'fs';
+import path from 'path';
+
+// Generate SQLite/D1 DDL from a PostgreSQL table definition
+
+// PostgreSQL type -> D1 storage mapping. Keys are information_schema data_type
+// values (udt_name is used as a fallback for arrays and user-defined types).
+// Values are converted to match by lib/pg-types.js.
+//
+//   PostgreSQL                                    D1/SQLite  Notes
+//   smallint, integer, bigint (+ serial forms)    INTEGER
+//   numeric, decimal, real, double precision      REAL       numeric beyond 15 digits: see typeMode
+//   money                                         REAL
+//   boolean                                       INTEGER    stored as 0/1
+//   text, character varying, character, citext    TEXT
+//   uuid, inet, cidr, macaddr                     TEXT
+//   timestamp with/without time zone              TEXT       ISO 8601
+//   date, time with/without time zone, interval   TEXT
+//   json, jsonb                                   TEXT       serialized JSON
+//   ARRAY                                         TEXT       serialized JSON array
+//   bytea                                         TEXT       base64
+//   anything else                                 TEXT       reported as a warning
+export const PG_TYPE_MAP = {
+  'smallint': { type: 'INTEGER' },
+  'integer': { type: 'INTEGER' },
+  'bigint': { type: 'INTEGER' },
+  'numeric': { type: 'REAL' },
+  'decimal': { type: 'REAL' },
+  'real': { type: 'REAL' },
+  'double precision': { type: 'REAL' },
+  'money': { type: 'REAL' },
+  'boolean': { type: 'INTEGER' },
+  'text': { type: 'TEXT' },
+  'character varying': { type: 'TEXT' },
+  'character': { type: 'TEXT' },
+  'citext': { type: 'TEXT' },
+  'uuid': { type: 'TEXT' },
+  'inet': { type: 'TEXT' },
+  'cidr': { type: 'TEXT' },
+  'macaddr': { type: 'TEXT' },
+  'timestamp with time zone': { type: 'TEXT' },
+  'timestamp without time zone': { type: 'TEXT' },
+  'date': { type: 'TEXT' },
+  'time with time zone': { type: 'TEXT' },
+  'time without time zone': { type: 'TEXT' },
+  'interval': { type: 'TEXT' },
+  'json': { type: 'TEXT' },
+  'jsonb': { type: 'TEXT' },
+  'ARRAY': { type: 'TEXT' },
+  'bytea': { type: 'TEXT' },
+};
+
+const INTEGER_TYPES = new Set(['smallint', 'integer', 'bigint']);
+
+// Resolve the D1 type for an information_schema column row
+export function mapPgType(column) {
+  const mapping = PG_TYPE_MAP[column.data_type] || PG_TYPE_MAP[column.udt_name];
+  if (mapping) {
+    return { ...mapping, known: true };
+  }
+  return { type: 'TEXT', known: false };
+}
+
+// Read columns, primary key and indexes of a table through pg
+export async function introspectTable(pgClient, tableName, schema = 'public') {
+  const columnsResult = await pgClient.query(`
+    SELECT column_name, data_type, udt_name, is_nullable, column_default, is_identity
+    FROM information_schema.columns
+    WHERE table_schema = $1 AND table_name = $2
+    ORDER BY ordinal_position
+  `, [schema, tableName]);
+
+  if (columnsResult.rows.length === 0) {
+    throw new Error(`Table ${schema}.${tableName} not found in PostgreSQL`);
+  }
+
+  const primaryKeyResult = await pgClient.query(`
+    SELECT kcu.column_name
+    FROM information_schema.table_constraints tc
+    JOIN information_schema.key_column_usage kcu
+      ON kcu.constraint_name = tc.constraint_name
+     AND kcu.table_schema = tc.table_schema
+     AND kcu.table_name = tc.table_name
+    WHERE tc.constraint_type = 'PRIMARY KEY'
+      AND tc.table_schema = $1 AND tc.table_name = $2
+    ORDER BY kcu.ordinal_position
+  `, [schema, tableName]);
+
+  // Expression indexes have no pg_attribute row and are skipped. attname is
+  // cast because pg returns name[] as unparsed '{a,b}' text.
+  const indexesResult = await pgClient.query(`
+    SELECT i.relname AS index_name,
+           ix.indisunique AS is_unique,
+           array_agg(a.attname::text ORDER BY k.ord) AS columns,
+           pg_get_expr(ix.indpred, ix.indrelid) AS predicate
+    FROM pg_class t
+    JOIN pg_namespace n ON n.oid = t.relnamespace
+    JOIN pg_index ix ON ix.indrelid = t.oid
+    JOIN pg_class i ON i.oid = ix.indexrelid
+    JOIN LATERAL unnest(ix.indkey) WITH ORDINALITY AS k(attnum, ord) ON true
+    JOIN pg_attribute a ON a.attrelid = t.oid AND a.attnum = k.attnum
+    WHERE n.nspname = $1 AND t.relname = $2 AND NOT ix.indisprimary
+    GROUP BY i.relname, ix.indisunique, ix.indpred, ix.indrelid
+    ORDER BY i.relname
+  `, [schema, tableName]);
+
+  return {
+    name: tableName,
+    schema,
+    columns: columnsResult.rows,
+    primaryKey: primaryKeyResult.rows.map(row => row.column_name),
+    indexes: indexesResult.rows,
+  };
+}
+
+// Turn introspected table info into D1 DDL statements plus any warnings
+export function generateTableDDL(table, { targetTable = table.name } = {}) {
+  const warnings = [];
+  const singleKey = table.primaryKey.length === 1 ? table.primaryKey[0] : null;
+
+  const columnDefs = table.columns.map(column => {
+    const mapping = mapPgType(column);
+    if (!mapping.known) {
+      warnings.push(`Column ${column.column_name}: unmapped type "${column.data_type}" stored as TEXT`);
+    }
+
+    if (column.column_name === singleKey && INTEGER_TYPES.has(column.data_type)) {
+      const generated = column.is_identity === 'YES' || /^nextval\(/.test(column.column_default || '');
+      return `    ${column.column_name} INTEGER PRIMARY KEY${generated ? ' AUTOINCREMENT' : ''}`;
+    }
+
+    const notNull = column.is_nullable === 'NO' ? ' NOT NULL' : '';
+    return `    ${column.column_name} ${mapping.type}${notNull}`;
+  });
+
+  const inlineKey = singleKey && columnDefs.some(def => def.includes('PRIMARY KEY'));
+  if (table.primaryKey.length > 0 && !inlineKey) {
+    columnDefs.push(`    PRIMARY KEY (${table.primaryKey.join(', ')})`);
+  }
+
+  const statements = [
+    `CREATE TABLE IF NOT EXISTS ${targetTable} (\n${columnDefs.join(',\n')}\n)`,
+  ];
+
+  for (const index of table.indexes) {
+    // Partial indexes keep their predicate, unless it needs PostgreSQL casts
+    if (index.predicate && index.predicate.includes('::')) {
+      warnings.push(`Index ${index.index_name}: predicate ${index.predicate} uses PostgreSQL casts, index skipped`);
+      continue;
+    }
+
+    const unique = index.is_unique ? 'UNIQUE ' : '';
+    const where = index.predicate ? ` WHERE ${index.predicate}` : '';
+    statements.push(
+      `CREATE ${unique}INDEX IF NOT EXISTS ${index.index_name} ON ${targetTable}(${index.columns.join(', ')})${where}`
+    );
+  }
+
+  return { statements, warnings };
+}
+
+// Build a tables/<name>.json mapping for the resumable migrator
+export function generateTableMapping(table, { targetTable = table.name } = {}) {
+  const { statements } = generateTableDDL(table, { targetTable });
+  const keyColumn = table.primaryKey.length === 1 ? table.primaryKey[0] : 'id';
+
+  return {
+    sourceTable: table.name,
+    targetTable,
+    keyColumn,
+    columns: table.columns
+      .filter(column => column.column_name !== keyColumn)
+      .map(column => ({ name: column.column_name })),
+    ddl: statements.map(statement => statement.replace(/\s+/g, ' ').replace(/\( /g, '(').replace(/ \)/g, ')')),
+  };
+}
+
+// Next free migrations/NNNN_<slug>.sql path, numbered after the highest existing file
+export function nextMigrationPath(dir, description) {
+  const existing = fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+  const highest = existing
+    .map(file => parseInt(file.split('_')[0], 10))
+    .filter(n => Number.isFinite(n))
+    .reduce((max, n) => Math.max(max, n), 0);
+
+  const slug = description.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  return path.join(dir, `${String(highest + 1).padStart(4, '0')}_${slug}.sql`);
+}
+
+// Render a migration file in the same layout as migrations/0001_initial_schema.sql
+export function renderMigration(description, tables) {
+  const lines = [
+    `-- Migration: ${description}`,
+    `-- Created: ${new Date().toISOString().slice(0, 10)}`,
+    `-- Description: Generated from PostgreSQL information_schema by generate-schema.js`,
+  ];
+
+  for (const { name, statements } of tables) {
+    lines.push('', '-- ========================================', `-- Table: ${name}`, '-- ========================================');
+    for (const statement of statements) {
+      lines.push(`${statement};`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
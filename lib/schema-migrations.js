@@ -0,0 +1,84 @@
+import fs from 'fs';
+import path from 'path';
+import { D1NoSuchTableError } from './d1-client.js';
+import { splitSqlStatements } from './sql-splitter.js';
+
+// Versioned schema migrations (migrations/NNNN_name.sql) applied over the D1
+// REST API. Bookkeeping matches `wrangler d1 migrations apply`: the same
+// migrations table, one row per file name, files applied in name order, so
+// either tool can pick up where the other left off. Statements run as written,
+// as wrangler runs them: columns the tools add at runtime (checkpoint leases,
+// geohash) are not added by migrations.
+
+// DROP TABLE / DROP VIEW and ALTER TABLE ... DROP COLUMN lose data
+const DESTRUCTIVE = [
+  /^DROP\s+(?:TABLE|VIEW)\b/i,
+  /^ALTER\s+TABLE\s+\S+\s+DROP\b/i,
+];
+
+// Statements that would destroy data, as [{ sql, line }]
+export function findDestructiveStatements(statements) {
+  return statements.filter(({ sql }) => DESTRUCTIVE.some(pattern => pattern.test(sql)));
+}
+
+// Migration files in dir, in the order wrangler applies them
+export function listMigrationFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Migrations directory not found: ${dir}`);
+  }
+  return fs.readdirSync(dir).filter(name => name.endsWith('.sql')).sort();
+}
+
+// Read and split a migration file; errors name the file
+export function readMigration(dir, name) {
+  const file = path.join(dir, name);
+  try {
+    return { name, file, statements: splitSqlStatements(fs.readFileSync(file, 'utf8')) };
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+}
+
+export function createMigrationRunner({ executeD1SQL, executeD1Batch, dir = 'migrations', table = 'd1_migrations' }) {
+  // Same definition wrangler uses, so both tools share one table
+  async function ensureMigrationsTable() {
+    await executeD1SQL(`
+      CREATE TABLE IF NOT EXISTS ${table}(
+        id         INTEGER PRIMARY KEY AUTOINCREMENT,
+        name       TEXT UNIQUE,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL
+      )
+    `);
+  }
+
+  // Applied migrations as [{ id, name, applied_at }]; [] before the first one
+  async function appliedMigrations() {
+    try {
+      const result = await executeD1SQL(`SELECT id, name, applied_at FROM ${table} ORDER BY id`);
+      return result.result[0].results;
+    } catch (error) {
+      if (error instanceof D1NoSuchTableError) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  // Migrations not yet recorded in the migrations table, read and split
+  async function pendingMigrations() {
+    const applied = new Set((await appliedMigrations()).map(m => m.name));
+    return listMigrationFiles(dir)
+      .filter(name => !applied.has(name))
+      .map(name => readMigration(dir, name));
+  }
+
+  // Run a migration's statements and record it, in one transaction
+  async function applyMigration(migration) {
+    const statements = migration.statements.map(({ sql }) => ({ sql, params: [] }));
+    statements.push({ sql: `INSERT INTO ${table} (name) VALUES (?)`, params: [migration.name] });
+    await ensureMigrationsTable();
+    await executeD1Batch(statements, { atomic: true });
+  }
+
+  return { ensureMigrationsTable, appliedMigrations, pendingMigrations, applyMigration };
+}
@@ -0,0 +1,118 @@
+import fs from 'fs';
+import path from 'path';
+import { transformRows, insertColumns, upsertClause } from './table-config.js';
+import { readSourceRange } from './pg-stream.js';
+
+// Bulk load support: render PostgreSQL rows as .sql files with inline literals
+// for `wrangler d1 execute --file`, which skips the 100-parameter limit of /query.
+
+// D1 rejects statements over 100 KB; leave headroom for the upsert clause
+export const DEFAULT_MAX_STATEMENT_BYTES = 90 * 1024;
+export const DEFAULT_MAX_FILE_BYTES = 20 * 1024 * 1024;
+
+// Render a JS value as an SQLite literal
+export function sqlLiteral(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'NULL';
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (value instanceof Date) return sqlLiteral(value.toISOString());
+  if (Buffer.isBuffer(value)) return `X'${value.toString('hex')}'`;
+  if (typeof value === 'object') return sqlLiteral(JSON.stringify(value));
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// Writes INSERT statements into size-capped files. Each file holds whole
+// statements only, so files can be applied (and retried) independently.
+// Rows must arrive in key order; every file records the key span it covers.
+export function createDumpWriter(config, { dir, prefix, maxFileBytes = DEFAULT_MAX_FILE_BYTES, maxStatementBytes = DEFAULT_MAX_STATEMENT_BYTES }) {
+  const columnNames = insertColumns(config);
+  const head = `INSERT INTO ${config.targetTable} (${columnNames.join(', ')}) VALUES\n`;
+  const tail = `${upsertClause(config)};\n`;
+  const files = [];
+
+  let statement = null; // { tuples: [], bytes, startId, endId, rows }
+  let file = null; // { fd, entry }
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  function openFile() {
+    const name = `${prefix}-part${String(files.length + 1).padStart(4, '0')}.sql`;
+    const entry = { file: path.join(dir, name), startId: null, endId: null, rows: 0, bytes: 0 };
+    file = { fd: fs.openSync(entry.file, 'w'), entry };
+    files.push(entry);
+  }
+
+  function closeFile() {
+    if (!file) return;
+    fs.closeSync(file.fd);
+    file = null;
+  }
+
+  function flushStatement() {
+    if (!statement) return;
+
+    const text = head + statement.tuples.join(',\n') + tail;
+    const bytes = Buffer.byteLength(text);
+
+    if (file && file.entry.bytes + bytes > maxFileBytes) {
+      closeFile();
+    }
+    if (!file) {
+      openFile();
+    }
+
+    fs.writeSync(file.fd, text);
+    const { entry } = file;
+    entry.startId = entry.startId ?? statement.startId;
+    entry.endId = statement.endId;
+    entry.rows += statement.rows;
+    entry.bytes += bytes;
+    statement = null;
+  }
+
+  function writeRow(keyValue, row) {
+    const tuple = `(${columnNames.map(name => sqlLiteral(row[name])).join(', ')})`;
+    const tupleBytes = Buffer.byteLength(tuple) + 2;
+
+    if (statement && statement.bytes + tupleBytes > maxStatementBytes) {
+      flushStatement();
+    }
+    if (!statement) {
+      statement = { tuples: [], bytes: Buffer.byteLength(head + tail), startId: keyValue, endId: keyValue, rows: 0 };
+    }
+
+    statement.tuples.push(tuple);
+    statement.bytes += tupleBytes;
+    statement.endId = keyValue;
+    statement.rows++;
+  }
+
+  // Flush pending rows and return the manifest entries of every file written
+  function finish() {
+    flushStatement();
+    closeFile();
+    return files;
+  }
+
+  return { writeRow, finish };
+}
+
+// Stream the source rows with keys in [startId, endId] into dump files,
+// one keyset page at a time so memory stays flat. Rows that cannot be
+// converted are left out and passed to onRejected (RowConversionErrors).
+export async function dumpRange({ pgClient, config, startId, endId, dir, prefix, pageSize = 5000, onRejected = () => {}, ...limits }) {
+  const writer = createDumpWriter(config, { dir, prefix, ...limits });
+
+  for await (const page of readSourceRange(pgClient, config, { startId, endId, pageSize })) {
+    const { rows, rejected } = transformRows(config, page);
+    for (const row of rows) {
+      writer.writeRow(Number(row[config.keyColumn]), row);
+    }
+    if (rejected.length > 0) {
+      await onRejected(rejected);
+    }
+  }
+
+  return writer.finish();
+}
@@ -0,0 +1,126 @@
+// Split a SQL file into statements for D1, which runs one statement per
+// /query call. Semicolons only end a statement outside string literals,
+// quoted identifiers, comments and CREATE TRIGGER ... BEGIN ... END bodies.
+
+// Closing character for each kind of quoted token
+const QUOTES = { "'": "'", '"': '"', '`': '`', '[': ']' };
+
+const TRIGGER_PREFIX = /^CREATE\s+(?:TEMP\s+|TEMPORARY\s+)?TRIGGER\b/i;
+
+// Statements of a SQL source as [{ sql, line }], where line is the 1-based
+// line the statement starts on. Comments before a statement are dropped;
+// comments inside one are kept. Throws on an unterminated literal or comment.
+export function splitSqlStatements(source) {
+  const statements = [];
+  let line = 1;
+  let start = -1; // Offset of the current statement's first token
+  let startLine = 0;
+  let trigger = null; // { depth } while inside a CREATE TRIGGER statement
+  let i = 0;
+
+  const lineAt = (from, to) => {
+    for (let j = from; j < to; j++) {
+      if (source[j] === '\n') line++;
+    }
+  };
+
+  const begin = () => {
+    if (start === -1) {
+      start = i;
+      startLine = line;
+    }
+  };
+
+  const finish = (end) => {
+    if (start !== -1) {
+      statements.push({ sql: source.slice(start, end).trim(), line: startLine });
+    }
+    start = -1;
+    trigger = null;
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+
+    // -- line comment
+    if (char === '-' && source[i + 1] === '-') {
+      const end = source.indexOf('\n', i);
+      i = end === -1 ? source.length : end;
+      continue;
+    }
+
+    // /* block comment */
+    if (char === '/' && source[i + 1] === '*') {
+      const end = source.indexOf('*/', i + 2);
+      if (end === -1) {
+        throw new Error(`Unterminated /* comment starting on line ${line}`);
+      }
+      lineAt(i, end + 2);
+      i = end + 2;
+      continue;
+    }
+
+    // 'literal', "identifier", `identifier` or [identifier]; doubled quotes escape
+    if (QUOTES[char]) {
+      begin();
+      const close = QUOTES[char];
+      const openedOn = line;
+      let j = i + 1;
+      while (true) {
+        j = source.indexOf(close, j);
+        if (j === -1) {
+          throw new Error(`Unterminated ${char}...${close} quote starting on line ${openedOn}`);
+        }
+        if (close !== ']' && source[j + 1] === close) {
+          j += 2;
+          continue;
+        }
+        break;
+      }
+      lineAt(i, j + 1);
+      i = j + 1;
+      continue;
+    }
+
+    if (char === ';') {
+      if (!trigger || trigger.depth === 0) {
+        finish(i);
+      }
+      i++;
+      continue;
+    }
+
+    // Words: track BEGIN/CASE ... END nesting inside trigger bodies
+    if (/[A-Za-z_]/.test(char)) {
+      begin();
+      let j = i + 1;
+      while (j < source.length && /[A-Za-z0-9_$]/.test(source[j])) j++;
+      const word = source.slice(i, j).toUpperCase();
+
+      if (word === 'TRIGGER' && !trigger && TRIGGER_PREFIX.test(source.slice(start, j))) {
+        trigger = { depth: 0 };
+      } else if (trigger && (word === 'BEGIN' || word === 'CASE')) {
+        trigger.depth++;
+      } else if (trigger && word === 'END') {
+        trigger.depth = Math.max(0, trigger.depth - 1);
+      }
+
+      i = j;
+      continue;
+    }
+
+    if (char === '\n') {
+      line++;
+    } else if (!/\s/.test(char)) {
+      begin();
+    }
+    i++;
+  }
+
+  if (trigger && trigger.depth > 0) {
+    throw new Error(`CREATE TRIGGER starting on line ${startLine} has no matching END`);
+  }
+  finish(source.length);
+
+  return statements;
+}
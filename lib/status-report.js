@@ -0,0 +1,233 @@
+import { createCheckpointStore } from './checkpoints.js';
+import { sourceWhere } from './table-config.js';
+
+// Migration progress per table, read from migration_checkpoints, rendered as a
+// console table, JSON or GitHub step summary markdown (d1-migrate status).
+
+const STATUSES = ['pending', 'in_progress', 'completed', 'failed'];
+
+// Gather one table's progress. pgClient is optional; without it the source
+// row count (and therefore the ETA) is estimated from the checkpoint ID ranges.
+export async function collectTableStatus({ executeD1SQL, pgClient = null, config, maxErrors = 5 }) {
+  const { getCheckpointSummary } = createCheckpointStore(executeD1SQL);
+  const summary = await getCheckpointSummary(config.name);
+
+  const checkpoints = Object.fromEntries(STATUSES.map(status => [status, 0]));
+  summary.forEach(s => { checkpoints[s.status] = s.count; });
+  checkpoints.total = summary.reduce((sum, s) => sum + s.count, 0);
+
+  const report = {
+    table: config.name,
+    sourceTable: config.sourceTable,
+    targetTable: config.targetTable,
+    checkpoints,
+    rowsMigrated: 0,
+    sourceRows: null,
+    percent: null,
+    firstStartedAt: null,
+    lastCompletedAt: null,
+    rowsPerSecond: null,
+    etaSeconds: null,
+    activeWorkers: [],
+    recentErrors: [],
+  };
+
+  if (pgClient) {
+    const count = await pgClient.query(`SELECT COUNT(*) as count FROM ${config.sourceTable} ${sourceWhere(config)}`);
+    report.sourceRows = parseInt(count.rows[0].count, 10);
+  }
+
+  if (checkpoints.total === 0) {
+    return report;
+  }
+
+  // Throughput over the time checkpoints were actually being worked on, so
+  // gaps between scheduled runs do not drag it down
+  const timing = await executeD1SQL(
+    `SELECT
+       COALESCE(SUM(records_processed), 0) as rows_migrated,
+       MIN(started_at) as first_started_at,
+       MAX(completed_at) as last_completed_at,
+       SUM((julianday(completed_at) - julianday(started_at)) * 86400) as busy_seconds
+     FROM migration_checkpoints
+     WHERE table_name = ? AND status = 'completed'`,
+    [config.name]
+  );
+  const { rows_migrated, first_started_at, last_completed_at, busy_seconds } = timing.result[0].results[0];
+
+  report.rowsMigrated = rows_migrated;
+  report.firstStartedAt = first_started_at;
+  report.lastCompletedAt = last_completed_at;
+  if (busy_seconds > 0) {
+    report.rowsPerSecond = Math.round(rows_migrated / busy_seconds * 10) / 10;
+  }
+
+  // Without a source count, assume the unfinished ranges are as dense as the finished ones
+  let remainingRows = null;
+  if (report.sourceRows !== null) {
+    remainingRows = Math.max(0, report.sourceRows - rows_migrated);
+    report.percent = report.sourceRows > 0 ? Math.min(100, Math.round(rows_migrated / report.sourceRows * 1000) / 10) : 100;
+  } else {
+    const spans = await executeD1SQL(
+      `SELECT
+         COALESCE(SUM(CASE WHEN status = 'completed' THEN end_id - start_id + 1 END), 0) as done_span,
+         COALESCE(SUM(CASE WHEN status != 'completed' THEN end_id - start_id + 1 END), 0) as remaining_span
+       FROM migration_checkpoints WHERE table_name = ?`,
+      [config.name]
+    );
+    const { done_span, remaining_span } = spans.result[0].results[0];
+    remainingRows = done_span > 0 ? Math.round(remaining_span * rows_migrated / done_span) : null;
+    report.percent = Math.round(checkpoints.completed / checkpoints.total * 1000) / 10;
+  }
+
+  if (remainingRows === 0) {
+    report.etaSeconds = 0;
+  } else if (remainingRows !== null && report.rowsPerSecond) {
+    // Workers run side by side, so divide by how many are active right now
+    const workers = Math.max(1, checkpoints.in_progress);
+    report.etaSeconds = Math.round(remainingRows / report.rowsPerSecond / workers);
+  }
+
+  if (checkpoints.in_progress > 0) {
+    const active = await executeD1SQL(
+      `SELECT id, start_id, end_id, worker_id, started_at, heartbeat_at FROM migration_checkpoints
+       WHERE table_name = ? AND status = 'in_progress' ORDER BY start_id`,
+      [config.name]
+    );
+    report.activeWorkers = active.result[0].results.map(c => ({
+      checkpoint: c.id,
+      startId: c.start_id,
+      endId: c.end_id,
+      worker: c.worker_id,
+      startedAt: c.started_at,
+      heartbeatAt: c.heartbeat_at,
+    }));
+  }
+
+  const errors = await executeD1SQL(
+    `SELECT id, start_id, end_id, status, error_message, completed_at FROM migration_checkpoints
+     WHERE table_name = ? AND error_message IS NOT NULL
+     ORDER BY completed_at DESC LIMIT ?`,
+    [config.name, maxErrors]
+  );
+  report.recentErrors = errors.result[0].results.map(c => ({
+    checkpoint: c.id,
+    startId: c.start_id,
+    endId: c.end_id,
+    status: c.status,
+    at: c.completed_at,
+    message: c.error_message,
+  }));
+
+  return report;
+}
+
+// A table is done once every checkpoint has completed
+export function isComplete(report) {
+  return report.checkpoints.total > 0 && report.checkpoints.completed === report.checkpoints.total;
+}
+
+export function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) return '-';
+  if (seconds < 60) return `${seconds}s`;
+
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+// Summary cells shared by the console table and the markdown table
+function summaryRow(report) {
+  const { checkpoints } = report;
+  const rows = report.sourceRows !== null
+    ? `${report.rowsMigrated.toLocaleString('en-US')} / ${report.sourceRows.toLocaleString('en-US')}`
+    : report.rowsMigrated.toLocaleString('en-US');
+
+  return [
+    report.table,
+    String(checkpoints.pending),
+    String(checkpoints.in_progress),
+    String(checkpoints.completed),
+    String(checkpoints.failed),
+    rows,
+    report.percent !== null ? `${report.percent}%` : '-',
+    report.rowsPerSecond !== null ? String(report.rowsPerSecond) : '-',
+    isComplete(report) ? 'done' : formatDuration(report.etaSeconds),
+  ];
+}
+
+const SUMMARY_HEADERS = ['Table', 'Pending', 'In progress', 'Completed', 'Failed', 'Rows (migrated / source)', 'Progress', 'Rows/s', 'ETA'];
+
+// Plain-text table for the terminal
+export function formatStatusTable(reports) {
+  const rows = [SUMMARY_HEADERS, ...reports.map(summaryRow)];
+  const widths = SUMMARY_HEADERS.map((_, i) => Math.max(...rows.map(row => row[i].length)));
+  const line = row => row.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  ');
+
+  const lines = [line(rows[0]), widths.map(w => '─'.repeat(w)).join('  '), ...rows.slice(1).map(line)];
+
+  for (const report of reports) {
+    if (report.checkpoints.total === 0) {
+      lines.push('', `${report.table}: no checkpoints yet (migration not started)`);
+      continue;
+    }
+    if (report.activeWorkers.length > 0) {
+      lines.push('', `${report.table}: in progress`);
+      report.activeWorkers.forEach(w => {
+        lines.push(`  🔄 #${w.checkpoint} ID ${w.startId}-${w.endId} on ${w.worker || 'unknown worker'} (last heartbeat ${w.heartbeatAt || 'never'})`);
+      });
+    }
+    if (report.recentErrors.length > 0) {
+      lines.push('', `${report.table}: recent errors`);
+      report.recentErrors.forEach(e => {
+        lines.push(`  ❌ #${e.checkpoint} ID ${e.startId}-${e.endId} (${e.at || 'unknown time'}): ${shorten(e.message)}`);
+      });
+    }
+  }
+
+  return lines.join('\n');
+}
+
+// Error messages can carry whole SQL statements; keep report lines readable
+function shorten(text, length = 200) {
+  text = String(text).replace(/\s*\r?\n\s*/g, ' ');
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+// Markdown for $GITHUB_STEP_SUMMARY
+export function formatStatusMarkdown(reports, { generatedAt = new Date().toISOString() } = {}) {
+  const lines = [
+    '## D1 Migration Status',
+    '',
+    `_Generated ${generatedAt}_`,
+    '',
+    `| ${SUMMARY_HEADERS.join(' | ')} |`,
+    `| ${SUMMARY_HEADERS.map((_, i) => (i === 0 ? '---' : '---:')).join(' | ')} |`,
+    ...reports.map(report => `| ${summaryRow(report).map(escapeMarkdown).join(' | ')} |`),
+  ];
+
+  for (const report of reports) {
+    if (report.checkpoints.total === 0) {
+      lines.push('', `### ${report.table}`, '- No checkpoints yet (migration not started)');
+      continue;
+    }
+    if (report.activeWorkers.length === 0 && report.recentErrors.length === 0) continue;
+
+    lines.push('', `### ${report.table}`);
+    report.activeWorkers.forEach(w => {
+      lines.push(`- 🔄 Checkpoint #${w.checkpoint} (ID ${w.startId}-${w.endId}) on \`${w.worker || 'unknown'}\`, last heartbeat ${w.heartbeatAt || 'never'}`);
+    });
+    report.recentErrors.forEach(e => {
+      lines.push(`- ❌ Checkpoint #${e.checkpoint} (ID ${e.startId}-${e.endId}, ${e.at || 'unknown time'}): ${escapeMarkdown(shorten(e.message))}`);
+    });
+  }
+
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,212 @@
+import { D1NoSuchTableError } from './d1-client.js';
+import { sourceSelectList, sourceWhere, transformRows, prepareSource, buildInsertStatements, ensureGeohashColumn } from './table-config.js';
+import { insertAdaptively } from './adaptive-controller.js';
+import { readSourceRange } from './pg-stream.js';
+import { reportRejects, conversionRejects } from './rejects.js';
+
+// Incremental sync: pull rows added or edited in PostgreSQL since the last run
+// and upsert them into D1. Progress is kept per table in migration_sync_state.
+
+export function createSyncStateStore(executeD1SQL) {
+  async function ensureSyncStateTableExists() {
+    await executeD1SQL(`
+      CREATE TABLE IF NOT EXISTS migration_sync_state (
+        table_name TEXT PRIMARY KEY,
+        last_id INTEGER,
+        last_updated_at TEXT,
+        rows_synced INTEGER DEFAULT 0,
+        last_synced_at TEXT
+      )
+    `);
+  }
+
+  async function getSyncState(tableName) {
+    const result = await executeD1SQL(
+      `SELECT * FROM migration_sync_state WHERE table_name = ?`,
+      [tableName]
+    );
+    return result.result[0].results[0] || null;
+  }
+
+  async function saveSyncState(tableName, { lastId, lastUpdatedAt, rowsSynced }) {
+    await executeD1SQL(
+      `INSERT INTO migration_sync_state (table_name, last_id, last_updated_at, rows_synced, last_synced_at)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(table_name) DO UPDATE SET
+         last_id = excluded.last_id,
+         last_updated_at = excluded.last_updated_at,
+         rows_synced = migration_sync_state.rows_synced + excluded.rows_synced,
+         last_synced_at = excluded.last_synced_at`,
+      [tableName, lastId, lastUpdatedAt, rowsSynced, new Date().toISOString()]
+    );
+  }
+
+  return { ensureSyncStateTableExists, getSyncState, saveSyncState };
+}
+
+// Target column holding the mapped updatedAtColumn
+function updatedAtTargetColumn(config) {
+  const column = config.columns.find(c => c.source === config.updatedAtColumn);
+  return column ? column.name : config.updatedAtColumn;
+}
+
+// First run: start from what D1 already holds so a completed full migration
+// is not copied again.
+async function initialHighWaterMarks(executeD1SQL, config) {
+  const updatedAt = config.updatedAtColumn ? `MAX(${updatedAtTargetColumn(config)})` : 'NULL';
+  try {
+    const result = await executeD1SQL(
+      `SELECT MAX(${config.keyColumn}) as last_id, ${updatedAt} as last_updated_at FROM ${config.targetTable}`
+    );
+    const row = result.result[0].results[0];
+    return { lastId: row.last_id ?? 0, lastUpdatedAt: row.last_updated_at ?? null };
+  } catch (error) {
+    if (error instanceof D1NoSuchTableError) {
+      return { lastId: 0, lastUpdatedAt: null };
+    }
+    throw error;
+  }
+}
+
+// Saved high-water marks, or the initial ones on the first run
+async function currentHighWaterMarks(store, executeD1SQL, config) {
+  let saved = null;
+  try {
+    saved = await store.getSyncState(config.name);
+  } catch (error) {
+    if (!(error instanceof D1NoSuchTableError)) {
+      throw error;
+    }
+  }
+
+  return saved
+    ? { lastId: saved.last_id ?? 0, lastUpdatedAt: saved.last_updated_at }
+    : initialHighWaterMarks(executeD1SQL, config);
+}
+
+// Convert a page of source rows and upsert them in D1 batch requests sized by
+// the adaptive controller. Rows that cannot be converted or that D1 refuses go
+// to the reject store; returns how many.
+async function upsertRows({ executeD1Batch, controller, config, rejectStore }, page, batchSize) {
+  const { rows, rejected } = transformRows(config, page);
+  const rejects = conversionRejects(rejected);
+
+  await insertAdaptively({
+    rows,
+    buildStatements: chunk => buildInsertStatements(config, chunk, batchSize),
+    executeD1Batch,
+    controller,
+    onRejected: (row, error) => {
+      rejects.push({ key: row[config.keyColumn], stage: 'insert', error: error.message, row });
+    },
+  });
+
+  if (rejects.length > 0) {
+    reportRejects(config, rejects);
+    await rejectStore.recordRejects(config.name, rejects);
+  }
+  return rejects.length;
+}
+
+// Run one sync pass for a table. Requires preserveIds so edited rows can be
+// matched to their D1 copy by key. Rejected rows go to rejectStore (lib/rejects.js).
+export async function syncTable({ pgClient, executeD1SQL, executeD1Batch, controller, rejectStore, config, batchSize, pageSize = 5000 }) {
+  if (!config.preserveIds) {
+    throw new Error(`Sync for ${config.name} requires preserveIds in its table mapping (D1 ids must match PostgreSQL ids)`);
+  }
+
+  await prepareSource(pgClient, config);
+  const store = createSyncStateStore(executeD1SQL);
+  await store.ensureSyncStateTableExists();
+  await ensureGeohashColumn(executeD1SQL, config);
+  await rejectStore.ensureRejectsTable();
+  const writer = { executeD1Batch, controller, config, rejectStore };
+
+  const marks = await currentHighWaterMarks(store, executeD1SQL, config);
+
+  console.log(`   High-water marks: ${config.keyColumn} > ${marks.lastId}` +
+    (config.updatedAtColumn ? `, ${config.updatedAtColumn} > ${marks.lastUpdatedAt ?? 'none'}` : ''));
+
+  const key = config.keyColumn;
+  const selectList = sourceSelectList(config);
+  const lastIdBeforeSync = marks.lastId;
+  let newRows = 0;
+  let changedRows = 0;
+  let skippedRows = 0;
+
+  // Pass 1: rows with keys beyond the high-water mark
+  for await (const page of readSourceRange(pgClient, config, { startId: Number(marks.lastId) + 1, pageSize })) {
+    const skipped = await upsertRows(writer, page, batchSize);
+    skippedRows += skipped;
+    newRows += page.length - skipped;
+    marks.lastId = page[page.length - 1][key];
+    await store.saveSyncState(config.name, { ...marks, rowsSynced: page.length - skipped });
+    console.log(`   ➕ Synced ${newRows} new rows (up to ${key} ${marks.lastId})`);
+  }
+
+  // Pass 2: already-synced rows edited since the last run, keyset-paged on (updated_at, key).
+  // Timestamps travel as PostgreSQL's own text so the cursor keeps their
+  // microseconds; a JS Date would round them down and re-read the same rows forever.
+  if (config.updatedAtColumn) {
+    const updatedAt = config.updatedAtColumn;
+    let cursor = { updatedAt: marks.lastUpdatedAt || '-infinity', id: 0 };
+
+    // Without a stored mark every existing row would qualify; only look forward from now on
+    if (!marks.lastUpdatedAt) {
+      const latest = await pgClient.query(`SELECT MAX(${updatedAt})::text as latest FROM ${config.sourceTable} ${sourceWhere(config)}`);
+      marks.lastUpdatedAt = latest.rows[0].latest;
+      cursor = null;
+    }
+
+    while (cursor) {
+      const result = await pgClient.query(`
+        SELECT ${selectList}, ${updatedAt}::text AS __sync_updated_at
+        FROM ${config.sourceTable}
+        ${sourceWhere(config, [`(${updatedAt}, ${key}) > ($1, $2)`, `${key} <= $3`])}
+        ORDER BY ${updatedAt}, ${key}
+        LIMIT $4
+      `, [cursor.updatedAt, cursor.id, lastIdBeforeSync, pageSize]);
+
+      if (result.rows.length === 0) break;
+
+      const skipped = await upsertRows(writer, result.rows, batchSize);
+      skippedRows += skipped;
+      changedRows += result.rows.length - skipped;
+
+      const last = result.rows[result.rows.length - 1];
+      cursor = { updatedAt: last.__sync_updated_at, id: last[key] };
+      marks.lastUpdatedAt = last.__sync_updated_at;
+      await store.saveSyncState(config.name, { ...marks, rowsSynced: result.rows.length - skipped });
+      console.log(`   ✏️  Synced ${changedRows} changed rows (up to ${updatedAt} ${marks.lastUpdatedAt})`);
+
+      if (result.rows.length < pageSize) break;
+    }
+  }
+
+  await store.saveSyncState(config.name, { ...marks, rowsSynced: 0 });
+  return { newRows, changedRows, skippedRows, ...marks };
+}
+
+// What the next sync pass would pick up, without writing anything
+export async function planSync({ pgClient, executeD1SQL, config }) {
+  const store = createSyncStateStore(executeD1SQL);
+  const marks = await currentHighWaterMarks(store, executeD1SQL, config);
+  const key = config.keyColumn;
+
+  const pending = await pgClient.query(
+    `SELECT COUNT(*) as count FROM ${config.sourceTable} ${sourceWhere(config, [`${key} > $1`])}`,
+    [marks.lastId]
+  );
+
+  // Edits are only tracked once a previous pass stored an updated-at mark
+  let changedRows = null;
+  if (config.updatedAtColumn && marks.lastUpdatedAt) {
+    const changed = await pgClient.query(
+      `SELECT COUNT(*) as count FROM ${config.sourceTable} ${sourceWhere(config, [`${config.updatedAtColumn} > $1`, `${key} <= $2`])}`,
+      [marks.lastUpdatedAt, marks.lastId]
+    );
+    changedRows = parseInt(changed.rows[0].count, 10);
+  }
+
+  return { ...marks, newRows: parseInt(pending.rows[0].count, 10), changedRows };
+}
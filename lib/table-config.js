@@ -0,0 +1,363 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { encodeGeohash, GEOHASH_MAX_PRECISION } from './geo.js';
+import { convertValue, describeColumns, PG_CONVERTERS, RowConversionError, ValueConversionError, TYPE_MODES } from './pg-types.js';
+
+// Declarative table mappings (tables/<name>.json) that drive the migrators
+
+export const TABLES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'tables');
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Cloudflare D1's limit on bound parameters per query
+export const MAX_SQL_VARIABLES = 100;
+
+// Per-column value transforms, referenced by name from the mapping files. They
+// get the value and { strict }, and throw ValueConversionError like the type
+// converters in lib/pg-types.js.
+export const TRANSFORMS = {
+  // Timestamp (or date text) -> ISO 8601 text. Timestamp columns are converted
+  // by their type without it; kept for mappings that still name it.
+  isoTimestamp: (value, options) => (value === null || value === undefined
+    ? null
+    : PG_CONVERTERS.timestamptz.convert(value instanceof Date ? value : new Date(value), options)),
+};
+
+function assertIdentifier(value, field, file) {
+  if (typeof value !== 'string' || !IDENTIFIER.test(value)) {
+    throw new Error(`Invalid ${field} ${JSON.stringify(value)} in ${file}`);
+  }
+}
+
+// Validate a raw mapping and fill in defaults
+export function normalizeTableConfig(raw, { name, file = name } = {}) {
+  const config = {
+    name: raw.name || name,
+    sourceTable: raw.sourceTable || name,
+    targetTable: raw.targetTable || raw.sourceTable || name,
+    keyColumn: raw.keyColumn || 'id',
+    // Copy the source key into D1 and upsert on it, so re-running a range is idempotent
+    preserveIds: raw.preserveIds === true,
+    // Source column used by sync mode to pick up edited rows (optional)
+    updatedAtColumn: raw.updatedAtColumn || null,
+    columns: [],
+    ddl: raw.ddl || [],
+    // Derived geohash column for radius lookups (optional, see geohashDdl)
+    geohash: null,
+    // strict: rows with values D1 cannot store faithfully are rejected (see lib/pg-types.js);
+    // lenient: such values are rounded or stored as NULL
+    typeMode: raw.typeMode || 'strict',
+    // PostgreSQL column types, filled in by loadSourceTypes before reading rows
+    sourceTypes: null,
+    // SQL predicate limiting which source rows are migrated, synced and counted (optional)
+    where: raw.where ?? null,
+    // JS module whose default export reshapes source rows (optional, see applyRowTransform),
+    // resolved from the mapping file's directory and imported by loadRowTransform
+    transformModule: raw.transformModule ? path.resolve(path.dirname(file), raw.transformModule) : null,
+    rowTransform: null,
+  };
+
+  assertIdentifier(config.name, 'name', file);
+  assertIdentifier(config.sourceTable, 'sourceTable', file);
+  assertIdentifier(config.targetTable, 'targetTable', file);
+  assertIdentifier(config.keyColumn, 'keyColumn', file);
+  if (config.updatedAtColumn) {
+    assertIdentifier(config.updatedAtColumn, 'updatedAtColumn', file);
+  }
+
+  if (config.where !== null && (typeof config.where !== 'string' || config.where.trim() === '' || config.where.includes(';'))) {
+    throw new Error(`"where" must be a single SQL condition (without ;) in ${file}`);
+  }
+
+  if (!TYPE_MODES.includes(config.typeMode)) {
+    throw new Error(`typeMode must be one of ${TYPE_MODES.join(', ')} in ${file}`);
+  }
+
+  if (!Array.isArray(raw.columns) || raw.columns.length === 0) {
+    throw new Error(`Table mapping ${file} must list at least one column`);
+  }
+
+  for (const column of raw.columns) {
+    const entry = typeof column === 'string' ? { name: column } : column;
+    const normalized = {
+      name: entry.name,
+      source: entry.source || entry.name,
+      transform: entry.transform || null,
+    };
+
+    assertIdentifier(normalized.name, 'column name', file);
+    assertIdentifier(normalized.source, 'column source', file);
+
+    if (normalized.transform && !TRANSFORMS[normalized.transform]) {
+      throw new Error(`Unknown transform "${normalized.transform}" for column ${normalized.name} in ${file}`);
+    }
+
+    config.columns.push(normalized);
+  }
+
+  if (!Array.isArray(config.ddl)) {
+    throw new Error(`"ddl" must be an array of SQL statements in ${file}`);
+  }
+
+  if (raw.geohash) {
+    const options = raw.geohash === true ? {} : raw.geohash;
+    config.geohash = {
+      column: options.column || 'geohash',
+      precision: options.precision ?? 9,
+      latitude: options.latitude || 'latitude',
+      longitude: options.longitude || 'longitude',
+    };
+
+    for (const field of ['column', 'latitude', 'longitude']) {
+      assertIdentifier(config.geohash[field], `geohash.${field}`, file);
+    }
+    for (const field of ['latitude', 'longitude']) {
+      if (!config.columns.some(c => c.name === config.geohash[field])) {
+        throw new Error(`geohash.${field} "${config.geohash[field]}" is not a mapped column in ${file}`);
+      }
+    }
+    const { precision } = config.geohash;
+    if (!Number.isInteger(precision) || precision < 1 || precision > GEOHASH_MAX_PRECISION) {
+      throw new Error(`geohash.precision must be an integer from 1 to ${GEOHASH_MAX_PRECISION} in ${file}`);
+    }
+  }
+
+  return config;
+}
+
+// Load tables/<name>.json (or an explicit file path)
+export function loadTableConfig(nameOrPath, dir = TABLES_DIR) {
+  const file = nameOrPath.endsWith('.json') ? nameOrPath : path.join(dir, `${nameOrPath}.json`);
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`No table mapping found for "${nameOrPath}" (looked for ${file})`);
+  }
+
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return normalizeTableConfig(raw, { name: path.basename(file, '.json'), file });
+}
+
+// Names of every mapping in the tables directory
+export function listTableConfigs(dir = TABLES_DIR) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+// SELECT list for the source table, key column first
+export function sourceSelectList(config) {
+  const columns = config.columns.map(c => (c.source === c.name ? c.name : `${c.source} AS ${c.name}`));
+  return [config.keyColumn, ...columns].join(', ');
+}
+
+// WHERE clause for a source query: the mapping's "where" predicate, if any,
+// and the given conditions
+export function sourceWhere(config, conditions = []) {
+  const all = config.where ? [`(${config.where})`, ...conditions] : conditions;
+  return all.length > 0 ? `WHERE ${all.join(' AND ')}` : '';
+}
+
+// Run the mapping's "where" predicate against the source table without reading
+// rows (describeColumns, LIMIT 0), so a bad clause is reported as such
+export async function checkSourceWhere(pgClient, config) {
+  if (!config.where) return;
+  try {
+    await describeColumns(pgClient, config.sourceTable, config.keyColumn, sourceWhere(config));
+  } catch (error) {
+    throw new Error(`"where" of ${config.name} does not work on ${config.sourceTable}: ${error.message}`);
+  }
+}
+
+// Look up the source column types so transformRow can convert by type
+export async function loadSourceTypes(pgClient, config) {
+  config.sourceTypes = await describeColumns(pgClient, config.sourceTable, sourceSelectList(config), sourceWhere(config));
+  return config.sourceTypes;
+}
+
+// Import the mapping's transform module, if any. Its default export gets each
+// source row (as selected, before type conversion) and { table }, and returns
+// the row to load (modified or not), null to drop it, or an array of rows.
+// verify and reconcile match rows by key: rows added under keys outside
+// their source row's key range are not verified, and reconcile counts them as orphaned.
+export async function loadRowTransform(config) {
+  if (!config.transformModule || config.rowTransform) {
+    return config.rowTransform;
+  }
+  if (!fs.existsSync(config.transformModule)) {
+    throw new Error(`Transform module ${config.transformModule} for ${config.name} does not exist`);
+  }
+
+  const module = await import(pathToFileURL(config.transformModule).href);
+  if (typeof module.default !== 'function') {
+    throw new Error(`Transform module ${config.transformModule} must export a function as default`);
+  }
+  config.rowTransform = module.default;
+  return config.rowTransform;
+}
+
+// Everything transformRows needs before the first page: a working "where",
+// column types and the transform module. Commands run it right after
+// connecting, before any checkpoint or D1 table is touched.
+export async function prepareSource(pgClient, config) {
+  await checkSourceWhere(pgClient, config);
+  await loadSourceTypes(pgClient, config);
+  await loadRowTransform(config);
+}
+
+// The rows a source row becomes under the transform module: [row] without one
+export function applyRowTransform(config, row) {
+  if (!config.rowTransform) {
+    return [row];
+  }
+
+  let result;
+  try {
+    result = config.rowTransform(row, { table: config.name });
+  } catch (error) {
+    throw new Error(`Transform module failed on ${config.keyColumn} ${row[config.keyColumn]}: ${error.message}`);
+  }
+  if (result instanceof Promise) {
+    throw new Error(`Transform module ${config.transformModule} must return rows, not a Promise`);
+  }
+
+  if (result === null || result === undefined || result === false) return [];
+  return (Array.isArray(result) ? result : [result]).filter(Boolean);
+}
+
+// Convert a source row for D1: the configured per-column transform when there
+// is one, otherwise the converter for the column's PostgreSQL type.
+// Throws RowConversionError when a value cannot be converted in strict mode.
+export function transformRow(config, row, { mode = config.typeMode } = {}) {
+  const strict = mode === 'strict';
+  const key = row[config.keyColumn];
+
+  const convert = (name, value, transform = null) => {
+    const type = config.sourceTypes?.[name] || null;
+    try {
+      return transform ? TRANSFORMS[transform](value, { strict }) : convertValue(value, type, { strict });
+    } catch (error) {
+      if (error instanceof ValueConversionError) {
+        throw new RowConversionError(key, name, type?.type, error);
+      }
+      throw error;
+    }
+  };
+
+  const result = { [config.keyColumn]: convert(config.keyColumn, key) };
+
+  for (const column of config.columns) {
+    const value = row[column.name];
+    result[column.name] = convert(column.name, value, column.transform);
+  }
+
+  if (config.geohash) {
+    result[config.geohash.column] = geohashFor(config, result);
+  }
+
+  return result;
+}
+
+// Transform module and transformRow over a page, setting aside rows that cannot
+// be converted instead of failing the page: { rows, rejected: [RowConversionError with .row] }
+export function transformRows(config, rows) {
+  const converted = [];
+  const rejected = [];
+
+  for (const row of rows.flatMap(source => applyRowTransform(config, source))) {
+    try {
+      converted.push(transformRow(config, row));
+    } catch (error) {
+      if (!(error instanceof RowConversionError)) throw error;
+      error.row = row;
+      rejected.push(error);
+    }
+  }
+
+  return { rows: converted, rejected };
+}
+
+// Geohash of a transformed row, or null when it has no usable coordinates
+export function geohashFor(config, row) {
+  const { latitude, longitude, precision } = config.geohash;
+  const lat = row[latitude] === null || row[latitude] === undefined ? NaN : Number(row[latitude]);
+  const lon = row[longitude] === null || row[longitude] === undefined ? NaN : Number(row[longitude]);
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return null;
+  }
+  return encodeGeohash(lat, lon, precision);
+}
+
+// Target columns written by an INSERT, including the key when ids are preserved
+// and the derived geohash column when configured
+export function insertColumns(config) {
+  const columns = config.columns.map(c => c.name);
+  if (config.geohash) {
+    columns.push(config.geohash.column);
+  }
+  return config.preserveIds ? [config.keyColumn, ...columns] : columns;
+}
+
+// Statements adding the geohash column and its index to an existing target table
+export function geohashDdl(config) {
+  const { column } = config.geohash;
+  return {
+    column: `ALTER TABLE ${config.targetTable} ADD COLUMN ${column} TEXT`,
+    index: `CREATE INDEX IF NOT EXISTS idx_${config.targetTable}_${column} ON ${config.targetTable}(${column})`,
+  };
+}
+
+// Add the geohash column and index to the target table when the mapping asks
+// for one and the table predates it. Only the tools add it, never a migration.
+// Returns true when the column was added.
+export async function ensureGeohashColumn(executeD1SQL, config) {
+  if (!config.geohash) return false;
+
+  const info = await executeD1SQL(`PRAGMA table_info(${config.targetTable})`);
+  const exists = info.result[0].results.some(c => c.name === config.geohash.column);
+  const ddl = geohashDdl(config);
+
+  if (!exists) {
+    await executeD1SQL(ddl.column);
+  }
+  await executeD1SQL(ddl.index);
+  return !exists;
+}
+
+// Largest number of rows a single INSERT can carry under MAX_SQL_VARIABLES
+export function maxBatchSize(config) {
+  return Math.floor(MAX_SQL_VARIABLES / insertColumns(config).length);
+}
+
+// ON CONFLICT suffix turning an INSERT into an upsert on the key column (preserveIds only)
+export function upsertClause(config) {
+  if (!config.preserveIds) return '';
+  const updates = insertColumns(config)
+    .filter(name => name !== config.keyColumn)
+    .map(name => `${name} = excluded.${name}`)
+    .join(', ');
+  return ` ON CONFLICT(${config.keyColumn}) DO UPDATE SET ${updates}`;
+}
+
+// Multi-row parameterized INSERT for the target table.
+// With preserveIds the statement upserts on the key column instead of appending.
+export function buildInsertStatement(config, rows) {
+  const columnNames = insertColumns(config);
+  const rowPlaceholder = `(${columnNames.map(() => '?').join(', ')})`;
+  const placeholders = rows.map(() => rowPlaceholder).join(', ');
+  const sql = `INSERT INTO ${config.targetTable} (${columnNames.join(', ')}) VALUES ${placeholders}${upsertClause(config)}`;
+
+  const params = rows.flatMap(row => columnNames.map(name => row[name]));
+  return { sql, params };
+}
+
+// Split rows into INSERT statements of at most batchSize rows each, for executeD1Batch
+export function buildInsertStatements(config, rows, batchSize = maxBatchSize(config)) {
+  const statements = [];
+  for (let i = 0; i < rows.length; i += batchSize) {
+    statements.push(buildInsertStatement(config, rows.slice(i, i + batchSize)));
+  }
+  return statements;
+}
@@ -0,0 +1,207 @@
+import crypto from 'crypto';
+import { D1NoSuchTableError } from './d1-client.js';
+import { readSourceRange } from './pg-stream.js';
+import { sourceWhere, applyRowTransform, transformRow } from './table-config.js';
+
+// Row-level checksum comparison between PostgreSQL and D1
+
+const DIGEST_MASK = (1n << 64n) - 1n;
+const NUMERIC = /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i;
+const NUMERIC_TYPES = new Set(['int2', 'int4', 'int8', 'oid', 'numeric', 'float4', 'float8']);
+
+// Canonical text form of a value so pg and D1 representations hash the same.
+// In numeric columns, numeric text (int8 beyond 2^53, which D1 hands back as a
+// number) is compared as a double on both sides; elsewhere text stays text, so
+// TEXT '007' does not match INTEGER 7.
+export function normalizeValue(value, { numeric = false } = {}) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (typeof value === 'number') return String(value);
+  if (typeof value === 'bigint') return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'string' && numeric && NUMERIC.test(value)) return String(Number(value));
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Whether a column holds numbers, by its PostgreSQL type. Columns with a
+// transform hold its text; without loaded types (no prepareSource), any
+// column may.
+function isNumericColumn(config, column) {
+  if (column.transform) return false;
+  if (!config.sourceTypes) return true;
+  return NUMERIC_TYPES.has(config.sourceTypes[column.name]?.type);
+}
+
+function normalizeRow(config, row) {
+  const normalize = column => normalizeValue(row[column.name], { numeric: isNumericColumn(config, column) });
+  return [normalize({ name: config.keyColumn }), ...config.columns.map(normalize)];
+}
+
+// Aggregate hash of a range: its row count and the sum of its row hashes, so
+// pages can be added as they arrive, in any order, without keeping them
+export async function digestPages(pages) {
+  let count = 0;
+  let sum = 0n;
+
+  for await (const rows of pages) {
+    for (const row of rows) {
+      const rowHash = crypto.createHash('sha256').update(JSON.stringify(row)).digest();
+      sum = (sum + rowHash.readBigUInt64BE(0)) & DIGEST_MASK;
+      count++;
+    }
+  }
+  return `${count}:${sum.toString(16)}`;
+}
+
+// Pages of a key range from PostgreSQL, already filtered and transformed like
+// the migrator does. Rows the migrator would have skipped are converted
+// leniently, so they show up as missing in D1 instead of stopping the
+// comparison.
+export async function* sourcePages(pgClient, config, startId, endId, pageSize = 5000) {
+  for await (const page of readSourceRange(pgClient, config, { startId, endId, pageSize })) {
+    const rows = page
+      .flatMap(row => applyRowTransform(config, row))
+      .map(row => normalizeRow(config, transformRow(config, row, { mode: 'lenient' })));
+
+    // A transform module may hand back rows under other keys; only those in
+    // the range can be compared with D1's rows for it
+    yield config.rowTransform
+      ? rows.filter(row => Number(row[0]) >= startId && Number(row[0]) <= endId)
+      : rows;
+  }
+}
+
+// Pages of a key range from D1, small enough to stay under response limits
+export async function* targetPages(executeD1SQL, config, startId, endId, pageSize = 1000) {
+  const columns = [config.keyColumn, ...config.columns.map(c => c.name)].join(', ');
+  let lastId = null;
+
+  while (true) {
+    const lowerBound = lastId === null ? `${config.keyColumn} >= ?` : `${config.keyColumn} > ?`;
+    const result = await executeD1SQL(
+      `SELECT ${columns} FROM ${config.targetTable}
+       WHERE ${lowerBound} AND ${config.keyColumn} <= ?
+       ORDER BY ${config.keyColumn} LIMIT ?`,
+      [lastId === null ? startId : lastId, endId, pageSize]
+    );
+
+    const page = result.result[0].results;
+    yield page.map(row => normalizeRow(config, row));
+
+    if (page.length < pageSize) break;
+    lastId = page[page.length - 1][config.keyColumn];
+  }
+}
+
+// All rows of a key range from PostgreSQL, in key order
+export async function fetchSourceRows(pgClient, config, startId, endId) {
+  const rows = [];
+  for await (const page of sourcePages(pgClient, config, startId, endId)) {
+    rows.push(...page);
+  }
+  return config.rowTransform ? rows.sort((x, y) => Number(x[0]) - Number(y[0])) : rows;
+}
+
+// All rows of a key range from D1, in key order
+export async function fetchTargetRows(executeD1SQL, config, startId, endId) {
+  const rows = [];
+  for await (const page of targetPages(executeD1SQL, config, startId, endId)) {
+    rows.push(...page);
+  }
+  return rows;
+}
+
+// Row-by-row diff of two normalized, key-ordered row lists
+export function diffRows(config, sourceRows, targetRows) {
+  const columnNames = config.columns.map(c => c.name);
+  const targetById = new Map(targetRows.map(row => [row[0], row]));
+  const differences = [];
+
+  for (const sourceRow of sourceRows) {
+    const id = sourceRow[0];
+    const targetRow = targetById.get(id);
+
+    if (!targetRow) {
+      differences.push({ id, type: 'missing_in_d1' });
+      continue;
+    }
+    targetById.delete(id);
+
+    const columns = [];
+    columnNames.forEach((name, i) => {
+      if (sourceRow[i + 1] !== targetRow[i + 1]) {
+        columns.push({ column: name, source: sourceRow[i + 1], target: targetRow[i + 1] });
+      }
+    });
+
+    if (columns.length > 0) {
+      differences.push({ id, type: 'mismatch', columns });
+    }
+  }
+
+  for (const id of targetById.keys()) {
+    differences.push({ id, type: 'extra_in_d1' });
+  }
+
+  return differences;
+}
+
+// Compare one key range by its aggregate hash on each side, splitting it in
+// half while the hashes differ. Only ranges of at most leafSize keys have
+// their rows kept and diffed row by row.
+export async function compareRange({ pgClient, executeD1SQL, config, leafSize = 100 }, startId, endId) {
+  if (endId - startId + 1 <= leafSize) {
+    const [sourceRows, targetRows] = await Promise.all([
+      fetchSourceRows(pgClient, config, startId, endId),
+      fetchTargetRows(executeD1SQL, config, startId, endId),
+    ]);
+    return diffRows(config, sourceRows, targetRows);
+  }
+
+  const [sourceDigest, targetDigest] = await Promise.all([
+    digestPages(sourcePages(pgClient, config, startId, endId)),
+    digestPages(targetPages(executeD1SQL, config, startId, endId)),
+  ]);
+  if (sourceDigest === targetDigest) {
+    return [];
+  }
+
+  const mid = Math.floor((startId + endId) / 2);
+  const context = { pgClient, executeD1SQL, config, leafSize };
+  return [
+    ...await compareRange(context, startId, mid),
+    ...await compareRange(context, mid + 1, endId),
+  ];
+}
+
+// Key ranges to verify: the migration checkpoints when present, otherwise
+// fixed-size slices of the source key range.
+export async function getVerifyRanges({ pgClient, executeD1SQL, config, rangeSize = 100000 }) {
+  try {
+    const result = await executeD1SQL(
+      `SELECT start_id, end_id FROM migration_checkpoints WHERE table_name = ? ORDER BY start_id`,
+      [config.name]
+    );
+    const checkpoints = result.result[0].results;
+    if (checkpoints.length > 0) {
+      return checkpoints.map(c => ({ start: c.start_id, end: c.end_id }));
+    }
+  } catch (error) {
+    // No checkpoints table yet - fall back to source ranges
+    if (!(error instanceof D1NoSuchTableError)) throw error;
+  }
+
+  const stats = await pgClient.query(
+    `SELECT MIN(${config.keyColumn}) as min_id, MAX(${config.keyColumn}) as max_id FROM ${config.sourceTable} ${sourceWhere(config)}`
+  );
+  const minId = parseInt(stats.rows[0].min_id, 10);
+  const maxId = parseInt(stats.rows[0].max_id, 10);
+  const ranges = [];
+
+  for (let start = minId; start <= maxId; start += rangeSize) {
+    ranges.push({ start, end: Math.min(start + rangeSize - 1, maxId) });
+  }
+
+  return ranges;
+}
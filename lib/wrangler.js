@@ -0,0 +1,81 @@
+import fs from 'fs';
+import { spawn } from 'child_process';
+
+// Thin wrapper around the wrangler CLI (a devDependency, run through npx) and
+// its wrangler.toml
+
+// Run `wrangler <args>` with inherited stdio; rejects on a non-zero exit code
+export function runWrangler(args, { env = process.env } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('npx', ['wrangler', ...args], { stdio: 'inherit', env });
+
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`wrangler ${args.slice(0, 2).join(' ')} exited with code ${code}`));
+      }
+    });
+  });
+}
+
+// Apply a .sql file to a D1 database with `wrangler d1 execute --file`
+export function executeSqlFile(databaseName, file, { remote = true } = {}) {
+  return runWrangler([
+    'd1', 'execute', databaseName,
+    remote ? '--remote' : '--local',
+    `--file=${file}`,
+    '--yes',
+  ]);
+}
+
+// Wrangler's defaults for [[d1_databases]] entries
+const D1_DEFAULTS = { migrationsDir: 'migrations', migrationsTable: 'd1_migrations' };
+
+// Parse a TOML value as far as wrangler.toml needs: quoted strings, numbers, booleans
+function tomlValue(raw) {
+  const value = raw.replace(/\s+#.*$/, '').trim();
+  const quoted = value.match(/^"((?:[^"\\]|\\.)*)"$/) || value.match(/^'([^']*)'$/);
+  if (quoted) return quoted[1];
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+}
+
+// The [[d1_databases]] entries of a wrangler.toml, with camelCase keys.
+// Only top-level key = value lines are read; anything else is ignored.
+export function readD1Databases(file = 'wrangler.toml') {
+  if (!fs.existsSync(file)) return [];
+
+  const databases = [];
+  let current = null;
+
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    const text = line.trim();
+    if (text === '' || text.startsWith('#')) continue;
+
+    if (text.startsWith('[')) {
+      current = text === '[[d1_databases]]' ? {} : null;
+      if (current) databases.push(current);
+      continue;
+    }
+
+    const match = current && text.match(/^([A-Za-z0-9_]+)\s*=\s*(.+)$/);
+    if (match) {
+      current[match[1].replace(/_([a-z])/g, (_, c) => c.toUpperCase())] = tomlValue(match[2]);
+    }
+  }
+
+  return databases.map(db => ({ ...D1_DEFAULTS, ...db }));
+}
+
+// Migration settings for the D1 database we talk to: the entry whose
+// database_id (or database_name) matches, else the only one, else the defaults
+export function d1MigrationSettings({ file = 'wrangler.toml', databaseId = null, databaseName = null } = {}) {
+  const databases = readD1Databases(file);
+  const match = databases.find(db => (databaseId && db.databaseId === databaseId) || (databaseName && db.databaseName === databaseName))
+    || (databases.length === 1 ? databases[0] : null);
+
+  const { migrationsDir, migrationsTable } = match || D1_DEFAULTS;
+  return { migrationsDir, migrationsTable };
+}
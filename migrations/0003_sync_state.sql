@@ -0,0 +1,11 @@
+-- Migration: Incremental sync state
+-- Created: 2026-10-19
+-- Description: Per-table high-water marks (last id and updated_at) used by `d1-migrate sync`
+
+CREATE TABLE IF NOT EXISTS migration_sync_state (
+    table_name TEXT PRIMARY KEY,
+    last_id INTEGER,
+    last_updated_at TEXT,
+    rows_synced INTEGER DEFAULT 0,
+    last_synced_at TEXT
+);
@@ -0,0 +1,20 @@
+-- Migration: Dead-letter table for rejected rows
+-- Created: 2026-10-19
+-- Description: Source rows that could not be converted or that D1 refused
+--              (constraint failures) during migrate / sync, one per table and key,
+--              with the error and the row as JSON. `d1-migrate rejects retry`
+--              loads them again and removes the ones that go in.
+
+CREATE TABLE IF NOT EXISTS migration_rejects (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    table_name TEXT NOT NULL,
+    row_key INTEGER NOT NULL,
+    checkpoint_id INTEGER,
+    stage TEXT NOT NULL,
+    error TEXT NOT NULL,
+    row_data TEXT,
+    attempts INTEGER DEFAULT 1,
+    first_failed_at TEXT DEFAULT (datetime('now')),
+    last_failed_at TEXT DEFAULT (datetime('now')),
+    UNIQUE(table_name, row_key)
+);
@@ -12,12 +12,14 @@ CREATE TABLE coordinate_speed_new (
     longitude REAL NOT NULL,
     api_speed_limit REAL,
     bearing REAL,
-    display_name TEXT
+    display_name TEXT,
+    geohash TEXT
 );
 
 -- Create indexes for better query performance
 CREATE INDEX idx_coordinate_latitude_longitude ON coordinate_speed_new(latitude, longitude);
 CREATE INDEX idx_coordinate_display_name ON coordinate_speed_new(display_name);
+CREATE INDEX idx_coordinate_speed_new_geohash ON coordinate_speed_new(geohash);
 
 -- ========================================
 -- Table: camera_locations
@@ -31,13 +33,15 @@ CREATE TABLE camera_locations (
     latitude REAL NOT NULL,
     altitude REAL,
     created_at TEXT,
-    updated_at TEXT
+    updated_at TEXT,
+    geohash TEXT
 );
 
 -- Create indexes for better query performance
 CREATE INDEX idx_camera_location_id ON camera_locations(location_id);
 CREATE INDEX idx_camera_latitude_longitude ON camera_locations(latitude, longitude);
 CREATE INDEX idx_camera_created_at ON camera_locations(created_at);
+CREATE INDEX idx_camera_locations_geohash ON camera_locations(geohash);
 
 -- ========================================
 -- Table: migration_checkpoints
@@ -55,9 +59,47 @@ CREATE TABLE migration_checkpoints (
     error_message TEXT,
     started_at TEXT,
     completed_at TEXT,
-    created_at TEXT DEFAULT (datetime('now'))
+    created_at TEXT DEFAULT (datetime('now')),
+    worker_id TEXT,
+    heartbeat_at TEXT,
+    attempts INTEGER DEFAULT 0,
+    dump_manifest TEXT
 );
 
 -- Create indexes for quick lookups
 CREATE INDEX idx_checkpoint_table_status ON migration_checkpoints(table_name, status);
 CREATE INDEX idx_checkpoint_table_range ON migration_checkpoints(table_name, start_id, end_id);
+
+-- ========================================
+-- Table: migration_sync_state
+-- ========================================
+-- High-water marks for incremental sync (d1-migrate sync)
+DROP TABLE IF EXISTS migration_sync_state;
+
+CREATE TABLE migration_sync_state (
+    table_name TEXT PRIMARY KEY,
+    last_id INTEGER,
+    last_updated_at TEXT,
+    rows_synced INTEGER DEFAULT 0,
+    last_synced_at TEXT
+);
+
+-- ========================================
+-- Table: migration_rejects
+-- ========================================
+-- Rows set aside by migrate / sync (d1-migrate rejects list / retry)
+DROP TABLE IF EXISTS migration_rejects;
+
+CREATE TABLE migration_rejects (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    table_name TEXT NOT NULL,
+    row_key INTEGER NOT NULL,
+    checkpoint_id INTEGER,
+    stage TEXT NOT NULL,
+    error TEXT NOT NULL,
+    row_data TEXT,
+    attempts INTEGER DEFAULT 1,
+    first_failed_at TEXT DEFAULT (datetime('now')),
+    last_failed_at TEXT DEFAULT (datetime('now')),
+    UNIQUE(table_name, row_key)
+);
@@ -0,0 +1,158 @@
+import { bearingDifference, nearestQuery, radiusQuery, withinRadius } from '../lib/geo.js';
+
+// Cloudflare Worker serving the migrated D1 data (binding DB, see wrangler.toml).
+//
+//   GET /health
+//   GET /speed-limit?lat=&lon=[&bearing=&tolerance=&radius=]
+//       Nearest coordinate_speed_new point within radius meters (default 30)
+//       whose bearing is within tolerance degrees (default 45) of bearing
+//   GET /cameras?lat=&lon=[&radius=&limit=&cursor=]
+//       camera_locations within radius meters (default 1000), nearest first,
+//       limit per page (default 50) with next_cursor for the following page
+//
+// Errors are JSON: { "error": { "code": "...", "message": "..." } }
+//
+// Set the GEOHASH_COLUMN var (wrangler.toml) once every row has a geohash
+// (`d1-migrate geohash --all`) to look rows up by geohash cell instead of the
+// latitude/longitude index.
+
+const SPEED_LIMIT = { defaultRadius: 30, maxRadius: 500, defaultTolerance: 45 };
+const CAMERAS = { defaultRadius: 1000, maxRadius: 50000, defaultLimit: 50, maxLimit: 200 };
+
+class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json; charset=utf-8' },
+  });
+}
+
+// Number from a query parameter within [min, max]; fallback when absent
+function numberParam(params, name, { min, max, fallback, integer = false }) {
+  const raw = params.get(name);
+  if (raw === null || raw === '') {
+    if (fallback === undefined) {
+      throw new HttpError(400, 'missing_parameter', `Query parameter "${name}" is required`);
+    }
+    return fallback;
+  }
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+    throw new HttpError(400, 'invalid_parameter', `"${name}" must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`);
+  }
+  return value;
+}
+
+function locationParams(params) {
+  return {
+    lat: numberParam(params, 'lat', { min: -90, max: 90 }),
+    lon: numberParam(params, 'lon', { min: -180, max: 180 }),
+  };
+}
+
+// Cursors are opaque to clients: base64url of [distance, id] of the last row served
+function encodeCursor(row) {
+  return btoa(JSON.stringify([row.distance_m, row.id])).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [distance, id] = JSON.parse(atob(cursor.replace(/-/g, '+').replace(/_/g, '/')));
+    if (Number.isFinite(distance) && Number.isInteger(id)) {
+      return { distance, id };
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw new HttpError(400, 'invalid_cursor', 'cursor is not valid; pass next_cursor from a previous response');
+}
+
+// Rows of table within radius of (lat, lon), nearest first, each with distance_m.
+// Candidates come from an indexed pre-filter (geohash cells or a lat/lon box).
+async function rowsWithin(env, table, columns, { lat, lon, radius }) {
+  const { sql, params } = radiusQuery({ table, columns, lat, lon, radius, geohashColumn: env.GEOHASH_COLUMN || null });
+  const { results } = await env.DB.prepare(sql).bind(...params).all();
+  return withinRadius(results, { lat, lon, radius });
+}
+
+async function speedLimit(params, env) {
+  const { lat, lon } = locationParams(params);
+  const radius = numberParam(params, 'radius', { min: 1, max: SPEED_LIMIT.maxRadius, fallback: SPEED_LIMIT.defaultRadius });
+  const bearing = numberParam(params, 'bearing', { min: 0, max: 360, fallback: null });
+  const tolerance = numberParam(params, 'tolerance', { min: 0, max: 180, fallback: SPEED_LIMIT.defaultTolerance });
+
+  const rows = await rowsWithin(env, 'coordinate_speed_new',
+    ['id', 'latitude', 'longitude', 'api_speed_limit', 'bearing', 'display_name'],
+    { lat, lon, radius });
+
+  // Points without a bearing match any direction
+  const match = rows.find(row => bearing === null || row.bearing === null || bearingDifference(bearing, row.bearing) <= tolerance);
+  if (!match) {
+    throw new HttpError(404, 'not_found', `No speed limit within ${radius} m${bearing === null ? '' : ` for bearing ${bearing}`}`);
+  }
+
+  return json({ data: match });
+}
+
+async function cameras(params, env) {
+  const { lat, lon } = locationParams(params);
+  const radius = numberParam(params, 'radius', { min: 1, max: CAMERAS.maxRadius, fallback: CAMERAS.defaultRadius });
+  const limit = numberParam(params, 'limit', { min: 1, max: CAMERAS.maxLimit, fallback: CAMERAS.defaultLimit, integer: true });
+  const cursor = params.get('cursor') ? decodeCursor(params.get('cursor')) : null;
+
+  // One row past the page tells whether there is a next one
+  const { sql, params: bindings } = nearestQuery({
+    table: 'camera_locations',
+    columns: ['id', 'location_id', 'latitude', 'longitude', 'altitude', 'created_at', 'updated_at'],
+    lat,
+    lon,
+    radius,
+    geohashColumn: env.GEOHASH_COLUMN || null,
+    after: cursor,
+    limit: limit + 1,
+  });
+  const { results } = await env.DB.prepare(sql).bind(...bindings).all();
+  const page = results.slice(0, limit);
+
+  return json({
+    data: page,
+    next_cursor: results.length > limit ? encodeCursor(page[page.length - 1]) : null,
+  });
+}
+
+const ROUTES = {
+  '/health': async () => json({ status: 'ok' }),
+  '/speed-limit': speedLimit,
+  '/cameras': cameras,
+};
+
+export default {
+  async fetch(request, env) {
+    const url = new URL(request.url);
+    const route = ROUTES[url.pathname];
+
+    try {
+      if (!route) {
+        throw new HttpError(404, 'not_found', `No route for ${url.pathname}`);
+      }
+      if (request.method !== 'GET') {
+        throw new HttpError(405, 'method_not_allowed', `${request.method} is not supported; use GET`);
+      }
+      return await route(url.searchParams, env);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return json({ error: { code: error.code, message: error.message } }, error.status);
+      }
+      console.error(error);
+      return json({ error: { code: 'internal_error', message: 'Internal error' } }, 500);
+    }
+  },
+};
@@ -0,0 +1,131 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createD1ClientFromEnv, D1SustainedFailureError } from '../lib/d1-client.js';
+import { createAdaptiveController, insertAdaptively } from '../lib/adaptive-controller.js';
+import { createD1Context, ConfigError } from '../lib/commands/common.js';
+import { startFakeD1Server } from './support/fake-d1-server.js';
+
+// Batch sizing, backoff and the sustained-failure stop of the adaptive
+// controller, through insertAdaptively against the fake D1 server with
+// injected failures. Needs no PostgreSQL.
+
+let server;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  server = await startFakeD1Server();
+});
+
+after(async () => {
+  await server.close();
+});
+
+// A controller with one row per statement and short retry delays, and a
+// client it observes
+async function setup(table, options) {
+  await server.query(`CREATE TABLE ${table} (id INTEGER PRIMARY KEY, name TEXT)`);
+  const controller = createAdaptiveController({ minBatchSize: 1, growAfter: 1000, baseDelay: 1, maxDelay: 5, ...options });
+  const { executeD1Batch } = createD1ClientFromEnv({ controller }, server.env);
+
+  const sizes = [];
+  const buildStatements = rows => {
+    sizes.push(rows.length);
+    return rows.map(row => ({ sql: `INSERT INTO ${table} (id, name) VALUES (?, ?)`, params: [row.id, row.name] }));
+  };
+  return { controller, executeD1Batch, buildStatements, sizes };
+}
+
+const namedRows = (count, names = {}) => Array.from({ length: count }, (_, i) => ({ id: i + 1, name: names[i + 1] || `Row ${i + 1}` }));
+
+async function countOf(table) {
+  const [{ count }] = await server.query(`SELECT COUNT(*) as count FROM ${table}`);
+  return count;
+}
+
+test('a payload-size rejection halves the batch and retries the same rows', async () => {
+  const { controller, executeD1Batch, buildStatements, sizes } = await setup('shrinking', { maxBatchSize: 40 });
+  server.injectFailure('payloadTooLarge', { times: 2, match: /INSERT INTO shrinking/ });
+
+  const processed = await insertAdaptively({ rows: namedRows(100), buildStatements, executeD1Batch, controller });
+
+  assert.equal(processed, 100);
+  assert.deepEqual(sizes, [40, 20, ...Array(10).fill(10)]);
+  assert.equal(controller.batchSize, 10);
+  assert.equal(controller.adjustments, 2);
+  assert.equal(await countOf('shrinking'), 100);
+});
+
+test('retries back off and stop with D1SustainedFailureError once failures go on', async () => {
+  const { controller, executeD1Batch, buildStatements } = await setup('sustained', { maxBatchSize: 10, maxConsecutiveFailures: 3 });
+  server.injectFailure('serverError', { times: 5, match: /INSERT INTO sustained/ });
+  const requestsBefore = server.requests.length;
+
+  await assert.rejects(
+    insertAdaptively({ rows: namedRows(10), buildStatements, executeD1Batch, controller }),
+    error => error instanceof D1SustainedFailureError && /after 3 consecutive failed D1 requests/.test(error.message)
+  );
+  assert.deepEqual(server.requests.slice(requestsBefore).map(r => r.status), ['serverError', 'serverError', 'serverError']);
+  assert.equal(await countOf('sustained'), 0);
+
+  // Once stopped, later calls fail before sending anything
+  await assert.rejects(executeD1Batch(buildStatements(namedRows(1))), D1SustainedFailureError);
+  assert.equal(server.requests.length - requestsBefore, 3);
+});
+
+test('retry delays grow exponentially and honour Retry-After', () => {
+  const controller = createAdaptiveController({ maxBatchSize: 10, baseDelay: 100, maxDelay: 1000 });
+  const error = new Error('transient');
+
+  for (const [attempt, backoff] of [[1, 100], [3, 400], [6, 1000]]) {
+    const delay = controller.retryDelay(error, attempt);
+    assert.ok(delay >= backoff / 2 && delay <= backoff, `attempt ${attempt}: ${delay}ms`);
+  }
+  assert.ok(controller.retryDelay(Object.assign(new Error('429'), { retryAfter: 5000 }), 1) >= 5000);
+});
+
+test('a row too large even on its own is rejected and the rest inserted', async () => {
+  const { controller, executeD1Batch, buildStatements } = await setup('oversized', { maxBatchSize: 8 });
+  const huge = 'x'.repeat(64);
+  server.injectFailure('payloadTooLarge', { times: Infinity, match: body => JSON.stringify(body).includes(huge) });
+
+  const rejected = [];
+  let inserted = 0;
+  const processed = await insertAdaptively({
+    rows: namedRows(20, { 13: huge }),
+    buildStatements,
+    executeD1Batch,
+    controller,
+    onBatch: rows => { inserted += rows.length; },
+    onRejected: (row, error) => { rejected.push([row.id, error.name]); },
+  });
+
+  assert.equal(processed, 20);
+  assert.equal(inserted, 19);
+  assert.deepEqual(rejected, [[13, 'D1PayloadTooLargeError']]);
+  assert.equal(controller.batchSize, 1);
+  assert.deepEqual(await server.query('SELECT id FROM oversized WHERE id = 13'), []);
+  assert.equal(await countOf('oversized'), 19);
+});
+
+test('rate, batch and failure settings must be positive numbers', () => {
+  for (const [name, value] of [
+    ['D1_MAX_RPS', 'fast'],
+    ['D1_MAX_RPS', '0'],
+    ['D1_MIN_RPS', '-1'],
+    ['D1_MIN_RPS', 'Infinity'],
+    ['STATEMENTS_PER_REQUEST', '0'],
+    ['STATEMENTS_PER_REQUEST', '12.5'],
+    ['MAX_CONSECUTIVE_FAILURES', 'ten'],
+  ]) {
+    assert.throws(
+      () => createD1Context({ ...server.env, [name]: value }, { rowsPerStatement: 10 }),
+      error => error instanceof ConfigError && error.message === `${name} must be a positive ${/RPS/.test(name) ? 'number' : 'integer'} (got "${value}")`,
+      `${name}=${value}`
+    );
+  }
+
+  const { rateLimiter, controller } = createD1Context({ ...server.env, D1_MAX_RPS: '2.5', STATEMENTS_PER_REQUEST: '' }, { rowsPerStatement: 10 });
+  assert.equal(rateLimiter.requestsPerSecond, 2.5);
+  assert.equal(controller.batchSize, 500);
+});
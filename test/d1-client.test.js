@@ -0,0 +1,121 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createD1ClientFromEnv,
+  D1RateLimitError,
+  D1TimeoutError,
+  D1TransientError,
+  D1NoSuchTableError,
+  D1ConstraintError,
+} from '../lib/d1-client.js';
+import { main } from '../lib/cli.js';
+import { startFakeD1Server } from './support/fake-d1-server.js';
+
+// The D1 client against the fake server: results, typed errors and retries
+// through injected failures. Needs no PostgreSQL.
+
+let server;
+
+before(async () => {
+  // Keep retry and command chatter out of the test report
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  server = await startFakeD1Server();
+  await server.query('CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+});
+
+after(async () => {
+  await server.close();
+});
+
+function client(options = {}) {
+  return createD1ClientFromEnv({ baseDelay: 10, maxDelay: 20, ...options }, server.env);
+}
+
+test('runs statements and batches through D1_API_BASE_URL', async () => {
+  const { url, executeD1SQL, executeD1Batch } = client();
+  assert.ok(url.startsWith(server.baseUrl));
+
+  await executeD1Batch([
+    { sql: 'INSERT INTO items (id, name) VALUES (?, ?)', params: [1, 'a'] },
+    { sql: 'INSERT INTO items (id, name) VALUES (?, ?)', params: [2, 'b'] },
+  ]);
+  const result = await executeD1SQL('SELECT name FROM items WHERE id = ?', [2]);
+  assert.deepEqual(result.result[0].results, [{ name: 'b' }]);
+});
+
+test('an atomic batch with a failing statement leaves nothing behind', async () => {
+  const { executeD1Batch } = client();
+  await assert.rejects(
+    executeD1Batch([
+      { sql: 'INSERT INTO items (id, name) VALUES (?, ?)', params: [10, 'x'] },
+      { sql: 'INSERT INTO missing (id) VALUES (?)', params: [1] },
+    ], { atomic: true }),
+    D1NoSuchTableError
+  );
+  assert.deepEqual(await server.query('SELECT id FROM items WHERE id = 10'), []);
+});
+
+test('a failing batch is not replayed statement by statement', async () => {
+  const { executeD1Batch } = client();
+  const before = server.requests.length;
+  await assert.rejects(
+    executeD1Batch([
+      { sql: 'INSERT INTO items (id, name) VALUES (?, ?)', params: [20, 'x'] },
+      { sql: 'INSERT INTO items (id, name) VALUES (?, ?)', params: [1, 'duplicate'] },
+    ]),
+    D1ConstraintError
+  );
+  assert.equal(server.requests.length - before, 1);
+  assert.deepEqual(await server.query('SELECT id FROM items WHERE id = 20'), []);
+});
+
+test('falls back to single statements only when the batch body is malformed', async () => {
+  const { executeD1Batch } = client();
+  server.injectFailure('malformed', { times: 1, match: /VALUES/ });
+
+  const result = await executeD1Batch([
+    { sql: 'INSERT INTO items (id, name) VALUES (?, ?)', params: [30, 'x'] },
+    { sql: 'INSERT INTO items (id, name) VALUES (?, ?)', params: [31, 'y'] },
+  ]);
+  assert.equal(result.result.length, 2);
+  assert.deepEqual(await server.query('SELECT id FROM items WHERE id >= 30 ORDER BY id'), [{ id: 30 }, { id: 31 }]);
+
+  server.injectFailure('malformed', { times: 1, match: /VALUES/ });
+  await assert.rejects(
+    client().executeD1Batch([
+      { sql: 'INSERT INTO items (id, name) VALUES (?, ?)', params: [32, 'x'] },
+      { sql: 'INSERT INTO items (id, name) VALUES (?, ?)', params: [33, 'y'] },
+    ], { atomic: true }),
+    /malformed/
+  );
+});
+
+for (const type of ['rateLimit', 'serverError', 'nonJson', 'timeout']) {
+  test(`retries through an injected ${type}`, async () => {
+    const { executeD1SQL } = client({ timeout: 200 });
+    server.injectFailure(type, { times: 2, match: /COUNT/ });
+
+    const result = await executeD1SQL('SELECT COUNT(*) as count FROM items');
+    assert.equal(typeof result.result[0].results[0].count, 'number');
+  });
+}
+
+test('gives up with a typed error once retries run out', async () => {
+  const cases = [
+    ['rateLimit', D1RateLimitError],
+    ['serverError', D1TransientError],
+    ['timeout', D1TimeoutError],
+  ];
+
+  for (const [type, ErrorClass] of cases) {
+    const { executeD1SQL } = client({ retries: 2, timeout: 200 });
+    server.injectFailure(type, { times: 2, match: /COUNT/ });
+    await assert.rejects(executeD1SQL('SELECT COUNT(*) FROM items'), ErrorClass);
+  }
+});
+
+test('d1-migrate validate accepts the fake credentials', async () => {
+  assert.equal(await main(['validate'], server.env), 0);
+  assert.equal(await main(['validate'], { ...server.env, CLOUDFLARE_API_TOKEN: 'wrong-token-but-long-enough' }), 4);
+});
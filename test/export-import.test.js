@@ -0,0 +1,155 @@
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+import { createD1ClientFromEnv } from '../lib/d1-client.js';
+import { readManifest, readPartRecords } from '../lib/d1-export.js';
+import { createSyncStateStore } from '../lib/sync.js';
+import { createRejectStore } from '../lib/rejects.js';
+import { loadTableConfig } from '../lib/table-config.js';
+import { main } from '../lib/cli.js';
+import { startFakeD1Server } from './support/fake-d1-server.js';
+
+// cleanup --backup, export and import through the CLI against the fake D1
+// server, with values that need quoting in every dump format. Needs no
+// PostgreSQL.
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const CONFIG = path.join(ROOT, 'test', 'fixtures', 'test_speed.json');
+
+let server;
+let tmpDir;
+let env;
+
+// Quotes, commas and newlines in text, an empty string and NULLs
+const ROWS = Array.from({ length: 20 }, (_, i) => ({
+  id: i + 1,
+  latitude: 52 + (i + 1) / 1000,
+  longitude: 4.5,
+  api_speed_limit: i % 3 === 0 ? null : 50,
+  display_name: i === 4 ? 'Line one\nline "two", it\'s' : i === 5 ? '' : `Road ${i + 1}`,
+}));
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  server = await startFakeD1Server();
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'd1-export-'));
+  env = { ...server.env, D1_MAX_RPS: '1000' };
+  await server.query(loadTableConfig(CONFIG).ddl[0]);
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(async () => {
+  await server.query('DELETE FROM test_speed');
+  const insert = server.db.prepare('INSERT INTO test_speed (id, latitude, longitude, api_speed_limit, display_name) VALUES (?, ?, ?, ?, ?)');
+  await server.db.batch(ROWS.map(row => insert.bind(...Object.values(row))));
+});
+
+const tableRows = () => server.query('SELECT * FROM test_speed ORDER BY id');
+
+test('cleanup --backup writes the rows before deleting them, replayable as SQL', async () => {
+  const dir = path.join(tmpDir, 'backups');
+  assert.equal(await main(['cleanup', '--config', CONFIG, '--yes', '--backup', '--backup-dir', dir], env), 0);
+  assert.equal((await tableRows()).length, 0);
+
+  const [file] = fs.readdirSync(dir);
+  assert.match(file, /^test_speed-.*\.sql$/);
+  // One INSERT per row; a value may span lines
+  for (const sql of fs.readFileSync(path.join(dir, file), 'utf8').split(/;\n(?=INSERT INTO |$)/)) {
+    if (sql) await server.query(sql);
+  }
+  assert.deepEqual(await tableRows(), ROWS);
+});
+
+test('cleanup --scope all also forgets the sync high-water mark and rejects', async () => {
+  const { executeD1SQL } = createD1ClientFromEnv({}, server.env);
+  const syncState = createSyncStateStore(executeD1SQL);
+  const rejectStore = createRejectStore(executeD1SQL);
+  await syncState.ensureSyncStateTableExists();
+  await rejectStore.ensureRejectsTable();
+  for (const table of ['test_speed', 'other']) {
+    await syncState.saveSyncState(table, { lastId: 20, lastUpdatedAt: null, rowsSynced: 20 });
+    await rejectStore.recordRejects(table, [{ key: 21, stage: 'convert', error: 'bad', row: { id: 21 } }]);
+  }
+
+  assert.equal(await main(['cleanup', '--config', CONFIG, '--yes'], env), 0);
+  assert.equal((await tableRows()).length, 0);
+  assert.equal(await syncState.getSyncState('test_speed'), null);
+  assert.deepEqual(await rejectStore.listRejects('test_speed'), []);
+
+  assert.equal((await syncState.getSyncState('other')).last_id, 20);
+  assert.equal((await rejectStore.listRejects('other')).length, 1);
+});
+
+test('cleanup --backup-format ndjson keeps one JSON row per line', async () => {
+  const dir = path.join(tmpDir, 'backups-ndjson');
+  assert.equal(await main(['cleanup', '--config', CONFIG, '--yes', '--backup', '--backup-dir', dir, '--backup-format', 'ndjson'], env), 0);
+
+  const [file] = fs.readdirSync(dir);
+  const lines = fs.readFileSync(path.join(dir, file), 'utf8').trim().split('\n');
+  assert.deepEqual(lines.map(line => JSON.parse(line)), ROWS);
+  assert.equal((await tableRows()).length, 0);
+});
+
+for (const format of ['ndjson', 'csv', 'sql']) {
+  test(`export and import round-trip a table as ${format}`, async () => {
+    const out = path.join(tmpDir, `exports-${format}`);
+    assert.equal(await main(['export', '--config', CONFIG, '--out', out, '--format', format, '--part-rows', '7'], env), 0);
+
+    const [name] = fs.readdirSync(out);
+    const dir = path.join(out, name);
+    const manifest = readManifest(dir);
+    assert.equal(manifest.rowCount, 20);
+    assert.deepEqual(manifest.parts.map(p => [p.startId, p.endId, p.rows]), [[1, 7, 7], [8, 14, 7], [15, 20, 6]]);
+    assert.match(manifest.checksum, /^sha256:[0-9a-f]{64}$/);
+
+    await server.query('DELETE FROM test_speed');
+    assert.equal(await main(['import', '--from', dir], env), 0);
+    assert.deepEqual(await tableRows(), ROWS);
+  });
+}
+
+test('import refuses a part whose data does not match the manifest checksum', async () => {
+  const out = path.join(tmpDir, 'exports-tampered');
+  assert.equal(await main(['export', '--config', CONFIG, '--out', out, '--format', 'csv', '--part-rows', '10'], env), 0);
+  const [name] = fs.readdirSync(out);
+  const dir = path.join(out, name);
+
+  // Same rows, one value changed
+  const part = path.join(dir, 'part-0002.csv.gz');
+  const text = zlib.gunzipSync(fs.readFileSync(part)).toString('utf8');
+  fs.writeFileSync(part, zlib.gzipSync(text.replace('"Road 12"', '"Road 21"')));
+
+  await server.query('DELETE FROM test_speed');
+  const errors = console.error.mock.calls.length;
+  assert.equal(await main(['import', '--from', dir], env), 1);
+  assert.ok(console.error.mock.calls.slice(errors).some(call => /Checksum mismatch for part-0002\.csv\.gz/.test(String(call.arguments[0]))));
+  assert.deepEqual((await tableRows()).map(row => row.id), ROWS.slice(0, 10).map(row => row.id));
+});
+
+test('CSV records continue across lines inside quotes, and a cut-off record is an error', async () => {
+  const dir = path.join(tmpDir, 'parts');
+  fs.mkdirSync(dir);
+  fs.writeFileSync(path.join(dir, 'whole.csv.gz'), zlib.gzipSync('id,name\n1,"a\nb ""quoted"", c"\n2,"d"\n'));
+  fs.writeFileSync(path.join(dir, 'cut.csv.gz'), zlib.gzipSync('id,name\n1,"a\nb\n'));
+
+  const records = [];
+  for await (const record of readPartRecords(dir, { file: 'whole.csv.gz' }, 'csv')) {
+    records.push(record);
+  }
+  assert.deepEqual(records, ['id,name', '1,"a\nb ""quoted"", c"', '2,"d"']);
+
+  await assert.rejects(async () => {
+    for await (const record of readPartRecords(dir, { file: 'cut.csv.gz' }, 'csv')) {
+      assert.ok(record);
+    }
+  }, /cut\.csv\.gz ends in the middle of a record/);
+});
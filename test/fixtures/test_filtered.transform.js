@@ -0,0 +1,20 @@
+// Transform module of test_filtered.json: drops rows without a speed limit,
+// rounds coordinates to 3 decimals and puts names on one line. A row named
+// "split" becomes two, the second under its key + 100000.
+
+const round = value => Math.round(value * 1000) / 1000;
+
+export default function transform(row) {
+  if (row.api_speed_limit === null) {
+    return null;
+  }
+
+  const cleaned = {
+    ...row,
+    latitude: round(row.latitude),
+    longitude: round(row.longitude),
+    display_name: row.display_name === null ? null : row.display_name.replace(/\s*\n\s*/g, ' '),
+  };
+
+  return row.display_name === 'split' ? [cleaned, { ...cleaned, id: row.id + 100000 }] : cleaned;
+}
@@ -0,0 +1,126 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  encodeGeohash,
+  coveringGeohashes,
+  haversineMeters,
+  radiusQuery,
+  nearestQuery,
+  withinRadius,
+} from '../lib/geo.js';
+import { main } from '../lib/cli.js';
+import { startFakeD1Server } from './support/fake-d1-server.js';
+
+// Geohash encoding and covering cells, and the geohash backfill command
+// against the fake D1 server
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const CONFIG = path.join(ROOT, 'test', 'fixtures', 'test_geohash.json');
+
+let server;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  server = await startFakeD1Server();
+});
+
+after(async () => {
+  await server.close();
+});
+
+test('encodes known geohashes', () => {
+  assert.equal(encodeGeohash(57.64911, 10.40744, 11), 'u4pruydqqvj');
+  assert.equal(encodeGeohash(42.6, -5.6, 5), 'ezs42');
+  assert.equal(encodeGeohash(-90, -180, 4), '0000');
+});
+
+test('covering cells contain every point within the radius', () => {
+  const centers = [[52, 4], [0.0001, -0.0001], [-33.87, 151.21], [10, 179.9995], [89.9, 20]];
+  for (const [lat, lon] of centers) {
+    for (const radius of [30, 1000, 50000]) {
+      const cells = coveringGeohashes(lat, lon, radius);
+      assert.ok(cells.length > 0 && cells.length <= 16, `${lat},${lon} r=${radius}`);
+
+      for (let bearing = 0; bearing < 360; bearing += 15) {
+        // A point just inside the radius in this direction
+        const dLat = (radius * 0.999 * Math.cos(bearing * Math.PI / 180)) / 111195;
+        const dLon = (radius * 0.999 * Math.sin(bearing * Math.PI / 180)) / (111195 * Math.cos(lat * Math.PI / 180));
+        const pLat = Math.max(-90, Math.min(90, lat + dLat));
+        const pLon = ((lon + dLon + 540) % 360) - 180;
+        if (haversineMeters(lat, lon, pLat, pLon) > radius) continue;
+
+        const hash = encodeGeohash(pLat, pLon, 12);
+        assert.ok(cells.some(cell => hash.startsWith(cell)), `${pLat},${pLon} not covered around ${lat},${lon} r=${radius}`);
+      }
+    }
+  }
+});
+
+test('radius queries use geohash ranges when the table has a geohash column', () => {
+  const columns = ['id', 'latitude', 'longitude'];
+  const box = radiusQuery({ table: 'points', columns, lat: 52, lon: 4, radius: 100 });
+  assert.match(box.sql, /latitude BETWEEN \? AND \? AND longitude BETWEEN \? AND \?/);
+  assert.equal(box.params.length, 4);
+
+  const cells = radiusQuery({ table: 'points', columns, lat: 52, lon: 4, radius: 100, geohashColumn: 'geohash' });
+  assert.match(cells.sql, /\(geohash >= \? AND geohash < \?\)/);
+  assert.equal(cells.params.length % 2, 0);
+  assert.ok(cells.params.every((param, i) => i % 2 === 0 || param.endsWith('~')));
+
+  const rows = [{ id: 2, latitude: 52.0005, longitude: 4 }, { id: 1, latitude: 52.0001, longitude: 4 }, { id: 3, latitude: 53, longitude: 4 }];
+  assert.deepEqual(withinRadius(rows, { lat: 52, lon: 4, radius: 100 }).map(row => row.id), [1, 2]);
+});
+
+test('nearest queries filter, order and page in D1 like withinRadius', async () => {
+  await server.query('CREATE TABLE nearby (id INTEGER PRIMARY KEY, latitude REAL, longitude REAL, geohash TEXT)');
+  // A spiral of points out to ~2.2 km, with pairs at the same spot to tie on distance
+  const points = Array.from({ length: 120 }, (_, i) => {
+    const spot = Math.floor(i / 2);
+    return { id: i + 1, latitude: 52 + Math.sin(spot) * spot * 0.0003, longitude: 4 + Math.cos(spot) * spot * 0.0005 };
+  });
+  const insert = server.db.prepare('INSERT INTO nearby (id, latitude, longitude, geohash) VALUES (?, ?, ?, ?)');
+  await server.db.batch(points.map(p => insert.bind(p.id, p.latitude, p.longitude, encodeGeohash(p.latitude, p.longitude))));
+
+  const expected = withinRadius(points, { lat: 52, lon: 4, radius: 1500 });
+  assert.ok(expected.length > 20 && expected.length < points.length);
+
+  for (const geohashColumn of [null, 'geohash']) {
+    const served = [];
+    let after = null;
+    while (true) {
+      const { sql, params } = nearestQuery({ table: 'nearby', columns: ['id', 'latitude', 'longitude'], lat: 52, lon: 4, radius: 1500, geohashColumn, after, limit: 7 });
+      const rows = await server.query(sql, params);
+      assert.ok(rows.length <= 7);
+      served.push(...rows);
+      if (rows.length < 7) break;
+      after = { distance: rows[6].distance_m, id: rows[6].id };
+    }
+
+    assert.deepEqual(served.map(row => row.id), expected.map(row => row.id), `${geohashColumn}`);
+    served.forEach((row, i) => assert.ok(Math.abs(row.distance_m - expected[i].distance_m) <= 0.01));
+  }
+});
+
+test('geohash fills the column for rows already in D1', async () => {
+  await server.query('CREATE TABLE test_points (id INTEGER PRIMARY KEY, latitude REAL, longitude REAL)');
+  for (let id = 1; id <= 120; id++) {
+    await server.query('INSERT INTO test_points (id, latitude, longitude) VALUES (?, ?, ?)', [id, 52 + id / 1000, 4 + id / 1000]);
+  }
+  await server.query('INSERT INTO test_points (id, latitude, longitude) VALUES (?, ?, ?)', [121, null, null]);
+
+  const env = { ...server.env, GEOHASH_PAGE_SIZE: '50', D1_MAX_RPS: '1000' };
+  assert.equal(await main(['geohash', '--config', CONFIG, '--dry-run'], env), 0);
+  assert.equal(await main(['geohash', '--config', CONFIG], env), 0);
+
+  const rows = await server.query('SELECT id, latitude, longitude, geohash FROM test_points ORDER BY id');
+  for (const row of rows.slice(0, 120)) {
+    assert.equal(row.geohash, encodeGeohash(row.latitude, row.longitude, 7));
+  }
+  assert.equal(rows[120].geohash, null);
+
+  const indexes = await server.query("SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'test_points'");
+  assert.deepEqual(indexes.map(index => index.name), ['idx_test_points_geohash']);
+});
@@ -0,0 +1,251 @@
+import { describe, test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pg from 'pg';
+import { main } from '../lib/cli.js';
+import { startFakeD1Server } from './support/fake-d1-server.js';
+
+// End-to-end runs of d1-migrate against a seeded PostgreSQL table and the
+// fake D1 server. Set TEST_DATABASE_URL to a disposable database to run them;
+// the suite creates and drops its own d1_migrate_test_speed table.
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const CONFIG = path.join(ROOT, 'test', 'fixtures', 'test_speed.json');
+const FILTERED_CONFIG = path.join(ROOT, 'test', 'fixtures', 'test_filtered.json');
+const BAD_WHERE_CONFIG = path.join(ROOT, 'test', 'fixtures', 'test_bad_where.json');
+const SYNCED_CONFIG = path.join(ROOT, 'test', 'fixtures', 'test_synced.json');
+const APPENDED_CONFIG = path.join(ROOT, 'test', 'fixtures', 'test_appended.json');
+const SOURCE_ROWS = 2500;
+
+const skip = process.env.TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL is not set';
+
+describe('d1-migrate end to end', { skip }, () => {
+  let pool;
+  let server;
+  let env;
+
+  const run = (...args) => main([...args, '--config', CONFIG], env);
+  const d1Count = async () => (await server.query('SELECT COUNT(*) as count FROM test_speed'))[0].count;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+
+    pool = new pg.Pool({ connectionString: process.env.TEST_DATABASE_URL });
+    await pool.query('DROP TABLE IF EXISTS d1_migrate_test_speed');
+    await pool.query(`
+      CREATE TABLE d1_migrate_test_speed (
+        id BIGSERIAL PRIMARY KEY, -- int8: pg returns keys as strings
+        latitude DOUBLE PRECISION NOT NULL,
+        longitude DOUBLE PRECISION NOT NULL,
+        api_speed_limit DOUBLE PRECISION,
+        display_name TEXT,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT '2026-01-01 00:00:00+00'
+      )
+    `);
+    // Quotes, commas, newlines and NULLs in the text column
+    await pool.query(`
+      INSERT INTO d1_migrate_test_speed (latitude, longitude, api_speed_limit, display_name)
+      SELECT 52 + n / 10000.0, 4 + n / 10000.0,
+             CASE WHEN n % 7 = 0 THEN NULL ELSE (n % 13) * 10 END,
+             CASE WHEN n % 5 = 0 THEN NULL ELSE 'Road ''' || n || E''', km\\n' || n % 100 END
+      FROM generate_series(1, ${SOURCE_ROWS}) AS n
+    `);
+
+    server = await startFakeD1Server();
+    env = {
+      ...server.env,
+      DATABASE_URL: process.env.TEST_DATABASE_URL,
+      CHECKPOINT_SIZE: '500',
+      READ_PAGE_SIZE: '200',
+      STATEMENTS_PER_REQUEST: '5',
+      D1_MAX_RPS: '1000',
+      D1_TIMEOUT_MS: '2000',
+      SYNC_PAGE_SIZE: '200',
+    };
+  });
+
+  after(async () => {
+    await server?.close();
+    await pool?.query('DROP TABLE IF EXISTS d1_migrate_test_speed');
+    await pool?.end();
+  });
+
+  test('migrate copies every row through injected D1 failures', async () => {
+    server.injectFailure('rateLimit', { times: 2, match: /^INSERT INTO test_speed/ });
+    server.injectFailure('serverError', { times: 1, match: /^INSERT INTO test_speed/ });
+    server.injectFailure('nonJson', { times: 1, match: /^INSERT INTO test_speed/ });
+    server.injectFailure('timeout', { times: 1, match: /^INSERT INTO test_speed/ });
+
+    assert.equal(await run('migrate'), 0);
+    assert.equal(await d1Count(), SOURCE_ROWS);
+
+    const [row] = await server.query('SELECT display_name FROM test_speed WHERE id = 12');
+    assert.equal(row.display_name, "Road '12', km\n12");
+    assert.ok(server.requests.some(r => r.status === 'timeout'));
+  });
+
+  test('verify passes on a faithful copy and reports differences', async () => {
+    assert.equal(await run('verify'), 0);
+
+    await server.query("UPDATE test_speed SET display_name = 'tampered' WHERE id = 1234");
+    assert.equal(await run('verify'), 3);
+  });
+
+  test('cleanup deletes the rows and the checkpoints', async () => {
+    assert.equal(await run('cleanup', '--yes'), 0);
+
+    assert.equal(await d1Count(), 0);
+    const checkpoints = await server.query('SELECT COUNT(*) as count FROM migration_checkpoints WHERE table_name = ?', ['test_speed']);
+    assert.equal(checkpoints[0].count, 0);
+  });
+
+  test('resume finishes a migration whose process was killed mid-way', async () => {
+    // Run migrate in a child process and SIGKILL it on its tenth INSERT request,
+    // leaving an in_progress checkpoint with half its rows written
+    const child = spawn(process.execPath, [path.join(ROOT, 'bin', 'd1-migrate.js'), 'migrate', '--config', CONFIG], {
+      env: { ...process.env, ...env },
+      stdio: 'ignore',
+    });
+    const exited = new Promise(resolve => child.on('exit', (code, signal) => resolve(signal)));
+
+    let inserts = 0;
+    server.onQuery(async ({ sql }) => {
+      if (sql.startsWith('INSERT INTO test_speed') && ++inserts === 10) {
+        child.kill('SIGKILL');
+        await exited;
+      }
+    });
+
+    assert.equal(await exited, 'SIGKILL');
+    const interrupted = await server.query(
+      "SELECT COUNT(*) as count FROM migration_checkpoints WHERE table_name = ? AND status = 'in_progress'",
+      ['test_speed']
+    );
+    assert.equal(interrupted[0].count, 1);
+    assert.ok(await d1Count() < SOURCE_ROWS);
+
+    // A 1ms lease lets this run reclaim the dead worker's checkpoint at once
+    assert.equal(await main(['resume', '--config', CONFIG], { ...env, LEASE_TTL_MS: '1' }), 0);
+    assert.equal(await d1Count(), SOURCE_ROWS);
+
+    const open = await server.query(
+      "SELECT COUNT(*) as count FROM migration_checkpoints WHERE table_name = ? AND status != 'completed'",
+      ['test_speed']
+    );
+    assert.equal(open[0].count, 0);
+    assert.equal(await run('verify'), 0);
+  });
+
+  test('without preserveIds a half-written checkpoint is not re-inserted', async () => {
+    const appended = (...args) => main([...args, '--config', APPENDED_CONFIG], env);
+    const count = async () => (await server.query('SELECT COUNT(*) as count FROM test_appended'))[0].count;
+
+    // Break the third INSERT request of the first checkpoint
+    let inserts = 0;
+    server.onQuery(async ({ sql }) => {
+      if (sql.startsWith('INSERT INTO test_appended') && ++inserts === 3) {
+        server.injectFailure('malformed', { match: /^INSERT INTO test_appended/ });
+      }
+    });
+    assert.equal(await appended('migrate'), 1);
+    const written = await count();
+    assert.ok(written > 0 && written < 500);
+
+    // D1 ids do not map back to the range, so the retry refuses instead of duplicating
+    assert.equal(await appended('resume'), 4);
+    assert.equal(await count(), written);
+    const [checkpoint] = await server.query(
+      "SELECT status, attempts, error_message FROM migration_checkpoints WHERE table_name = 'test_appended' ORDER BY start_id LIMIT 1"
+    );
+    assert.equal(checkpoint.status, 'failed');
+    assert.equal(checkpoint.attempts, 2);
+    assert.match(checkpoint.error_message, /cannot be removed without preserveIds/);
+
+    assert.equal(await appended('cleanup', '--yes'), 0);
+    assert.equal(await appended('migrate', '--restart'), 0);
+    assert.equal(await count(), SOURCE_ROWS);
+  });
+
+  test('migrate and verify honour the source filter and transform module', async () => {
+    const filtered = (...args) => main([...args, '--config', FILTERED_CONFIG], env);
+    assert.equal(await filtered('migrate'), 0);
+
+    // ids up to 1000 with a name (not every 5th) and a speed limit (not every 7th)
+    const [{ count }] = await server.query('SELECT COUNT(*) as count FROM test_filtered');
+    assert.equal(count, 1000 - 200 - 142 + 28);
+
+    const [row] = await server.query('SELECT latitude, display_name FROM test_filtered WHERE id = 12');
+    assert.deepEqual(row, { latitude: 52.001, display_name: "Road '12', km 12" });
+    assert.deepEqual(await server.query('SELECT id FROM test_filtered WHERE id IN (5, 7, 1001)'), []);
+
+    assert.equal(await filtered('verify'), 0);
+  });
+
+  test('a where predicate PostgreSQL rejects stops migrate before D1 is touched', async () => {
+    const errors = console.error.mock.calls.length;
+    assert.equal(await main(['migrate', '--config', BAD_WHERE_CONFIG], env), 1);
+    assert.ok(console.error.mock.calls.slice(errors).some(call => /"where" of test_bad_where does not work on d1_migrate_test_speed: column "speed_limit" does not exist/.test(String(call.arguments[0]))));
+
+    assert.deepEqual(await server.query("SELECT id FROM migration_checkpoints WHERE table_name = 'test_bad_where'"), []);
+    assert.deepEqual(await server.query("SELECT name FROM sqlite_master WHERE name = 'test_bad_where'"), []);
+  });
+
+  test('sync pages through more edited rows than fit a page under one timestamp', async () => {
+    const synced = (...args) => main([...args, '--config', SYNCED_CONFIG], env);
+    assert.equal(await synced('migrate'), 0);
+    assert.equal(await synced('sync'), 0);
+
+    // 300 edits (over SYNC_PAGE_SIZE) sharing a timestamp with sub-millisecond digits
+    await pool.query(`
+      UPDATE d1_migrate_test_speed
+      SET display_name = 'edited', updated_at = '2030-01-01 00:00:00.123456+00'
+      WHERE id <= 300
+    `);
+    assert.equal(await synced('sync'), 0);
+
+    const [{ count }] = await server.query("SELECT COUNT(*) as count FROM test_synced WHERE display_name = 'edited'");
+    assert.equal(count, 300);
+    const [state] = await server.query("SELECT last_updated_at FROM migration_sync_state WHERE table_name = 'test_synced'");
+    assert.match(state.last_updated_at, /00:00:00\.123456/);
+  });
+
+  test('rejects retry loads a row once its conversion error is fixed', async () => {
+    await pool.query(`
+      INSERT INTO d1_migrate_test_speed (id, latitude, longitude, api_speed_limit, display_name)
+      VALUES (${SOURCE_ROWS + 1}, 52, 4, 'NaN', 'Not a limit')
+    `);
+    assert.equal(await run('sync'), 3);
+
+    const [reject] = await server.query("SELECT row_key, typeof(row_key) as type, stage FROM migration_rejects WHERE table_name = 'test_speed'");
+    assert.deepEqual(reject, { row_key: SOURCE_ROWS + 1, type: 'integer', stage: 'convert' });
+
+    await pool.query(`UPDATE d1_migrate_test_speed SET api_speed_limit = 60 WHERE id = ${SOURCE_ROWS + 1}`);
+    assert.equal(await run('rejects', 'retry'), 0);
+    assert.equal(await run('rejects', 'list'), 0);
+
+    const [row] = await server.query('SELECT api_speed_limit FROM test_speed WHERE id = ?', [SOURCE_ROWS + 1]);
+    assert.equal(row.api_speed_limit, 60);
+  });
+
+  test('reconcile deletes only the D1 rows missing from PostgreSQL', async () => {
+    await pool.query('DELETE FROM d1_migrate_test_speed WHERE id = 77');
+    for (const id of [5001, 5002]) {
+      await server.query('INSERT INTO test_speed (id, latitude, longitude) VALUES (?, 52, 4)', [id]);
+    }
+    const before = await d1Count();
+
+    // Dry run and a limit below the orphan count report them but delete nothing
+    assert.equal(await run('reconcile', '--dry-run'), 3);
+    assert.equal(await run('reconcile', '--yes', '--max-deletions', '2'), 3);
+    assert.equal(await run('reconcile', '--yes', '--max-deletions', '0'), 2);
+    assert.equal(await d1Count(), before);
+
+    assert.equal(await run('reconcile', '--yes'), 0);
+    assert.equal(await d1Count(), before - 3);
+    assert.deepEqual(await server.query('SELECT id FROM test_speed WHERE id IN (76, 77, 78, 5001, 5002) ORDER BY id'), [{ id: 76 }, { id: 78 }]);
+    assert.equal(await run('reconcile', '--dry-run'), 0);
+  });
+});
@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import pg from 'pg';
+import { convertValue, describeColumns, ValueConversionError } from '../lib/pg-types.js';
+import { normalizeTableConfig, transformRow, transformRows } from '../lib/table-config.js';
+
+// Conversion of pg's parsed values into D1 values, by PostgreSQL type
+
+const strict = { strict: true };
+const lenient = { strict: false };
+const t = (type, element = null) => ({ type, element });
+
+// Parse a value from its PostgreSQL text form the way pg does
+const parsed = (oid, text) => pg.types.getTypeParser(oid)(text);
+
+test('numbers keep their value or are rejected', () => {
+  assert.equal(convertValue(parsed(20, '42'), t('int8'), strict), 42);
+  assert.equal(convertValue(parsed(20, '9007199254740993'), t('int8'), strict), '9007199254740993');
+
+  assert.equal(convertValue(parsed(1700, '12.50'), t('numeric'), strict), 12.5);
+  assert.equal(convertValue('0.000123456789012345', t('numeric'), strict), 0.000123456789012345);
+  assert.throws(() => convertValue('1.23456789012345678', t('numeric'), strict), ValueConversionError);
+  assert.equal(convertValue('1.23456789012345678', t('numeric'), lenient), 1.2345678901234568);
+
+  for (const [oid, text, type] of [[701, 'NaN', 'float8'], [700, 'Infinity', 'float4'], [1700, 'NaN', 'numeric'], [1700, '-Infinity', 'numeric']]) {
+    assert.throws(() => convertValue(parsed(oid, text), t(type), strict), ValueConversionError, `${type} ${text}`);
+    assert.equal(convertValue(parsed(oid, text), t(type), lenient), null, `${type} ${text}`);
+  }
+});
+
+test('booleans, JSON, uuid and bytea become numbers or text', () => {
+  assert.equal(convertValue(parsed(16, 't'), t('bool')), 1);
+  assert.equal(convertValue(parsed(16, 'f'), t('bool')), 0);
+  assert.equal(convertValue(parsed(3802, '{"a": [1, null]}'), t('jsonb')), '{"a":[1,null]}');
+  assert.equal(convertValue(parsed(114, '"text"'), t('json')), '"text"');
+  assert.equal(convertValue('0b9f0a84-1a3c-4f51-9d1c-2a8c1f2b3c4d', t('uuid')), '0b9f0a84-1a3c-4f51-9d1c-2a8c1f2b3c4d');
+  assert.equal(convertValue(parsed(17, '\\x68656c6c6f'), t('bytea')), Buffer.from('hello').toString('base64'));
+});
+
+test('dates and times become ISO 8601 text', () => {
+  assert.equal(convertValue(parsed(1184, '2024-03-01 12:30:00+00'), t('timestamptz')), '2024-03-01T12:30:00.000Z');
+  // pg parses dates as local midnight; the calendar date must survive any TZ
+  assert.equal(convertValue(parsed(1082, '2024-03-01'), t('date')), '2024-03-01');
+  assert.equal(convertValue(parsed(1186, '1 day 02:03:04'), t('interval')), 'P0Y0M1DT2H3M4S');
+  assert.throws(() => convertValue(parsed(1184, 'infinity'), t('timestamptz'), strict), ValueConversionError);
+  assert.equal(convertValue(parsed(1184, 'infinity'), t('timestamptz'), lenient), null);
+});
+
+test('arrays become JSON arrays with converted elements', () => {
+  assert.equal(convertValue(parsed(1016, '{1,9007199254740993,NULL}'), t('_int8', 'int8')), '[1,"9007199254740993",null]');
+  assert.equal(convertValue(parsed(1000, '{t,f}'), t('_bool', 'bool')), '[true,false]');
+  assert.equal(convertValue(parsed(1007, '{{1,2},{3,4}}'), t('_int4', 'int4')), '[[1,2],[3,4]]');
+  assert.throws(() => convertValue(parsed(1022, '{1.5,NaN}'), t('_float8', 'float8'), strict), ValueConversionError);
+
+  // Arrays of types pg does not parse (enums, ...) arrive as literals
+  assert.throws(() => convertValue('{red,green}', t('_color', 'color'), strict), ValueConversionError);
+  assert.equal(convertValue('{red,green}', t('_color', 'color'), lenient), '{red,green}');
+});
+
+test('columns without a known type are converted by their JS value', () => {
+  assert.equal(convertValue(true, null), 1);
+  assert.equal(convertValue(new Date('2024-01-02T03:04:05Z'), null), '2024-01-02T03:04:05.000Z');
+  assert.equal(convertValue({ a: 1 }, null), '{"a":1}');
+  assert.equal(convertValue(Buffer.from([1, 2]), null), 'AQI=');
+  assert.equal(convertValue('plain', null), 'plain');
+  assert.throws(() => convertValue(NaN, null, strict), ValueConversionError);
+});
+
+test('transformRows sets aside rows that cannot be converted', () => {
+  const config = normalizeTableConfig({
+    columns: ['price', 'tags', { name: 'created_at', transform: 'isoTimestamp' }],
+  }, { name: 'items' });
+  config.sourceTypes = { id: t('int8'), price: t('numeric'), tags: t('_text', 'text'), created_at: t('timestamptz') };
+
+  const rows = [
+    { id: '1', price: '9.99', tags: ['a', 'b'], created_at: new Date('2024-01-01T00:00:00Z') },
+    { id: '2', price: 'NaN', tags: null, created_at: null },
+    { id: '3', price: '1.50', tags: [], created_at: null },
+  ];
+
+  const { rows: converted, rejected } = transformRows(config, rows);
+  assert.deepEqual(converted, [
+    { id: 1, price: 9.99, tags: '["a","b"]', created_at: '2024-01-01T00:00:00.000Z' },
+    { id: 3, price: 1.5, tags: '[]', created_at: null },
+  ]);
+  assert.equal(rejected.length, 1);
+  assert.equal(rejected[0].key, '2');
+  assert.equal(rejected[0].column, 'price');
+  assert.match(rejected[0].message, /^price \(numeric\): NaN/);
+
+  config.typeMode = 'lenient';
+  assert.equal(transformRows(config, rows).rows.length, 3);
+  assert.equal(transformRow(config, rows[1]).price, null);
+
+  assert.throws(() => normalizeTableConfig({ columns: ['a'], typeMode: 'loose' }, { name: 'items' }), /typeMode must be one of strict, lenient/);
+});
+
+test('an infinity timestamp is set aside in strict mode, with or without isoTimestamp', () => {
+  const rows = [
+    { id: '1', created_at: parsed(1184, 'infinity') },
+    { id: '2', created_at: parsed(1184, '2024-03-01 12:30:00+00') },
+  ];
+
+  for (const column of ['created_at', { name: 'created_at', transform: 'isoTimestamp' }]) {
+    const config = normalizeTableConfig({ columns: [column] }, { name: 'items' });
+    config.sourceTypes = { id: t('int8'), created_at: t('timestamptz') };
+
+    const { rows: converted, rejected } = transformRows(config, rows);
+    assert.deepEqual(converted, [{ id: 2, created_at: '2024-03-01T12:30:00.000Z' }]);
+    assert.deepEqual(rejected.map(error => [error.key, error.column]), [['1', 'created_at']]);
+
+    config.typeMode = 'lenient';
+    assert.equal(transformRow(config, rows[0]).created_at, null);
+  }
+});
+
+test('describeColumns names the type of each selected column', async () => {
+  const queries = [];
+  const pgClient = {
+    async query(sql, params) {
+      queries.push(sql);
+      if (sql.includes('LIMIT 0')) {
+        return { rows: [], fields: [{ name: 'id', dataTypeID: 20 }, { name: 'tags', dataTypeID: 1009 }, { name: 'mood', dataTypeID: 16400 }] };
+      }
+      assert.deepEqual(params, [[20, 1009, 16400]]);
+      return {
+        rows: [
+          { oid: 20, typname: 'int8', element: null },
+          { oid: 1009, typname: '_text', element: 'text' },
+          { oid: 16400, typname: 'mood', element: null },
+        ],
+      };
+    },
+  };
+
+  assert.deepEqual(await describeColumns(pgClient, 'items', 'id, tags, mood'), {
+    id: { type: 'int8', element: null },
+    tags: { type: '_text', element: 'text' },
+    mood: { type: 'mood', element: null },
+  });
+  assert.match(queries[0], /SELECT id, tags, mood FROM items LIMIT 0/);
+});
@@ -0,0 +1,171 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { insertAdaptively } from '../lib/adaptive-controller.js';
+import { loadTableConfig, buildInsertStatements, maxBatchSize } from '../lib/table-config.js';
+import { createRejectStore, createFileRejectStore } from '../lib/rejects.js';
+import { createD1Context } from '../lib/commands/common.js';
+import { main } from '../lib/cli.js';
+import { startFakeD1Server } from './support/fake-d1-server.js';
+
+// Bisecting failed batches down to the rejected rows, and both reject stores,
+// against the fake D1 server. Needs no PostgreSQL.
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const CONFIG = path.join(ROOT, 'test', 'fixtures', 'test_speed.json');
+
+let server;
+let tmpDir;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  server = await startFakeD1Server();
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'd1-rejects-'));
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function speedRows(count, badIds) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: i + 1,
+    latitude: badIds.includes(i + 1) ? null : 52 + i / 1000, // NOT NULL in D1
+    longitude: 4,
+    api_speed_limit: 50,
+    display_name: `Road ${i + 1}`,
+  }));
+}
+
+test('bisects failing batches down to the rejected rows and inserts the rest', async () => {
+  const config = loadTableConfig(CONFIG);
+  await server.query(config.ddl[0]);
+
+  const batchSize = maxBatchSize(config);
+  const { executeD1Batch, controller } = createD1Context({ ...server.env, D1_MAX_RPS: '1000' }, { rowsPerStatement: batchSize });
+  const badIds = [7, 8, 130, 299];
+  const rejected = [];
+  let inserted = 0;
+
+  const processed = await insertAdaptively({
+    rows: speedRows(300, badIds),
+    buildStatements: rows => buildInsertStatements(config, rows, batchSize),
+    executeD1Batch,
+    controller,
+    onBatch: rows => { inserted += rows.length; },
+    onRejected: (row, error) => { rejected.push([row.id, error.name]); },
+  });
+
+  assert.equal(processed, 300);
+  assert.equal(inserted, 300 - badIds.length);
+  assert.deepEqual(rejected, badIds.map(id => [id, 'D1ConstraintError']));
+
+  const [{ count }] = await server.query('SELECT COUNT(*) as count FROM test_speed');
+  assert.equal(count, 300 - badIds.length);
+  assert.deepEqual(await server.query(`SELECT id FROM test_speed WHERE id IN (${badIds.join(', ')})`), []);
+});
+
+test('without onRejected a constraint error still fails the whole batch', async () => {
+  const config = loadTableConfig(CONFIG);
+  const { executeD1Batch, controller } = createD1Context({ ...server.env, D1_MAX_RPS: '1000' }, { rowsPerStatement: maxBatchSize(config) });
+
+  await assert.rejects(
+    insertAdaptively({
+      rows: speedRows(10, [3]).map(row => ({ ...row, id: row.id + 1000 })),
+      buildStatements: rows => buildInsertStatements(config, rows),
+      executeD1Batch,
+      controller,
+    }),
+    { name: 'D1ConstraintError' }
+  );
+});
+
+const STORES = [
+  ['D1 table', () => {
+    const { executeD1SQL } = createD1Context({ ...server.env, D1_MAX_RPS: '1000' });
+    return createRejectStore(executeD1SQL);
+  }],
+  ['NDJSON file', () => createFileRejectStore(path.join(tmpDir, 'nested', 'rejects.ndjson'))],
+];
+
+for (const [label, createStore] of STORES) {
+  test(`${label} reject store records, lists and clears rejects`, async () => {
+    const store = createStore();
+    assert.deepEqual(await store.summarizeRejects('test_speed'), []);
+    await store.ensureRejectsTable();
+
+    const rejects = [1, 2, 3, 4, 5].map(id => ({
+      key: id,
+      checkpointId: 1,
+      stage: id < 4 ? 'convert' : 'insert',
+      error: id < 4 ? 'api_speed_limit (float8): NaN has no D1 representation' : 'NOT NULL constraint failed',
+      row: { id, api_speed_limit: NaN },
+    }));
+    await store.recordRejects('test_speed', rejects);
+    await store.recordRejects('test_speed', [{ ...rejects[0], checkpointId: null, stage: 'insert', error: 'again' }]);
+    await store.recordRejects('other', [rejects[0]]);
+
+    const all = await store.listRejects('test_speed');
+    assert.deepEqual(all.map(entry => entry.row_key), [1, 2, 3, 4, 5]);
+    assert.equal(all[0].attempts, 2);
+    assert.equal(all[0].error, 'again');
+    assert.equal(all[0].checkpoint_id, 1);
+    assert.deepEqual(JSON.parse(all[1].row_data), { id: 2, api_speed_limit: 'NaN' });
+
+    const page = await store.listRejects('test_speed', { limit: 2, afterKey: 2 });
+    assert.deepEqual(page.map(entry => entry.row_key), [3, 4]);
+
+    const summary = await store.summarizeRejects('test_speed');
+    assert.deepEqual(summary.map(group => `${group.stage} ${group.count}`).sort(), ['convert 2', 'insert 1', 'insert 2']);
+    assert.equal(summary[2].count, 1);
+
+    assert.equal(await store.countRejectRange('test_speed', 2, 4), 3);
+    assert.equal(await store.countRejectRange('other', 2, 4), 0);
+
+    await store.deleteRejects('test_speed', [2]);
+    await store.clearRejectRange('test_speed', 4, 10);
+    assert.deepEqual((await store.listRejects('test_speed')).map(entry => entry.row_key), [1, 3]);
+
+    await store.clearRejects('test_speed');
+    assert.deepEqual(await store.listRejects('test_speed'), []);
+    assert.equal((await store.listRejects('other')).length, 1);
+  });
+
+  test(`${label} reject store keeps int8 keys (strings from pg) as integers`, async () => {
+    const store = createStore();
+    await store.ensureRejectsTable();
+
+    // Conversion rejects carry the raw key, inserts the converted one
+    const reject = (key, stage) => ({ key, stage, error: 'bad', row: { id: key } });
+    await store.recordRejects('int8_keys', [reject('10', 'convert'), reject(9, 'insert'), reject('100', 'convert')]);
+    await store.recordRejects('int8_keys', [reject(10, 'insert')]);
+
+    const all = await store.listRejects('int8_keys');
+    assert.deepEqual(all.map(entry => entry.row_key), [9, 10, 100]);
+    assert.equal(all[1].attempts, 2);
+    assert.equal(await store.countRejectRange('int8_keys', 10, 100), 2);
+
+    await store.clearRejectRange('int8_keys', 10, 99);
+    assert.deepEqual((await store.listRejects('int8_keys', { afterKey: 9 })).map(entry => entry.row_key), [100]);
+    await store.deleteRejects('int8_keys', ['100']);
+    assert.deepEqual((await store.listRejects('int8_keys')).map(entry => entry.row_key), [9]);
+  });
+}
+
+test('rejects list exits 3 while rejects remain', async () => {
+  const file = path.join(tmpDir, 'list.ndjson');
+  const args = ['rejects', 'list', '--config', CONFIG, '--rejects-file', file];
+
+  assert.equal(await main(args, {}), 0);
+
+  await createFileRejectStore(file).recordRejects('test_speed', [
+    { key: 9, stage: 'insert', error: 'NOT NULL constraint failed: test_speed.latitude', row: { id: 9 } },
+  ]);
+  assert.equal(await main(args, {}), 3);
+  assert.equal(await main(['rejects', 'retry', '--config', CONFIG, '--rejects-file', file, '--dry-run'], {}), 4); // No credentials
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { introspectTable, generateTableDDL, generateTableMapping } from '../lib/schema-generator.js';
+
+// D1 DDL generated from introspected PostgreSQL tables, with a pgClient stub
+// answering the catalog queries
+
+const COLUMNS = [
+  { column_name: 'id', data_type: 'integer', udt_name: 'int4', is_nullable: 'NO', column_default: "nextval('cameras_id_seq'::regclass)", is_identity: 'NO' },
+  { column_name: 'name', data_type: 'character varying', udt_name: 'varchar', is_nullable: 'NO', column_default: null, is_identity: 'NO' },
+  { column_name: 'city', data_type: 'text', udt_name: 'text', is_nullable: 'YES', column_default: null, is_identity: 'NO' },
+  { column_name: 'deleted_at', data_type: 'timestamp with time zone', udt_name: 'timestamptz', is_nullable: 'YES', column_default: null, is_identity: 'NO' },
+];
+
+const INDEXES = [
+  { index_name: 'idx_cameras_city_name', is_unique: false, columns: ['city', 'name'], predicate: null },
+  { index_name: 'idx_cameras_live', is_unique: true, columns: ['name'], predicate: '(deleted_at IS NULL)' },
+  { index_name: 'idx_cameras_named', is_unique: false, columns: ['city'], predicate: "((name)::text <> ''::text)" },
+];
+
+// Like pg, index columns come back as '{a,b}' text unless the query casts
+// them to text[]
+function catalogClient() {
+  return {
+    async query(sql) {
+      if (sql.includes('information_schema.columns')) return { rows: COLUMNS };
+      if (sql.includes('table_constraints')) return { rows: [{ column_name: 'id' }] };
+      const textColumns = sql.includes('attname::text');
+      return {
+        rows: INDEXES.map(index => ({ ...index, columns: textColumns ? index.columns : `{${index.columns.join(',')}}` })),
+      };
+    },
+  };
+}
+
+test('indexes keep their column order, and partial ones their predicate', async () => {
+  const table = await introspectTable(catalogClient(), 'cameras');
+  assert.deepEqual(table.indexes[0].columns, ['city', 'name']);
+
+  const { statements, warnings } = generateTableDDL(table);
+  assert.deepEqual(statements, [
+    'CREATE TABLE IF NOT EXISTS cameras (\n' +
+      '    id INTEGER PRIMARY KEY AUTOINCREMENT,\n' +
+      '    name TEXT NOT NULL,\n' +
+      '    city TEXT,\n' +
+      '    deleted_at TEXT\n' +
+      ')',
+    'CREATE INDEX IF NOT EXISTS idx_cameras_city_name ON cameras(city, name)',
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_cameras_live ON cameras(name) WHERE (deleted_at IS NULL)',
+  ]);
+  assert.deepEqual(warnings, [
+    "Index idx_cameras_named: predicate ((name)::text <> ''::text) uses PostgreSQL casts, index skipped",
+  ]);
+});
+
+test('generated mappings carry the key column, columns and single-line DDL', async () => {
+  const mapping = generateTableMapping(await introspectTable(catalogClient(), 'cameras'), { targetTable: 'cameras_d1' });
+
+  assert.equal(mapping.keyColumn, 'id');
+  assert.deepEqual(mapping.columns.map(column => column.name), ['name', 'city', 'deleted_at']);
+  assert.equal(mapping.ddl[2], 'CREATE UNIQUE INDEX IF NOT EXISTS idx_cameras_live ON cameras_d1(name) WHERE (deleted_at IS NULL)');
+});
@@ -0,0 +1,103 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createD1ClientFromEnv } from '../lib/d1-client.js';
+import { createMigrationRunner } from '../lib/schema-migrations.js';
+import { startFakeD1Server } from './support/fake-d1-server.js';
+
+// The schema migration runner against the fake D1 server, with migration
+// files in a temporary directory. Needs no PostgreSQL.
+
+let server;
+let dir;
+let runner;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  server = await startFakeD1Server();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'd1-migrations-'));
+  const { executeD1SQL, executeD1Batch } = createD1ClientFromEnv({ baseDelay: 10, maxDelay: 20 }, server.env);
+  runner = createMigrationRunner({ executeD1SQL, executeD1Batch, dir });
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeMigration(name, sql) {
+  fs.writeFileSync(path.join(dir, name), sql);
+}
+
+const appliedNames = async () => (await runner.appliedMigrations()).map(m => m.name);
+
+const tableNames = async () => (await server.query("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name")).map(t => t.name);
+
+test('applies pending files in name order and records them', async () => {
+  writeMigration('0002_notes_body.sql', 'ALTER TABLE notes ADD COLUMN body TEXT;\nCREATE INDEX idx_notes_body ON notes (body);\n');
+  writeMigration('0001_notes.sql', '-- Notes\nCREATE TABLE notes (id INTEGER PRIMARY KEY);\n');
+  writeMigration('README.md', 'not a migration');
+
+  assert.deepEqual(await runner.appliedMigrations(), []);
+  const pending = await runner.pendingMigrations();
+  assert.deepEqual(pending.map(m => m.name), ['0001_notes.sql', '0002_notes_body.sql']);
+  assert.equal(pending[1].statements.length, 2);
+
+  for (const migration of pending) {
+    await runner.applyMigration(migration);
+  }
+
+  assert.deepEqual(await appliedNames(), ['0001_notes.sql', '0002_notes_body.sql']);
+  assert.deepEqual((await server.query('PRAGMA table_info(notes)')).map(c => c.name), ['id', 'body']);
+  assert.deepEqual(await runner.pendingMigrations(), []);
+});
+
+test('skips files already recorded, and adds columns as written like wrangler', async () => {
+  // Recorded by wrangler d1 migrations apply, or an earlier run
+  writeMigration('0003_tags.sql', 'CREATE TABLE tags (id INTEGER PRIMARY KEY);\n');
+  await server.query('CREATE TABLE tags (id INTEGER PRIMARY KEY)');
+  await server.query("INSERT INTO d1_migrations (name) VALUES ('0003_tags.sql')");
+
+  // A column something else already added fails the migration, as it would in wrangler
+  writeMigration('0004_notes_title.sql', 'ALTER TABLE notes ADD COLUMN title TEXT;\nALTER TABLE "notes" ADD COLUMN "rank" INTEGER;\n');
+  await server.query('ALTER TABLE notes ADD COLUMN title TEXT');
+
+  const pending = await runner.pendingMigrations();
+  assert.deepEqual(pending.map(m => m.name), ['0004_notes_title.sql']);
+  await assert.rejects(runner.applyMigration(pending[0]), /duplicate column name: title/);
+
+  writeMigration('0004_notes_title.sql', 'ALTER TABLE "notes" ADD COLUMN "rank" INTEGER;\n');
+  await runner.applyMigration((await runner.pendingMigrations())[0]);
+  assert.deepEqual((await server.query('PRAGMA table_info(notes)')).map(c => c.name), ['id', 'body', 'title', 'rank']);
+  assert.deepEqual(await runner.pendingMigrations(), []);
+});
+
+test('a failing migration is rolled back and stops the ones after it', async () => {
+  writeMigration('0005_broken.sql', 'CREATE TABLE archive (id INTEGER PRIMARY KEY);\nINSERT INTO missing_table VALUES (1);\n');
+  writeMigration('0006_after.sql', 'CREATE TABLE later (id INTEGER PRIMARY KEY);\n');
+
+  const pending = await runner.pendingMigrations();
+  assert.deepEqual(pending.map(m => m.name), ['0005_broken.sql', '0006_after.sql']);
+  // In order, as schema apply runs them
+  await assert.rejects(async () => {
+    for (const migration of pending) {
+      await runner.applyMigration(migration);
+    }
+  }, /no such table: missing_table/);
+
+  // Nothing from the batch was kept, so the file can be fixed and applied again
+  const tables = await tableNames();
+  assert.ok(!tables.includes('archive'));
+  assert.ok(!tables.includes('later'));
+  assert.deepEqual((await runner.pendingMigrations()).map(m => m.name), ['0005_broken.sql', '0006_after.sql']);
+
+  writeMigration('0005_broken.sql', 'CREATE TABLE archive (id INTEGER PRIMARY KEY);\n');
+  for (const migration of await runner.pendingMigrations()) {
+    await runner.applyMigration(migration);
+  }
+  assert.deepEqual((await appliedNames()).slice(-2), ['0005_broken.sql', '0006_after.sql']);
+  assert.ok((await tableNames()).includes('archive'));
+});
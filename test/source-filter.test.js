@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  loadTableConfig,
+  normalizeTableConfig,
+  sourceWhere,
+  loadRowTransform,
+  prepareSource,
+  transformRows,
+} from '../lib/table-config.js';
+import { readSourceRange } from '../lib/pg-stream.js';
+import { fetchSourceRows } from '../lib/verify.js';
+
+// Source filters ("where") and transform modules of table mappings. Needs no
+// PostgreSQL: queries go to a recording stub.
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const CONFIG = path.join(ROOT, 'test', 'fixtures', 'test_filtered.json');
+
+// pgClient stub answering queries with the given pages of rows in turn (then
+// no rows), recording the SQL
+function recordingClient(...pages) {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params) {
+      queries.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+      return { rows: (pages[queries.length - 1] || []).map(row => ({ ...row })) };
+    },
+  };
+}
+
+const road = (id, extra = {}) => ({ id, latitude: 52.123456, longitude: 4.987654, api_speed_limit: 50, display_name: `Road ${id}`, ...extra });
+
+test('the where predicate is validated and added to source queries', async () => {
+  const config = loadTableConfig(CONFIG);
+  assert.equal(sourceWhere(config), 'WHERE (id <= 1000 AND display_name IS NOT NULL)');
+  assert.equal(sourceWhere(config, ['id > $1']), 'WHERE (id <= 1000 AND display_name IS NOT NULL) AND id > $1');
+  assert.equal(sourceWhere(normalizeTableConfig({ columns: ['a'] }, { name: 'items' }), ['id > $1']), 'WHERE id > $1');
+
+  for (const where of ['', '  ', 'id > 1; DROP TABLE items', 42]) {
+    assert.throws(() => normalizeTableConfig({ columns: ['a'], where }, { name: 'items' }), /"where" must be a single SQL condition/);
+  }
+
+  const pgClient = recordingClient([road(1), road(2)], [road(3)]);
+  const pages = [];
+  for await (const page of readSourceRange(pgClient, config, { startId: 1, endId: 500, pageSize: 2 })) {
+    pages.push(page);
+  }
+
+  assert.equal(pages.length, 2);
+  assert.match(pgClient.queries[0].sql, /WHERE \(id <= 1000 AND display_name IS NOT NULL\) AND id >= \$1 AND id <= \$2 ORDER BY id LIMIT \$3$/);
+  assert.deepEqual(pgClient.queries[0].params, [1, 500, 2]);
+  assert.match(pgClient.queries[1].sql, /WHERE \(id <= 1000 AND display_name IS NOT NULL\) AND id > \$1 AND id <= \$2/);
+  assert.deepEqual(pgClient.queries[1].params, [2, 500, 2]);
+});
+
+test('prepareSource checks the where predicate first, without reading rows', async () => {
+  const config = loadTableConfig(CONFIG);
+  const queries = [];
+  const pgClient = {
+    async query(sql) {
+      queries.push(sql);
+      throw new Error('column "display_name" does not exist');
+    },
+  };
+
+  await assert.rejects(prepareSource(pgClient, config), /^Error: "where" of test_filtered does not work on d1_migrate_test_speed: column "display_name" does not exist$/);
+  assert.deepEqual(queries, ['SELECT id FROM d1_migrate_test_speed WHERE (id <= 1000 AND display_name IS NOT NULL) LIMIT 0']);
+});
+
+test('a transform module modifies, drops and splits rows before conversion', async () => {
+  const config = loadTableConfig(CONFIG);
+  assert.equal(config.transformModule, path.join(ROOT, 'test', 'fixtures', 'test_filtered.transform.js'));
+  await loadRowTransform(config);
+
+  const { rows, rejected } = transformRows(config, [
+    road(1, { display_name: 'Main St\n  km 3' }),
+    road(2, { api_speed_limit: null }),
+    road(3, { display_name: 'split' }),
+    road(4, { api_speed_limit: NaN }),
+  ]);
+
+  assert.deepEqual(rows, [
+    { id: 1, latitude: 52.123, longitude: 4.988, api_speed_limit: 50, display_name: 'Main St km 3' },
+    { id: 3, latitude: 52.123, longitude: 4.988, api_speed_limit: 50, display_name: 'split' },
+    { id: 100003, latitude: 52.123, longitude: 4.988, api_speed_limit: 50, display_name: 'split' },
+  ]);
+  // Rows the module passes on are still converted by type (strict: NaN is rejected)
+  assert.equal(rejected.length, 1);
+  assert.equal(rejected[0].key, 4);
+  assert.equal(rejected[0].row.latitude, 52.123);
+});
+
+test('verify compares the filtered, transformed rows of a range', async () => {
+  const config = loadTableConfig(CONFIG);
+  await loadRowTransform(config);
+
+  const pgClient = recordingClient([road(1), road(2, { api_speed_limit: null }), road(3, { display_name: 'split' })]);
+  const rows = await fetchSourceRows(pgClient, config, 1, 10);
+
+  assert.match(pgClient.queries[0].sql, /WHERE \(id <= 1000 AND display_name IS NOT NULL\) AND id >= \$1 AND id <= \$2/);
+  // Row 2 is dropped; row 3's copy under key 100003 belongs to another range
+  assert.deepEqual(rows.map(row => row[0]), ['1', '3']);
+});
+
+test('transform modules that are missing, not functions or async are reported', async () => {
+  const missing = normalizeTableConfig({ columns: ['a'], transformModule: 'nope.js' }, { name: 'items', file: CONFIG });
+  await assert.rejects(loadRowTransform(missing), /Transform module .*nope\.js for items does not exist/);
+
+  const notAFunction = normalizeTableConfig({ columns: ['a'], transformModule: '../../lib/geo.js' }, { name: 'items', file: CONFIG });
+  await assert.rejects(loadRowTransform(notAFunction), /must export a function as default/);
+
+  const config = normalizeTableConfig({ columns: ['a'] }, { name: 'items' });
+  config.rowTransform = async row => row;
+  assert.throws(() => transformRows(config, [{ id: 1, a: 1 }]), /must return rows, not a Promise/);
+
+  config.rowTransform = () => { throw new Error('boom'); };
+  assert.throws(() => transformRows(config, [{ id: 7, a: 1 }]), /Transform module failed on id 7: boom/);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitSqlStatements } from '../lib/sql-splitter.js';
+
+// Splitting schema files into one statement per D1 /query call
+
+const sqlOf = source => splitSqlStatements(source).map(statement => statement.sql);
+
+test('semicolons inside quotes do not end a statement', () => {
+  assert.deepEqual(sqlOf(`
+    INSERT INTO notes (body) VALUES ('a; b'), ('it''s; fine');
+    CREATE TABLE "odd;name" ("col;1" TEXT, \`col;2\` TEXT, [col;3] TEXT);
+  `), [
+    "INSERT INTO notes (body) VALUES ('a; b'), ('it''s; fine')",
+    'CREATE TABLE "odd;name" ("col;1" TEXT, `col;2` TEXT, [col;3] TEXT)',
+  ]);
+});
+
+test('comments before a statement are dropped and comments inside are kept', () => {
+  assert.deepEqual(sqlOf(`
+    -- Leading comment; not a statement
+    /* Block comment;
+       over two lines */
+    CREATE TABLE a (
+      id INTEGER, -- trailing; comment
+      name TEXT /* ; */
+    );
+    -- Trailing comment at the end of the file`), [
+    'CREATE TABLE a (\n      id INTEGER, -- trailing; comment\n      name TEXT /* ; */\n    )',
+  ]);
+  assert.deepEqual(sqlOf('-- only a comment\n/* and another */\n'), []);
+});
+
+test('trigger bodies stay in one statement', () => {
+  const statements = sqlOf(`
+    CREATE TABLE log (id INTEGER, note TEXT);
+    CREATE TEMP TRIGGER log_insert AFTER INSERT ON log
+    BEGIN
+      UPDATE log SET note = CASE WHEN new.id > 0 THEN 'positive;' ELSE 'other' END WHERE id = new.id;
+      DELETE FROM log WHERE id < 0;
+    END;
+    CREATE INDEX log_id ON log (id);
+  `);
+
+  assert.equal(statements.length, 3);
+  assert.match(statements[1], /^CREATE TEMP TRIGGER log_insert[\s\S]*DELETE FROM log WHERE id < 0;\s*END$/);
+  assert.equal(statements[2], 'CREATE INDEX log_id ON log (id)');
+});
+
+test('each statement reports the line it starts on', () => {
+  const statements = splitSqlStatements([
+    '-- header', // 1
+    'CREATE TABLE a (id INTEGER);', // 2
+    '', // 3
+    "INSERT INTO a VALUES ('multi", // 4
+    "line'); /* x */ INSERT INTO a", // 5
+    'VALUES (2);', // 6
+  ].join('\n'));
+
+  assert.deepEqual(statements.map(statement => statement.line), [2, 4, 5]);
+});
+
+test('unterminated quotes, comments and triggers are reported with their line', () => {
+  assert.throws(() => splitSqlStatements("SELECT 1;\nSELECT 'open;"), /Unterminated '\.\.\.' quote starting on line 2/);
+  assert.throws(() => splitSqlStatements('SELECT 1;\n\n/* open'), /Unterminated \/\* comment starting on line 3/);
+  assert.throws(
+    () => splitSqlStatements('\nCREATE TRIGGER t AFTER INSERT ON a BEGIN\n  DELETE FROM a;'),
+    /CREATE TRIGGER starting on line 2 has no matching END/
+  );
+});
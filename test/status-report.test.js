@@ -0,0 +1,107 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createD1ClientFromEnv } from '../lib/d1-client.js';
+import { createCheckpointStore } from '../lib/checkpoints.js';
+import { loadTableConfig } from '../lib/table-config.js';
+import { collectTableStatus, formatDuration, formatStatusMarkdown, isComplete } from '../lib/status-report.js';
+import { main } from '../lib/cli.js';
+import { startFakeD1Server } from './support/fake-d1-server.js';
+
+// Progress, ETA and rendering of d1-migrate status from checkpoints in the
+// fake D1 server. Needs no PostgreSQL: the source count comes from a stub.
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const CONFIG = path.join(ROOT, 'test', 'fixtures', 'test_speed.json');
+
+let server;
+let executeD1SQL;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  server = await startFakeD1Server();
+  ({ executeD1SQL } = createD1ClientFromEnv({}, server.env));
+  await createCheckpointStore(executeD1SQL).ensureCheckpointsTableExists();
+});
+
+after(async () => {
+  await server.close();
+});
+
+// Two completed ranges of 900 rows that took 100 s each, one being worked
+// on and one that failed
+async function seedCheckpoints() {
+  const insert = `INSERT INTO migration_checkpoints
+    (table_name, start_id, end_id, records_processed, status, error_message, started_at, completed_at, worker_id, heartbeat_at)
+    VALUES ('test_speed', ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+  await server.query(insert, [1, 1000, 900, 'completed', null, '2026-01-01T00:00:00.000Z', '2026-01-01T00:01:40.000Z', 'w1', null]);
+  await server.query(insert, [1001, 2000, 900, 'completed', null, '2026-01-01T01:00:00.000Z', '2026-01-01T01:01:40.000Z', 'w1', null]);
+  await server.query(insert, [2001, 3000, 0, 'in_progress', null, '2026-01-01T02:00:00.000Z', null, 'w2', '2026-01-01T02:00:30.000Z']);
+  await server.query(insert, [3001, 4000, 0, 'failed', 'UNIQUE constraint | failed\non id', '2026-01-01T01:10:00.000Z', '2026-01-01T01:10:05.000Z', 'w1', null]);
+}
+
+// pgClient stub answering the source COUNT(*)
+const countingClient = count => ({ query: async () => ({ rows: [{ count: String(count) }] }) });
+
+test('status exits 3 before a migration has started', async () => {
+  const report = await collectTableStatus({ executeD1SQL, config: loadTableConfig(CONFIG) });
+  assert.equal(report.checkpoints.total, 0);
+  assert.equal(isComplete(report), false);
+  assert.equal(await main(['status', '--config', CONFIG], server.env), 3);
+});
+
+test('without PostgreSQL, progress and ETA come from the checkpoint ranges', async () => {
+  await seedCheckpoints();
+  const report = await collectTableStatus({ executeD1SQL, config: loadTableConfig(CONFIG) });
+
+  assert.deepEqual(report.checkpoints, { pending: 0, in_progress: 1, completed: 2, failed: 1, total: 4 });
+  assert.equal(report.rowsMigrated, 1800);
+  assert.equal(report.sourceRows, null);
+  assert.equal(report.rowsPerSecond, 9); // 1800 rows in 200 busy seconds, not the hours between runs
+  assert.equal(report.percent, 50); // Checkpoints done
+  assert.equal(report.etaSeconds, 200); // 2000 remaining ids, as dense as the done ones: 1800 rows
+  assert.deepEqual(report.activeWorkers.map(w => [w.checkpoint, w.worker]), [[3, 'w2']]);
+  assert.deepEqual(report.recentErrors.map(e => e.startId), [3001]);
+});
+
+test('with PostgreSQL, progress and ETA come from the source row count', async () => {
+  const report = await collectTableStatus({ executeD1SQL, pgClient: countingClient(2700), config: loadTableConfig(CONFIG) });
+
+  assert.equal(report.sourceRows, 2700);
+  assert.equal(report.percent, 66.7);
+  assert.equal(report.etaSeconds, 100); // 900 rows left at 9 rows/s
+
+  const done = await collectTableStatus({ executeD1SQL, pgClient: countingClient(1800), config: loadTableConfig(CONFIG) });
+  assert.equal(done.percent, 100);
+  assert.equal(done.etaSeconds, 0);
+});
+
+test('durations read in the two largest units', () => {
+  assert.equal(formatDuration(null), '-');
+  assert.equal(formatDuration(0), '0s');
+  assert.equal(formatDuration(59), '59s');
+  assert.equal(formatDuration(61), '1m 1s');
+  assert.equal(formatDuration(3600), '1h 0m');
+  assert.equal(formatDuration(47 * 3600 + 59 * 60), '47h 59m');
+  assert.equal(formatDuration(49 * 3600), '2d 1h');
+});
+
+test('markdown escapes pipes and newlines so tables stay intact', async () => {
+  const report = await collectTableStatus({ executeD1SQL, pgClient: countingClient(2700), config: loadTableConfig(CONFIG) });
+  const markdown = formatStatusMarkdown([{ ...report, table: 'odd|name' }], { generatedAt: '2026-01-01T03:00:00.000Z' });
+  const lines = markdown.split('\n');
+
+  assert.ok(lines.includes('_Generated 2026-01-01T03:00:00.000Z_'));
+  assert.ok(lines.includes('| odd\\|name | 0 | 1 | 2 | 1 | 1,800 / 2,700 | 66.7% | 9 | 1m 40s |'));
+  assert.ok(lines.includes('- ❌ Checkpoint #4 (ID 3001-4000, 2026-01-01T01:10:05.000Z): UNIQUE constraint \\| failed on id'));
+});
+
+test('status exits 3 while work remains and 0 once every checkpoint completed', async () => {
+  assert.equal(await main(['status', '--config', CONFIG, '--format', 'json'], server.env), 3);
+
+  await server.query("UPDATE migration_checkpoints SET status = 'completed', records_processed = 900, completed_at = started_at WHERE status != 'completed'");
+  assert.equal(await main(['status', '--config', CONFIG], server.env), 0);
+  assert.equal(await main(['status', '--config', CONFIG, '--format', 'xml'], server.env), 2);
+});
@@ -0,0 +1,193 @@
+import http from 'http';
+import { Miniflare } from 'miniflare';
+
+// Local stand-in for the Cloudflare D1 REST API, backed by Miniflare's SQLite
+// D1. Point a client at it with D1_API_BASE_URL (server.env has everything a
+// d1-migrate command needs). Failures can be injected per request to exercise
+// retries and the adaptive controller offline.
+
+const ACCOUNT_ID = 'fake-account';
+const DATABASE_ID = 'fake-database';
+const API_TOKEN = 'fake-token-for-local-tests';
+
+// Injectable failure kinds: the response the API would send
+const FAILURES = {
+  rateLimit: (res, { retryAfter = 0 }) => sendJson(res, 429, {
+    success: false,
+    errors: [{ code: 971, message: 'Too many requests' }],
+  }, { 'Retry-After': String(retryAfter) }),
+  serverError: res => sendJson(res, 503, {
+    success: false,
+    errors: [{ code: 7500, message: 'Internal error' }],
+  }),
+  nonJson: (res) => {
+    res.writeHead(502, { 'Content-Type': 'text/html' });
+    res.end('<html><body>502 Bad Gateway</body></html>');
+  },
+  // An endpoint that cannot read the request body (e.g. no batch support)
+  malformed: res => sendJson(res, 400, {
+    success: false,
+    errors: [{ code: 7400, message: 'The request is malformed' }],
+  }),
+  // A request body over D1's size limit
+  payloadTooLarge: res => sendJson(res, 413, {
+    success: false,
+    errors: [{ code: 7500, message: 'Request entity too large' }],
+  }),
+  // Never answer; the client's timeout has to fire
+  timeout: () => {},
+};
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+// SQL text of a /query body, for matching injected failures and hooks
+function bodySql(body) {
+  return body.batch ? body.batch.map(s => s.sql).join(';\n') : body.sql;
+}
+
+// Whether an injected failure applies: match is a RegExp for the SQL text, a
+// function of the /query body, or null for every query
+function matches(match, sql, body) {
+  if (!match) return true;
+  return typeof match === 'function' ? match(body) : match.test(sql);
+}
+
+export async function startFakeD1Server() {
+  const mf = new Miniflare({
+    modules: true,
+    script: 'export default { fetch() { return new Response(null, { status: 404 }); } }',
+    d1Databases: ['DB'],
+  });
+  const db = await mf.getD1Database('DB');
+
+  const failures = []; // [{ type, remaining, match, options }]
+  const hooks = [];
+  const requests = []; // [{ sql, status }]
+  const pending = new Set(); // Responses held open by 'timeout' failures
+
+  // Run a /query body against the database in the shape the REST API returns
+  async function execute(body) {
+    const statements = body.batch || [body];
+    const prepared = statements.map(({ sql, params = [] }) => db.prepare(sql).bind(...params));
+    const results = prepared.length === 1 ? [await prepared[0].all()] : await db.batch(prepared);
+    return results.map(({ results: rows, meta }) => ({ results: rows, success: true, meta }));
+  }
+
+  async function handleQuery(req, res) {
+    const body = JSON.parse(await readBody(req));
+    const sql = bodySql(body);
+
+    for (const hook of hooks) {
+      await hook({ sql, body });
+    }
+
+    const failure = failures.find(f => f.remaining > 0 && matches(f.match, sql, body));
+    if (failure) {
+      failure.remaining--;
+      requests.push({ sql, status: failure.type });
+      if (failure.type === 'timeout') {
+        pending.add(res);
+        res.on('close', () => pending.delete(res));
+      }
+      FAILURES[failure.type](res, failure.options);
+      return;
+    }
+
+    try {
+      const result = await execute(body);
+      requests.push({ sql, status: 200 });
+      sendJson(res, 200, { success: true, errors: [], messages: [], result });
+    } catch (error) {
+      // SQLite errors come back as HTTP 400 with code 7500, like the real API
+      requests.push({ sql, status: 400 });
+      sendJson(res, 400, {
+        success: false,
+        errors: [{ code: 7500, message: error.message.replace(/^D1_ERROR: /, '') }],
+      });
+    }
+  }
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      if (req.headers.authorization !== `Bearer ${API_TOKEN}`) {
+        sendJson(res, 401, { success: false, errors: [{ code: 10000, message: 'Authentication error' }] });
+        return;
+      }
+
+      const accountPath = `/client/v4/accounts/${ACCOUNT_ID}`;
+      const databasePath = `${accountPath}/d1/database/${DATABASE_ID}`;
+
+      if (req.method === 'GET' && req.url === accountPath) {
+        sendJson(res, 200, { success: true, result: { id: ACCOUNT_ID, name: 'Fake account' } });
+      } else if (req.method === 'GET' && req.url === databasePath) {
+        sendJson(res, 200, { success: true, result: { uuid: DATABASE_ID, name: 'fake', version: 'production' } });
+      } else if (req.method === 'POST' && req.url === `${databasePath}/query`) {
+        await handleQuery(req, res);
+      } else {
+        sendJson(res, 404, { success: false, errors: [{ code: 7404, message: `No route for ${req.method} ${req.url}` }] });
+      }
+    } catch (error) {
+      sendJson(res, 500, { success: false, errors: [{ code: 7500, message: error.message }] });
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/client/v4`;
+
+  return {
+    baseUrl,
+    db,
+    requests,
+
+    // Environment for a d1-migrate command talking to this server
+    env: {
+      CLOUDFLARE_API_TOKEN: API_TOKEN,
+      CLOUDFLARE_ACCOUNT_ID: ACCOUNT_ID,
+      D1_DATABASE_ID: DATABASE_ID,
+      D1_API_BASE_URL: baseUrl,
+    },
+
+    // Fail the next `times` queries that `match` (see matches(); every query
+    // when omitted). type is rateLimit, serverError, nonJson, malformed,
+    // payloadTooLarge or timeout.
+    injectFailure(type, { times = 1, match = null, ...options } = {}) {
+      if (!FAILURES[type]) {
+        throw new Error(`Unknown failure type: ${type}`);
+      }
+      failures.push({ type, remaining: times, match, options });
+    },
+
+    // Call fn({ sql, body }) before every query is handled
+    onQuery(fn) {
+      hooks.push(fn);
+    },
+
+    // Rows of a query run directly against the database
+    async query(sql, params = []) {
+      const { results } = await db.prepare(sql).bind(...params).all();
+      return results;
+    },
+
+    async close() {
+      for (const res of pending) {
+        res.destroy();
+      }
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      await mf.dispose();
+    },
+  };
+}
@@ -0,0 +1,87 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createD1ClientFromEnv, D1AuthError, D1NoSuchTableError } from '../lib/d1-client.js';
+import { normalizeTableConfig } from '../lib/table-config.js';
+import { compareRange, getVerifyRanges, normalizeValue } from '../lib/verify.js';
+import { startFakeD1Server } from './support/fake-d1-server.js';
+
+// Row comparison between a stub PostgreSQL client and the fake D1 server.
+// Needs no PostgreSQL.
+
+let server;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  server = await startFakeD1Server();
+  await server.query('CREATE TABLE codes (id INTEGER PRIMARY KEY, code TEXT, amount INTEGER)');
+});
+
+after(async () => {
+  await server.close();
+});
+
+// Mapping for codes with the column types describeColumns would report
+function codesConfig() {
+  const config = normalizeTableConfig({ columns: ['code', 'amount'], preserveIds: true }, { name: 'codes' });
+  config.sourceTypes = { id: { type: 'int8' }, code: { type: 'text' }, amount: { type: 'int8' } };
+  return config;
+}
+
+// pgClient stub serving keyset pages of the given rows, recording the key
+// range each query asked for
+function sourceClient(rows) {
+  return {
+    ranges: [],
+    async query(sql, [lower, upper, limit]) {
+      this.ranges.push([lower, upper]);
+      const after = /id > \$1/.test(sql);
+      const inRange = row => (after ? Number(row.id) > lower : Number(row.id) >= lower) && Number(row.id) <= upper;
+      return { rows: rows.filter(inRange).slice(0, limit).map(row => ({ ...row })) };
+    },
+  };
+}
+
+test('numeric text is only read as a number in numeric columns', () => {
+  assert.equal(normalizeValue('007', { numeric: true }), '7');
+  assert.equal(normalizeValue('007'), '007');
+  assert.equal(normalizeValue('9007199254740993', { numeric: true }), normalizeValue(9007199254740993));
+});
+
+test('compareRange splits ranges whose hashes differ and diffs rows only in leaves', async () => {
+  const rows = Array.from({ length: 1000 }, (_, i) => ({ id: String(i + 1), code: `C${i + 1}`, amount: String(i) }));
+  rows[99].code = '007';
+
+  // D1 lacks row 1000, holds 7 for '007' and a changed amount in row 500
+  const insert = server.db.prepare('INSERT INTO codes (id, code, amount) VALUES (?, ?, ?)');
+  await server.db.batch(rows.slice(0, 999).map(row => insert.bind(Number(row.id), row.code, Number(row.amount))));
+  await server.query('UPDATE codes SET code = 7 WHERE id = 100');
+  await server.query('UPDATE codes SET amount = 0 WHERE id = 500');
+
+  const { executeD1SQL } = createD1ClientFromEnv({}, server.env);
+  const pgClient = sourceClient(rows);
+  const differences = await compareRange({ pgClient, executeD1SQL, config: codesConfig(), leafSize: 100 }, 1, 1000);
+
+  assert.deepEqual(differences, [
+    { id: '100', type: 'mismatch', columns: [{ column: 'code', source: '007', target: '7' }] },
+    { id: '500', type: 'mismatch', columns: [{ column: 'amount', source: '499', target: '0' }] },
+    { id: '1000', type: 'missing_in_d1' },
+  ]);
+  // Halves that hash the same are not split further
+  assert.deepEqual(pgClient.ranges.filter(([lower, upper]) => upper - lower < 100), [
+    [1, 63], [64, 125], [376, 438], [439, 500], [876, 938], [939, 1000],
+  ]);
+});
+
+test('verify ranges fall back to the source only when there is no checkpoints table', async () => {
+  const config = codesConfig();
+  const pgClient = { query: async () => ({ rows: [{ min_id: '1', max_id: '250' }] }) };
+  const missing = async () => { throw new D1NoSuchTableError('no such table: migration_checkpoints'); };
+
+  assert.deepEqual(await getVerifyRanges({ pgClient, executeD1SQL: missing, config, rangeSize: 100 }), [
+    { start: 1, end: 100 }, { start: 101, end: 200 }, { start: 201, end: 250 },
+  ]);
+
+  const unauthorized = async () => { throw new D1AuthError('Authentication error'); };
+  await assert.rejects(getVerifyRanges({ pgClient, executeD1SQL: unauthorized, config }), D1AuthError);
+});
@@ -0,0 +1,123 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Miniflare } from 'miniflare';
+import { loadTableConfig, geohashFor } from '../lib/table-config.js';
+
+// The Worker in src/index.js under Miniflare, with a D1 seeded from the table
+// mappings' DDL. Runs once with the latitude/longitude lookups and once with
+// GEOHASH_COLUMN set.
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+async function seed(db) {
+  const tables = Object.fromEntries(['coordinate_speed_new', 'camera_locations'].map(name => [name, loadTableConfig(name)]));
+  for (const config of Object.values(tables)) {
+    for (const statement of config.ddl) {
+      await db.prepare(statement).run();
+    }
+  }
+
+  const insert = (table, row) => {
+    const values = { ...row, geohash: geohashFor(tables[table], row) };
+    const columns = Object.keys(values);
+    return db.prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+      .bind(...Object.values(values));
+  };
+
+  // Two directions of one road ~10 m north of the probe point, and one point with no bearing further away
+  await db.batch([
+    insert('coordinate_speed_new', { id: 1, latitude: 52.00009, longitude: 4.0, api_speed_limit: 50, bearing: 90, display_name: 'Eastbound' }),
+    insert('coordinate_speed_new', { id: 2, latitude: 52.00010, longitude: 4.0, api_speed_limit: 30, bearing: 270, display_name: 'Westbound' }),
+    insert('coordinate_speed_new', { id: 3, latitude: 52.0002, longitude: 4.0, api_speed_limit: 80, bearing: null, display_name: 'Unknown direction' }),
+  ]);
+
+  // Five cameras ~100 m apart heading north, one far away
+  const cameras = [1, 2, 3, 4, 5].map(i => insert('camera_locations', { id: i, location_id: `cam-${i}`, latitude: 52 + i * 0.0009, longitude: 4.0 }));
+  cameras.push(insert('camera_locations', { id: 6, location_id: 'far', latitude: 53, longitude: 5 }));
+  await db.batch(cameras);
+}
+
+for (const [mode, bindings] of [['lat/lon index', {}], ['geohash', { GEOHASH_COLUMN: 'geohash' }]]) {
+  describe(`worker (${mode} lookups)`, () => {
+    let mf;
+
+    before(async () => {
+      mf = new Miniflare({
+        modules: true,
+        modulesRoot: ROOT,
+        scriptPath: path.join(ROOT, 'src', 'index.js'),
+        modulesRules: [{ type: 'ESModule', include: ['**/*.js'] }],
+        d1Databases: ['DB'],
+        bindings,
+      });
+      await seed(await mf.getD1Database('DB'));
+    });
+
+    after(async () => {
+      await mf.dispose();
+    });
+
+    async function get(pathAndQuery, init) {
+      const response = await mf.dispatchFetch(`http://localhost${pathAndQuery}`, init);
+      return { status: response.status, body: await response.json() };
+    }
+
+    test('health', async () => {
+      assert.deepEqual(await get('/health'), { status: 200, body: { status: 'ok' } });
+    });
+
+    test('speed limit picks the nearest point within the bearing tolerance', async () => {
+      const east = await get('/speed-limit?lat=52&lon=4&bearing=80');
+      assert.equal(east.status, 200);
+      assert.equal(east.body.data.id, 1);
+      assert.ok(east.body.data.distance_m > 9 && east.body.data.distance_m < 11);
+
+      const west = await get('/speed-limit?lat=52&lon=4&bearing=265&tolerance=10');
+      assert.equal(west.body.data.display_name, 'Westbound');
+
+      // Neither direction matches; the point without a bearing does
+      const north = await get('/speed-limit?lat=52&lon=4&bearing=0&tolerance=20');
+      assert.equal(north.body.data.id, 3);
+    });
+
+    test('speed limit answers 404 when nothing is in range', async () => {
+      const { status, body } = await get('/speed-limit?lat=10&lon=10');
+      assert.equal(status, 404);
+      assert.equal(body.error.code, 'not_found');
+    });
+
+    test('cameras are paginated nearest first', async () => {
+      const first = await get('/cameras?lat=52&lon=4&radius=1000&limit=2');
+      assert.deepEqual(first.body.data.map(c => c.location_id), ['cam-1', 'cam-2']);
+      assert.ok(first.body.next_cursor);
+
+      const second = await get(`/cameras?lat=52&lon=4&radius=1000&limit=2&cursor=${first.body.next_cursor}`);
+      assert.deepEqual(second.body.data.map(c => c.location_id), ['cam-3', 'cam-4']);
+
+      const last = await get(`/cameras?lat=52&lon=4&radius=1000&limit=2&cursor=${second.body.next_cursor}`);
+      assert.deepEqual(last.body.data.map(c => c.location_id), ['cam-5']);
+      assert.equal(last.body.next_cursor, null);
+    });
+
+    test('bad requests get JSON errors', async () => {
+      const cases = [
+        ['/cameras?lon=4', 400, 'missing_parameter'],
+        ['/cameras?lat=95&lon=4', 400, 'invalid_parameter'],
+        ['/cameras?lat=52&lon=4&limit=0', 400, 'invalid_parameter'],
+        ['/cameras?lat=52&lon=4&cursor=nonsense', 400, 'invalid_cursor'],
+        ['/nope', 404, 'not_found'],
+      ];
+
+      for (const [url, status, code] of cases) {
+        const response = await get(url);
+        assert.equal(response.status, status, url);
+        assert.equal(response.body.error.code, code, url);
+      }
+
+      const post = await get('/cameras?lat=52&lon=4', { method: 'POST' });
+      assert.equal(post.status, 405);
+    });
+  });
+}